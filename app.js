@@ -0,0 +1,102 @@
+// =====================================================
+// EXPRESS APPLICATION FOR VENDORS MICROSERVICE
+// Security middleware, request logging and route mounting
+// =====================================================
+
+import express from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
+import compression from 'compression';
+import rateLimit from 'express-rate-limit';
+import config from './config/config.js';
+import { requestLogger, errorLogger } from './utils/logger.js';
+import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { checkDatabaseHealth, getPoolStats } from './modules/database/connection.js';
+import vendorRoutes from './modules/vendors/routes.js';
+import onboardingRoutes from './modules/vendors/onboardingRoutes.js';
+import hoursRoutes from './modules/vendors/hoursRoutes.js';
+import deliveryZoneRoutes from './modules/vendors/deliveryZoneRoutes.js';
+import menuRoutes from './modules/menu/routes.js';
+import categoryRoutes from './modules/menu/categoryRoutes.js';
+import optionRoutes from './modules/menu/optionRoutes.js';
+import syncRoutes from './modules/menu/syncRoutes.js';
+import offerRoutes from './modules/offers/routes.js';
+import promoCodeRoutes from './modules/offers/promoCodeRoutes.js';
+import favoriteRoutes from './modules/favorites/routes.js';
+import reviewRoutes from './modules/reviews/routes.js';
+import webhookRoutes from './modules/webhooks/routes.js';
+import mediaRoutes from './modules/media/routes.js';
+import searchRoutes from './modules/search/routes.js';
+
+const app = express();
+
+// Menu imports parse their own bodies, with a larger limit
+const MENU_IMPORT_PATH = /^\/vendors\/[^/]+\/branches\/[^/]+\/menu\/import\/?$/;
+
+// Security
+if (config.security.helmet.enabled) {
+  app.use(helmet({
+    contentSecurityPolicy: config.security.helmet.contentSecurityPolicy ? undefined : false,
+    crossOriginResourcePolicy: { policy: config.security.helmet.crossOriginResourcePolicy },
+  }));
+}
+app.use(cors({
+  origin: config.cors.origin,
+  credentials: config.cors.credentials,
+  methods: config.cors.methods,
+  allowedHeaders: config.cors.allowedHeaders,
+}));
+app.use(rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  limit: config.rateLimit.maxRequests,
+  skipSuccessfulRequests: config.rateLimit.skipSuccessfulRequests,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests', message: config.rateLimit.message },
+}));
+
+// Parsing and logging
+app.use(compression());
+app.use(express.json({ type: (req) => !MENU_IMPORT_PATH.test(req.path) && Boolean(req.is('application/json')) }));
+app.use((req, res, next) => {
+  // Express 5 leaves req.body undefined when no body was parsed
+  req.body ??= {};
+  next();
+});
+app.use(requestLogger);
+
+// Health check
+app.get('/health', async (req, res) => {
+  const database = await checkDatabaseHealth();
+  res.status(database.healthy ? 200 : 503).json({
+    status: database.healthy ? 'ok' : 'degraded',
+    service: config.app.name,
+    version: config.app.version,
+    database,
+    pool: getPoolStats(),
+  });
+});
+
+// Routes
+app.use(onboardingRoutes);
+app.use(vendorRoutes);
+app.use(hoursRoutes);
+app.use(deliveryZoneRoutes);
+app.use(menuRoutes);
+app.use(categoryRoutes);
+app.use(optionRoutes);
+app.use(syncRoutes);
+app.use(offerRoutes);
+app.use(promoCodeRoutes);
+app.use(favoriteRoutes);
+app.use(reviewRoutes);
+app.use(webhookRoutes);
+app.use(mediaRoutes);
+app.use(searchRoutes);
+
+// Errors
+app.use(notFoundHandler);
+app.use(errorLogger);
+app.use(errorHandler);
+
+export default app;
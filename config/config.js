@@ -18,6 +18,10 @@ const isDevelopment = process.env.NODE_ENV === 'development';
 const isProduction = process.env.NODE_ENV === 'production';
 const isTest = process.env.NODE_ENV === 'test';
 
+// The .env.example placeholder is not a secret anyone should sign tokens with
+const JWT_SECRET_PLACEHOLDER = 'your_jwt_secret_here';
+const MIN_JWT_SECRET_LENGTH = 32; // 256 bits for HS256
+
 // Base configuration
 const config = {
   // Application
@@ -43,6 +47,7 @@ const config = {
     maxConnections: parseInt(process.env.DB_MAX_CONNECTIONS) || 20,
     idleTimeout: parseInt(process.env.DB_IDLE_TIMEOUT) || 30000,
     connectionTimeout: parseInt(process.env.DB_CONNECTION_TIMEOUT) || 2000,
+    fuzzyMatchThreshold: parseFloat(process.env.DB_FUZZY_MATCH_THRESHOLD) || 0.5, // Lowest pg_trgm word similarity still counted as a fuzzy search match
     connectionString: null, // Will be built dynamically
   },
 
@@ -51,26 +56,60 @@ const config = {
     serviceUrl: process.env.AUTH_SERVICE_URL || 'http://localhost:3000',
     validateEndpoint: '/auth/validate',
     timeout: parseInt(process.env.AUTH_SERVICE_TIMEOUT) || 5000,
-    jwtSecret: process.env.JWT_SECRET || 'your_jwt_secret_here',
+    jwtSecret: process.env.JWT_SECRET && process.env.JWT_SECRET !== JWT_SECRET_PLACEHOLDER ? process.env.JWT_SECRET : null,
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    jwksUrl: process.env.AUTH_JWKS_URL || null, // Public keys for local verification instead of jwtSecret
+    jwksCacheTtl: parseInt(process.env.AUTH_JWKS_CACHE_TTL) || 3600000, // 1 hour
+    localFallback: process.env.AUTH_LOCAL_FALLBACK === 'true', // Verify JWTs locally while the auth service is down
+    cacheEnabled: process.env.AUTH_CACHE_ENABLED !== 'false',
+    cacheDefaultTtl: parseInt(process.env.AUTH_CACHE_DEFAULT_TTL) || 60, // seconds, for tokens without exp
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.AUTH_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.AUTH_CIRCUIT_RESET_TIMEOUT) || 30000,
+    },
   },
 
   // File Upload
   upload: {
     maxSize: parseInt(process.env.UPLOAD_MAX_SIZE) || 10485760, // 10MB
+    menuImportMaxSize: parseInt(process.env.MENU_IMPORT_MAX_SIZE) || 2097152, // 2MB, CSV or JSON menu import bodies
     allowedTypes: (process.env.UPLOAD_ALLOWED_TYPES || 'image/jpeg,image/png,image/webp').split(','),
+    documentTypes: (process.env.UPLOAD_DOCUMENT_TYPES || 'application/pdf,image/jpeg,image/png').split(','), // KYC documents
     destination: process.env.UPLOAD_DESTINATION || './uploads',
     tempDestination: process.env.UPLOAD_TEMP_DESTINATION || './temp',
+    publicPath: process.env.UPLOAD_PUBLIC_PATH || '/media/images', // Route processed images are served from
+    imageQuality: parseInt(process.env.IMAGE_QUALITY) || 80, // WebP quality, 1-100
+    imageVariants: { thumbnail: 150, medium: 600, large: 1200 }, // Longest side in pixels
+    cacheMaxAge: parseInt(process.env.IMAGE_CACHE_MAX_AGE) || 31536000, // seconds; names are content-hashed
+    orphanSweepInterval: parseInt(process.env.IMAGE_ORPHAN_SWEEP_INTERVAL) || 3600000, // 1 hour, -1 disables
+    orphanGracePeriod: parseInt(process.env.IMAGE_ORPHAN_GRACE_PERIOD) || 3600000, // Keep unreferenced files this long
+  },
+
+  // Image and document storage backend: 'local' (upload.destination) or 's3' (any S3-compatible API)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    s3: {
+      bucket: process.env.S3_BUCKET || null,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || null, // e.g. http://localhost:9000 for MinIO
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || 'images/',
+      documentPrefix: process.env.S3_DOCUMENT_PREFIX || 'documents/', // Private KYC documents
+    },
   },
 
   // Redis
   redis: {
+    enabled: process.env.REDIS_ENABLED !== 'false',
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT) || 6379,
     password: process.env.REDIS_PASSWORD || null,
     db: parseInt(process.env.REDIS_DB) || 0,
     retryDelayOnFailover: 100,
     maxRetriesPerRequest: 3,
+    keyPrefix: 'badr-vendors:',
   },
 
   // Logging
@@ -114,6 +153,9 @@ const config = {
     timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
     maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES) || 3,
     retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000,
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 50,
+    lockTimeout: parseInt(process.env.WEBHOOK_LOCK_TIMEOUT) || 60000, // Reclaim deliveries stuck in progress
   },
 
   // Business Logic
@@ -122,6 +164,9 @@ const config = {
     maximumDeliveryRadius: parseInt(process.env.MAXIMUM_DELIVERY_RADIUS) || 50000, // meters
     defaultPaginationLimit: parseInt(process.env.DEFAULT_PAGINATION_LIMIT) || 20,
     maxPaginationLimit: parseInt(process.env.MAX_PAGINATION_LIMIT) || 100,
+    maxMenuImportRows: parseInt(process.env.MAX_MENU_IMPORT_ROWS) || 1000,
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'Africa/Cairo', // For branches created without one
+    maxPromoCodeBatch: parseInt(process.env.MAX_PROMO_CODE_BATCH) || 1000,
   },
 
   // External Services
@@ -165,15 +210,23 @@ config.isValid = () => {
     'database.user',
     'database.password',
     'auth.serviceUrl',
+    ...(config.storage.driver === 's3' ? ['storage.s3.bucket'] : []),
   ];
 
   for (const field of required) {
     const value = field.split('.').reduce((obj, key) => obj?.[key], config);
-    if (!value || value === 'yourpassword' || value === 'your_jwt_secret_here') {
+    if (!value || value === 'yourpassword' || value === JWT_SECRET_PLACEHOLDER) {
       console.warn(`⚠️  Warning: ${field} is not properly configured`);
     }
   }
 
+  // Without JWKS the local fallback verifies HMAC tokens with jwtSecret, so a
+  // missing or guessable secret would let anyone mint tokens while auth is down
+  const { localFallback, jwksUrl, jwtSecret } = config.auth;
+  if (localFallback && !jwksUrl && (jwtSecret?.length ?? 0) < MIN_JWT_SECRET_LENGTH) {
+    throw new Error(`AUTH_LOCAL_FALLBACK needs AUTH_JWKS_URL or a JWT_SECRET of at least ${MIN_JWT_SECRET_LENGTH} characters`);
+  }
+
   return true;
 };
 
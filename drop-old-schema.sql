@@ -7,22 +7,49 @@
 DROP TRIGGER IF EXISTS update_users_updated_at ON users CASCADE;
 DROP TRIGGER IF EXISTS update_vendors_updated_at ON vendors CASCADE;
 DROP TRIGGER IF EXISTS update_vendor_branches_updated_at ON vendor_branches CASCADE;
+DROP TRIGGER IF EXISTS update_menu_categories_updated_at ON menu_categories CASCADE;
 DROP TRIGGER IF EXISTS update_menu_items_updated_at ON menu_items CASCADE;
+DROP TRIGGER IF EXISTS update_menu_item_option_groups_updated_at ON menu_item_option_groups CASCADE;
+DROP TRIGGER IF EXISTS update_menu_item_options_updated_at ON menu_item_options CASCADE;
+DROP TRIGGER IF EXISTS update_media_updated_at ON media CASCADE;
+DROP TRIGGER IF EXISTS update_delivery_zones_updated_at ON delivery_zones CASCADE;
 DROP TRIGGER IF EXISTS update_offers_updated_at ON offers CASCADE;
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes CASCADE;
 DROP TRIGGER IF EXISTS update_reviews_updated_at ON reviews CASCADE;
 DROP TRIGGER IF EXISTS update_review_replies_updated_at ON review_replies CASCADE;
+DROP TRIGGER IF EXISTS update_rating_summaries_updated_at ON rating_summaries CASCADE;
 DROP TRIGGER IF EXISTS update_vendor_operating_hours_updated_at ON vendor_operating_hours CASCADE;
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions CASCADE;
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries CASCADE;
 
 -- Drop all functions
 DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
 
+-- Drop the search configuration
+DROP TEXT SEARCH CONFIGURATION IF EXISTS arabic_english CASCADE;
+
 -- Drop all tables in reverse dependency order
+DROP TABLE IF EXISTS webhook_deliveries CASCADE;
+DROP TABLE IF EXISTS webhook_events CASCADE;
+DROP TABLE IF EXISTS webhook_subscriptions CASCADE;
+DROP TABLE IF EXISTS rating_summaries CASCADE;
 DROP TABLE IF EXISTS review_likes CASCADE;
 DROP TABLE IF EXISTS review_replies CASCADE;
+DROP TABLE IF EXISTS review_revisions CASCADE;
 DROP TABLE IF EXISTS reviews CASCADE;
 DROP TABLE IF EXISTS favorites CASCADE;
+DROP TABLE IF EXISTS offer_redemptions CASCADE;
+DROP TABLE IF EXISTS promo_codes CASCADE;
+DROP TABLE IF EXISTS offer_schedules CASCADE;
+DROP TABLE IF EXISTS offer_targets CASCADE;
 DROP TABLE IF EXISTS offers CASCADE;
+DROP TABLE IF EXISTS delivery_zones CASCADE;
+DROP TABLE IF EXISTS media CASCADE;
+DROP TABLE IF EXISTS menu_item_options CASCADE;
+DROP TABLE IF EXISTS menu_item_option_groups CASCADE;
 DROP TABLE IF EXISTS menu_items CASCADE;
+DROP TABLE IF EXISTS vendor_status_history CASCADE;
+DROP TABLE IF EXISTS vendor_documents CASCADE;
 DROP TABLE IF EXISTS vendor_branches CASCADE;
 DROP TABLE IF EXISTS vendors CASCADE;
 DROP TABLE IF EXISTS user_roles CASCADE;
@@ -56,29 +83,68 @@ DROP INDEX IF EXISTS idx_users_email CASCADE;
 DROP INDEX IF EXISTS idx_users_phone CASCADE;
 DROP INDEX IF EXISTS idx_users_active CASCADE;
 DROP INDEX IF EXISTS idx_users_verified CASCADE;
-DROP INDEX IF EXISTS idx_vendors_user_id CASCADE;
+DROP INDEX IF EXISTS idx_vendors_one_per_user CASCADE;
 DROP INDEX IF EXISTS idx_vendors_status CASCADE;
 DROP INDEX IF EXISTS idx_vendors_active CASCADE;
 DROP INDEX IF EXISTS idx_vendors_commercial_reg CASCADE;
+DROP INDEX IF EXISTS idx_vendors_cuisines CASCADE;
+DROP INDEX IF EXISTS idx_vendors_search CASCADE;
+DROP INDEX IF EXISTS idx_vendors_name_trgm CASCADE;
+DROP INDEX IF EXISTS idx_vendor_documents_vendor CASCADE;
+DROP INDEX IF EXISTS idx_vendor_status_history_vendor CASCADE;
 DROP INDEX IF EXISTS idx_branches_vendor_id CASCADE;
 DROP INDEX IF EXISTS idx_branches_location CASCADE;
 DROP INDEX IF EXISTS idx_branches_active CASCADE;
+DROP INDEX IF EXISTS idx_branches_one_main CASCADE;
+DROP INDEX IF EXISTS idx_branches_search CASCADE;
+DROP INDEX IF EXISTS idx_branches_name_trgm CASCADE;
 DROP INDEX IF EXISTS idx_menu_items_branch_id CASCADE;
 DROP INDEX IF EXISTS idx_menu_items_category CASCADE;
 DROP INDEX IF EXISTS idx_menu_items_price CASCADE;
 DROP INDEX IF EXISTS idx_menu_items_available CASCADE;
 DROP INDEX IF EXISTS idx_menu_items_search CASCADE;
+DROP INDEX IF EXISTS idx_menu_items_name_trgm CASCADE;
+DROP INDEX IF EXISTS idx_menu_items_source CASCADE;
+DROP INDEX IF EXISTS idx_menu_categories_owner CASCADE;
+DROP INDEX IF EXISTS idx_media_owner CASCADE;
+DROP INDEX IF EXISTS idx_media_one_primary CASCADE;
+DROP INDEX IF EXISTS idx_option_groups_menu_item CASCADE;
+DROP INDEX IF EXISTS idx_options_group CASCADE;
+DROP INDEX IF EXISTS idx_delivery_zones_branch CASCADE;
+DROP INDEX IF EXISTS idx_delivery_zones_box CASCADE;
 DROP INDEX IF EXISTS idx_offers_branch_id CASCADE;
 DROP INDEX IF EXISTS idx_offers_dates CASCADE;
 DROP INDEX IF EXISTS idx_offers_active CASCADE;
 DROP INDEX IF EXISTS idx_offers_discount CASCADE;
+DROP INDEX IF EXISTS idx_offers_source CASCADE;
+DROP INDEX IF EXISTS idx_offer_targets_item CASCADE;
+DROP INDEX IF EXISTS idx_offer_targets_category CASCADE;
+DROP INDEX IF EXISTS idx_offer_schedules_offer CASCADE;
+DROP INDEX IF EXISTS idx_offer_redemptions_offer CASCADE;
+DROP INDEX IF EXISTS idx_offer_redemptions_user CASCADE;
+DROP INDEX IF EXISTS idx_offer_redemptions_code CASCADE;
+DROP INDEX IF EXISTS idx_promo_codes_code CASCADE;
+DROP INDEX IF EXISTS idx_promo_codes_offer CASCADE;
+DROP INDEX IF EXISTS idx_operating_hours_weekly CASCADE;
+DROP INDEX IF EXISTS idx_operating_hours_override CASCADE;
 DROP INDEX IF EXISTS idx_reviews_user_id CASCADE;
 DROP INDEX IF EXISTS idx_reviews_branch_id CASCADE;
+DROP INDEX IF EXISTS idx_reviews_menu_item_id CASCADE;
 DROP INDEX IF EXISTS idx_reviews_rating CASCADE;
 DROP INDEX IF EXISTS idx_reviews_type CASCADE;
 DROP INDEX IF EXISTS idx_reviews_created CASCADE;
+DROP INDEX IF EXISTS idx_reviews_order_id CASCADE;
+DROP INDEX IF EXISTS idx_reviews_one_per_target CASCADE;
+DROP INDEX IF EXISTS idx_reviews_helpful CASCADE;
+DROP INDEX IF EXISTS idx_review_replies_review_id CASCADE;
+DROP INDEX IF EXISTS idx_rating_summaries_rank CASCADE;
 DROP INDEX IF EXISTS idx_favorites_user_id CASCADE;
 DROP INDEX IF EXISTS idx_favorites_type CASCADE;
+DROP INDEX IF EXISTS idx_favorites_menu_item CASCADE;
+DROP INDEX IF EXISTS idx_webhook_subscriptions_active CASCADE;
+DROP INDEX IF EXISTS idx_webhook_events_created CASCADE;
+DROP INDEX IF EXISTS idx_webhook_deliveries_due CASCADE;
+DROP INDEX IF EXISTS idx_webhook_deliveries_subscription CASCADE;
 
 -- Clean up any remaining objects
 DO $$
@@ -3,15 +3,14 @@
 // Integrates with auth microservice for token validation
 // =====================================================
 
-import axios from 'axios';
 import logger from '../utils/logger.js';
-
-// Configuration for auth microservice
-const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:3000';
-const AUTH_VALIDATE_ENDPOINT = `${AUTH_SERVICE_URL}/auth/validate`;
+import { query } from '../modules/database/connection.js';
+import { branchColumns, menuItemColumns, vendorColumns } from '../modules/database/columns.js';
+import { validateAccessToken } from '../modules/auth/tokenValidation.js';
 
 /**
  * Middleware to validate JWT tokens by calling the auth microservice
+ * Results are cached until the token expires, see validateAccessToken
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -35,83 +34,27 @@ export const validateToken = async (req, res, next) => {
       });
     }
 
-    // Call auth microservice to validate token
-    try {
-      const response = await axios.post(AUTH_VALIDATE_ENDPOINT, { token }, {
-        timeout: 5000, // 5 second timeout
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'badr-vendors-microservice/1.0'
-        }
-      });
-
-      if (response.status === 200 && response.data.valid) {
-        // Token is valid, attach user info to request
-        req.user = {
-          uid: response.data.payload.uid,
-          role: response.data.payload.role,
-          tokenPayload: response.data.payload
-        };
-        
-        logger.info('Token validation successful', {
-          uid: req.user.uid,
-          role: req.user.role,
-          endpoint: req.originalUrl
-        });
-        
-        next();
-      } else {
-        // Token validation failed
-        logger.warn('Token validation failed', {
-          token: token.substring(0, 20) + '...',
-          response: response.data
-        });
-        
-        return res.status(401).json({
-          error: 'Invalid token',
-          message: response.data.message || 'Token validation failed'
-        });
-      }
-
-    } catch (authServiceError) {
-      // Handle auth service communication errors
-      if (authServiceError.code === 'ECONNREFUSED') {
-        logger.error('Auth service unavailable', {
-          url: AUTH_VALIDATE_ENDPOINT,
-          error: authServiceError.message
-        });
-        
-        return res.status(503).json({
-          error: 'Authentication service unavailable',
-          message: 'Unable to validate token at this time'
-        });
-      }
-      
-      if (authServiceError.response) {
-        // Auth service returned an error response
-        logger.warn('Auth service validation error', {
-          status: authServiceError.response.status,
-          data: authServiceError.response.data
-        });
-        
-        return res.status(authServiceError.response.status).json({
-          error: 'Token validation failed',
-          message: authServiceError.response.data.message || 'Token validation failed'
-        });
-      }
-      
-      // Other network or timeout errors
-      logger.error('Auth service communication error', {
-        error: authServiceError.message,
-        url: AUTH_VALIDATE_ENDPOINT
-      });
-      
-      return res.status(500).json({
-        error: 'Authentication service error',
-        message: 'Unable to validate token due to service error'
+    // Validate through the auth microservice (cached, with local fallback)
+    const result = await validateAccessToken(token);
+    if (!result.valid) {
+      return res.status(result.status).json({
+        error: result.error,
+        message: result.message
       });
     }
 
+    // Token is valid, attach user info to request
+    req.user = result.user;
+
+    logger.info('Token validation successful', {
+      uid: req.user.uid,
+      role: req.user.role,
+      source: result.source,
+      endpoint: req.originalUrl
+    });
+
+    next();
+
   } catch (error) {
     logger.error('Token validation middleware error', {
       error: error.message,
@@ -166,14 +109,35 @@ export const requireRole = (requiredRoles) => {
   };
 };
 
+// Route IDs are UUIDs; anything else can't match a row
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const accessControlError = (res, req, error, resource) => {
+  logger.error(`${resource} access control error`, {
+    error: error.message,
+    uid: req.user?.uid
+  });
+
+  return res.status(500).json({
+    error: 'Access control error',
+    message: `Unable to verify ${resource.toLowerCase()} access at this time`
+  });
+};
+
+const notFound = (res, resource) => res.status(404).json({
+  error: `${resource} not found`,
+  message: `The requested ${resource.toLowerCase()} does not exist`
+});
+
 /**
- * Vendor-specific access control middleware
- * Ensures user can only access their own vendor data
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Build vendor access middleware. Loads the vendor from `vendorId` onto
+ * req.vendor and checks, in order: 404 if it doesn't exist, 403 if the
+ * user doesn't own it (admins may act on any vendor), 409 if approval is
+ * required and the vendor isn't approved yet.
+ * @param {Object} options - { requireApproved } defaults to true
+ * @returns {Function} Express middleware function
  */
-export const requireVendorAccess = async (req, res, next) => {
+export const vendorAccess = ({ requireApproved = true } = {}) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -182,37 +146,157 @@ export const requireVendorAccess = async (req, res, next) => {
       });
     }
 
-    // Only vendors can access vendor-specific endpoints
-    if (req.user.role !== 'vendor') {
+    // Only vendors (and admins acting on their behalf) can access vendor-specific endpoints
+    const isAdmin = req.user.role === 'admin';
+    if (req.user.role !== 'vendor' && !isAdmin) {
       return res.status(403).json({
         error: 'Vendor access required',
         message: 'This endpoint is only accessible to vendors'
       });
     }
 
-    // For endpoints that require vendor ID, ensure user owns the vendor
-    const vendorId = req.params.vendorId || req.body.vendorId;
-    if (vendorId) {
-      // TODO: Implement vendor ownership verification
-      // This will be implemented when we update the vendor.js application code
-      logger.info('Vendor access granted', {
+    const vendorId = req.params.vendorId || req.body?.vendorId;
+    if (!vendorId) {
+      return next();
+    }
+    if (!UUID_PATTERN.test(vendorId)) {
+      return notFound(res, 'Vendor');
+    }
+
+    const result = await query(`SELECT ${vendorColumns()} FROM vendors WHERE id = $1 AND deleted_at IS NULL`, [vendorId]);
+    const vendor = result.rows[0];
+    if (!vendor) {
+      return notFound(res, 'Vendor');
+    }
+
+    if (!isAdmin && vendor.user_id !== req.user.uid) {
+      logger.warn('Vendor access denied', {
         uid: req.user.uid,
         vendorId,
         endpoint: req.originalUrl
       });
+
+      return res.status(403).json({
+        error: 'Vendor access denied',
+        message: 'You do not have access to this vendor'
+      });
     }
 
+    if (requireApproved && vendor.registration_status !== 'approved') {
+      return res.status(409).json({
+        error: 'Vendor not approved',
+        message: `Vendor registration is ${vendor.registration_status}`
+      });
+    }
+
+    req.vendor = vendor;
+
+    logger.info('Vendor access granted', {
+      uid: req.user.uid,
+      vendorId,
+      adminOverride: isAdmin,
+      endpoint: req.originalUrl
+    });
+
     next();
   } catch (error) {
-    logger.error('Vendor access control error', {
-      error: error.message,
-      uid: req.user?.uid
-    });
-    
-    return res.status(500).json({
-      error: 'Access control error',
-      message: 'Unable to verify vendor access at this time'
-    });
+    return accessControlError(res, req, error, 'Vendor');
+  }
+};
+
+/**
+ * Vendor-specific access control middleware
+ * Ensures user can only access their own, approved vendor data
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireVendorAccess = vendorAccess();
+
+/**
+ * Branch access control middleware, used after requireVendorAccess.
+ * Loads `branchId` onto req.branch if it belongs to req.vendor.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireBranchAccess = async (req, res, next) => {
+  try {
+    const { branchId } = req.params;
+    if (!req.vendor || !UUID_PATTERN.test(branchId || '')) {
+      return notFound(res, 'Branch');
+    }
+
+    const result = await query(
+      `SELECT ${branchColumns()} FROM vendor_branches WHERE id = $1 AND vendor_id = $2 AND deleted_at IS NULL`,
+      [branchId, req.vendor.id]
+    );
+    if (result.rows.length === 0) {
+      return notFound(res, 'Branch');
+    }
+
+    req.branch = result.rows[0];
+    next();
+  } catch (error) {
+    return accessControlError(res, req, error, 'Branch');
+  }
+};
+
+/**
+ * Menu item access control middleware, used after requireBranchAccess.
+ * Loads `itemId` onto req.menuItem if it belongs to req.branch.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireMenuItemAccess = async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+    if (!req.branch || !UUID_PATTERN.test(itemId || '')) {
+      return notFound(res, 'Menu item');
+    }
+
+    const result = await query(
+      `SELECT ${menuItemColumns()} FROM menu_items WHERE id = $1 AND branch_id = $2 AND deleted_at IS NULL`,
+      [itemId, req.branch.id]
+    );
+    if (result.rows.length === 0) {
+      return notFound(res, 'Menu item');
+    }
+
+    req.menuItem = result.rows[0];
+    next();
+  } catch (error) {
+    return accessControlError(res, req, error, 'Menu item');
+  }
+};
+
+/**
+ * Offer access control middleware, used after requireBranchAccess.
+ * Loads `offerId` onto req.offer if it belongs to req.branch.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireOfferAccess = async (req, res, next) => {
+  try {
+    const { offerId } = req.params;
+    if (!req.branch || !UUID_PATTERN.test(offerId || '')) {
+      return notFound(res, 'Offer');
+    }
+
+    const result = await query(
+      'SELECT * FROM offers WHERE id = $1 AND branch_id = $2 AND deleted_at IS NULL',
+      [offerId, req.branch.id]
+    );
+    if (result.rows.length === 0) {
+      return notFound(res, 'Offer');
+    }
+
+    req.offer = result.rows[0];
+    next();
+  } catch (error) {
+    return accessControlError(res, req, error, 'Offer');
   }
 };
 
@@ -238,31 +322,19 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     // Try to validate token, but don't fail if it's invalid
-    try {
-      const response = await axios.post(AUTH_VALIDATE_ENDPOINT, { token }, {
-        timeout: 5000,
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'badr-vendors-microservice/1.0'
-        }
-      });
+    const result = await validateAccessToken(token);
+    if (result.valid) {
+      req.user = result.user;
 
-      if (response.status === 200 && response.data.valid) {
-        req.user = {
-          uid: response.data.payload.uid,
-          role: response.data.payload.role,
-          tokenPayload: response.data.payload
-        };
-        
-        logger.info('Optional authentication successful', {
-          uid: req.user.uid,
-          role: req.user.role
-        });
-      }
-    } catch (error) {
+      logger.info('Optional authentication successful', {
+        uid: req.user.uid,
+        role: req.user.role,
+        source: result.source
+      });
+    } else {
       // Token validation failed, but that's OK for optional auth
       logger.debug('Optional authentication failed', {
-        error: error.message
+        error: result.message
       });
     }
 
@@ -278,6 +350,10 @@ export const optionalAuth = async (req, res, next) => {
 export default {
   validateToken,
   requireRole,
+  vendorAccess,
   requireVendorAccess,
+  requireBranchAccess,
+  requireMenuItemAccess,
+  requireOfferAccess,
   optionalAuth
 };
@@ -0,0 +1,51 @@
+// =====================================================
+// ERROR HANDLING MIDDLEWARE FOR VENDORS MICROSERVICE
+// Turns unhandled route errors into JSON responses
+// =====================================================
+
+import config from '../config/config.js';
+
+/**
+ * Respond with 404 for routes that don't exist
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: 'Not found',
+    message: `Route ${req.method} ${req.originalUrl} does not exist`
+  });
+};
+
+/**
+ * Final error handler. Errors carrying an HTTP status (HttpError, body-parser,
+ * multer) keep it; anything else is a 500 whose details are hidden
+ * in production. Logging is done by errorLogger, which runs before this.
+ * @param {Error} err - Error passed to next() or thrown by an async route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const status = err.status || err.statusCode || (err.name === 'MulterError' ? 400 : 500);
+
+  if (status < 500) {
+    return res.status(status).json({
+      error: err.error || 'Bad request',
+      message: err.message,
+      ...(err.details && { details: err.details })
+    });
+  }
+
+  return res.status(status).json({
+    error: 'Internal server error',
+    message: config.app.isProduction ? 'An unexpected error occurred' : err.message
+  });
+};
+
+export default {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,34 @@
+// =====================================================
+// UPLOAD MIDDLEWARE FOR VENDORS MICROSERVICE
+// Multer configuration for image and document uploads
+// =====================================================
+
+import multer from 'multer';
+import config from '../config/config.js';
+
+// Uploads stay in memory; the image pipeline checks the real content,
+// renders the stored variants and discards the original
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.upload.maxSize },
+  fileFilter: (req, file, cb) => {
+    if (config.upload.allowedTypes.includes(file.mimetype)) return cb(null, true);
+    const error = new Error(`Images only (${config.upload.allowedTypes.join(', ')})`);
+    error.status = 400;
+    cb(error);
+  },
+});
+
+// KYC documents are kept as uploaded; their content is checked before storing
+export const uploadDocument = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.upload.maxSize },
+  fileFilter: (req, file, cb) => {
+    if (config.upload.documentTypes.includes(file.mimetype)) return cb(null, true);
+    const error = new Error(`Documents must be ${config.upload.documentTypes.join(', ')}`);
+    error.status = 400;
+    cb(error);
+  },
+});
+
+export default upload;
@@ -0,0 +1,85 @@
+// =====================================================
+// VALIDATION MIDDLEWARE FOR VENDORS MICROSERVICE
+// Joi request validation with field-level error messages
+// =====================================================
+
+import BaseJoi from 'joi';
+
+/**
+ * Joi extended to accept JSON-encoded arrays and objects, which is how
+ * structured fields arrive in multipart/form-data requests
+ */
+export const Joi = BaseJoi.extend(
+  (joi) => ({
+    type: 'object',
+    base: joi.object(),
+    coerce: {
+      from: 'string',
+      method(value, helpers) {
+        try {
+          return { value: JSON.parse(value) };
+        } catch (error) {
+          return { errors: [helpers.error('object.base')] };
+        }
+      },
+    },
+  }),
+  (joi) => ({
+    type: 'array',
+    base: joi.array(),
+    coerce: {
+      from: 'string',
+      method(value, helpers) {
+        try {
+          return { value: JSON.parse(value) };
+        } catch (error) {
+          return { errors: [helpers.error('array.base')] };
+        }
+      },
+    },
+  })
+);
+
+/**
+ * Format a Joi error as a 400 response body
+ * @param {Object} error - Joi ValidationError
+ * @returns {Object} { error, message, details: [{ field, message }] }
+ */
+export const validationErrorBody = (error) => ({
+  error: 'Validation failed',
+  message: error.details.map((detail) => detail.message).join('; '),
+  details: error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+  })),
+});
+
+/**
+ * Validate and normalize part of the request against a Joi schema.
+ * Unknown keys are stripped and values are converted (e.g. "12.5" -> 12.5).
+ * @param {Object} schema - Joi schema
+ * @param {string} source - 'body', 'query' or 'params'
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => (req, res, next) => {
+  const { error, value } = schema.validate(req[source] ?? {}, {
+    abortEarly: false,
+    stripUnknown: true,
+    errors: { wrap: { label: false } },
+  });
+
+  if (error) {
+    return res.status(400).json(validationErrorBody(error));
+  }
+
+  // req.query is a getter in Express 5, so shadow it rather than assign
+  Object.defineProperty(req, source, {
+    value,
+    writable: true,
+    configurable: true,
+    enumerable: true,
+  });
+  next();
+};
+
+export default validate;
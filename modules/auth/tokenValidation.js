@@ -0,0 +1,181 @@
+// =====================================================
+// TOKEN VALIDATION FOR VENDORS MICROSERVICE
+// Validates access tokens against the auth microservice,
+// with result caching, a circuit breaker and optional
+// local JWT verification while the service is down
+// =====================================================
+
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+import { getCached, setCached } from '../../utils/cache.js';
+import { CircuitBreaker, CircuitOpenError } from '../../utils/circuitBreaker.js';
+
+// Network errors, timeouts and 5xx mean the service is unhealthy; 4xx are answers
+const isServiceFailure = (error) => !error.response || error.response.status >= 500;
+
+export const authServiceBreaker = new CircuitBreaker('auth-service', {
+  failureThreshold: config.auth.circuitBreaker.failureThreshold,
+  resetTimeout: config.auth.circuitBreaker.resetTimeout,
+  isFailure: isServiceFailure,
+});
+
+let jwks = { keys: new Map(), fetchedAt: 0 };
+
+const cacheKey = (token) => `auth:token:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+const toUser = (payload) => ({
+  uid: payload.uid ?? payload.sub,
+  role: payload.role,
+  tokenPayload: payload,
+});
+
+// Cache until the token expires; tokens without exp get a short default TTL
+const cacheTtl = (payload) => {
+  if (payload.exp) return payload.exp - Math.floor(Date.now() / 1000);
+  return config.auth.cacheDefaultTtl;
+};
+
+const getJwksKey = async (kid) => {
+  const stale = Date.now() - jwks.fetchedAt > config.auth.jwksCacheTtl;
+  if (stale || (kid && !jwks.keys.has(kid))) {
+    try {
+      const response = await axios.get(config.auth.jwksUrl, { timeout: config.auth.timeout });
+      const keys = new Map();
+      for (const jwk of response.data.keys || []) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+      jwks = { keys, fetchedAt: Date.now() };
+    } catch (error) {
+      // Keep using the keys we already have
+      logger.warn('Unable to refresh JWKS', { url: config.auth.jwksUrl, error: error.message });
+    }
+  }
+  return kid ? jwks.keys.get(kid) : jwks.keys.values().next().value;
+};
+
+/**
+ * Verify a JWT without the auth service, using JWKS public keys when
+ * configured and the shared jwtSecret otherwise
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} Decoded payload
+ */
+export const verifyLocally = async (token) => {
+  if (!config.auth.jwksUrl) {
+    if (!config.auth.jwtSecret) throw new jwt.JsonWebTokenError('No JWT secret configured');
+    return jwt.verify(token, config.auth.jwtSecret, { algorithms: ['HS256', 'HS384', 'HS512'] });
+  }
+
+  const decoded = jwt.decode(token, { complete: true });
+  const key = await getJwksKey(decoded?.header?.kid);
+  if (!key) throw new jwt.JsonWebTokenError('No matching signing key');
+  return jwt.verify(token, key, { algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'] });
+};
+
+const validateWithService = async (token) => {
+  const response = await authServiceBreaker.exec(() => axios.post(config.auth.fullValidateUrl, { token }, {
+    timeout: config.auth.timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'badr-vendors-microservice/1.0'
+    }
+  }));
+
+  if (response.status === 200 && response.data.valid) {
+    return { valid: true, user: toUser(response.data.payload), source: 'service' };
+  }
+
+  logger.warn('Token validation failed', {
+    token: token.substring(0, 20) + '...',
+    response: response.data
+  });
+  return {
+    valid: false,
+    status: 401,
+    error: 'Invalid token',
+    message: response.data.message || 'Token validation failed'
+  };
+};
+
+const validateLocally = async (token) => {
+  try {
+    const payload = await verifyLocally(token);
+    return { valid: true, user: toUser(payload), source: 'local' };
+  } catch (error) {
+    return {
+      valid: false,
+      status: 401,
+      error: 'Invalid token',
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Validate an access token. The auth service's results are cached until the
+ * token expires. While the service is unhealthy (circuit open, network error
+ * or 5xx) the token is verified locally, uncached, if config.auth.localFallback is on.
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<Object>} { valid: true, user, source } or
+ *   { valid: false, status, error, message }
+ */
+export const validateAccessToken = async (token) => {
+  const key = cacheKey(token);
+
+  if (config.auth.cacheEnabled) {
+    const cached = await getCached(key);
+    if (cached) return { valid: true, user: cached, source: 'cache' };
+  }
+
+  let result;
+  try {
+    result = await validateWithService(token);
+  } catch (error) {
+    if (error.response && !isServiceFailure(error)) {
+      // Auth service returned an error response
+      logger.warn('Auth service validation error', {
+        status: error.response.status,
+        data: error.response.data
+      });
+      return {
+        valid: false,
+        status: error.response.status,
+        error: 'Token validation failed',
+        message: error.response.data?.message || 'Token validation failed'
+      };
+    }
+
+    logger.error('Auth service unavailable', {
+      url: config.auth.fullValidateUrl,
+      circuitOpen: error instanceof CircuitOpenError,
+      localFallback: config.auth.localFallback,
+      error: error.message
+    });
+
+    if (!config.auth.localFallback) {
+      return {
+        valid: false,
+        status: 503,
+        error: 'Authentication service unavailable',
+        message: 'Unable to validate token at this time'
+      };
+    }
+    result = await validateLocally(token);
+  }
+
+  // Only the auth service's answers are cached: a locally verified token may
+  // have been revoked, so it is checked again on every request until the
+  // service is back
+  if (result.valid && result.source === 'service' && config.auth.cacheEnabled) {
+    await setCached(key, result.user, cacheTtl(result.user.tokenPayload));
+  }
+  return result;
+};
+
+export default {
+  validateAccessToken,
+  verifyLocally,
+  authServiceBreaker
+};
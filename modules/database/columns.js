@@ -0,0 +1,54 @@
+// =====================================================
+// ROW COLUMNS FOR VENDORS MICROSERVICE
+// Column lists of the searchable tables without their generated
+// search_vector, which is internal to full-text search and must
+// not reach API responses or webhook payloads
+// =====================================================
+
+const VENDOR_ROW = [
+  'id', 'user_id', 'name', 'commercial_registration', 'business_phone', 'business_email', 'business_address',
+  'business_description', 'cuisines', 'business_hours', 'payment_methods', 'delivery_radius', 'minimum_order_amount',
+  'registration_status', 'approval_date', 'approved_by', 'rejection_reason', 'is_active',
+  'created_at', 'updated_at', 'deleted_at',
+];
+
+const BRANCH_ROW = [
+  'id', 'vendor_id', 'name', 'address', 'latitude', 'longitude', 'contact_phone', 'contact_email', 'business_hours',
+  'timezone', 'is_active', 'is_main_branch', 'follows_main_menu', 'created_at', 'updated_at', 'deleted_at',
+];
+
+const MENU_ITEM_ROW = [
+  'id', 'branch_id', 'category_id', 'name', 'description', 'price', 'original_price', 'image_path', 'image_variants',
+  'is_vegetarian', 'is_vegan', 'is_gluten_free', 'is_halal', 'allergens', 'nutritional_info', 'preparation_time',
+  'is_available', 'is_featured', 'sort_order', 'source_item_id', 'price_overridden', 'availability_overridden',
+  'created_at', 'updated_at', 'deleted_at',
+];
+
+const qualify = (alias, columns) => columns.map((column) => `${alias}.${column}`).join(', ');
+
+/**
+ * Columns of a vendors row, for SELECT or RETURNING in place of *
+ * @param {string} [alias] - Table name or alias qualifying the columns
+ * @returns {string} e.g. 'v.id, v.user_id, ...'
+ */
+export const vendorColumns = (alias = 'vendors') => qualify(alias, VENDOR_ROW);
+
+/**
+ * Columns of a vendor_branches row, for SELECT or RETURNING in place of *
+ * @param {string} [alias] - Table name or alias qualifying the columns
+ * @returns {string} e.g. 'b.id, b.vendor_id, ...'
+ */
+export const branchColumns = (alias = 'vendor_branches') => qualify(alias, BRANCH_ROW);
+
+/**
+ * Columns of a menu_items row, for SELECT or RETURNING in place of *
+ * @param {string} [alias] - Table name or alias qualifying the columns
+ * @returns {string} e.g. 'm.id, m.branch_id, ...'
+ */
+export const menuItemColumns = (alias = 'menu_items') => qualify(alias, MENU_ITEM_ROW);
+
+export default {
+  vendorColumns,
+  branchColumns,
+  menuItemColumns
+};
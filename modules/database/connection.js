@@ -21,6 +21,9 @@ const pool = new Pool({
   idleTimeoutMillis: config.database.idleTimeout,
   connectionTimeoutMillis: config.database.connectionTimeout,
   
+  // How closely a search term must resemble part of a name for the <% operator
+  options: `-c pg_trgm.word_similarity_threshold=${config.database.fuzzyMatchThreshold}`,
+  
   // Connection pool settings
   allowExitOnIdle: false,
   maxUses: 7500, // Close connections after 7500 queries
@@ -166,12 +169,5 @@ export const query = async (text, params = []) => {
   }
 };
 
-// Export the pool and helper functions
+// Export the pool; helper functions are exported inline above
 export default pool;
-export { 
-  checkDatabaseHealth, 
-  getPoolStats, 
-  closePool, 
-  withTransaction,
-  query 
-};
@@ -0,0 +1,22 @@
+// =====================================================
+// FAVORITE ROUTES FOR VENDORS MICROSERVICE
+// Customer favorites for branches, menu items and offers
+// =====================================================
+
+import { Router } from 'express';
+import { query } from '../database/connection.js';
+import { validateToken, requireRole } from '../../middleware/auth.js';
+
+const router = Router();
+
+// Customer favorite vendor/branch/menu item/offer
+router.post('/favorites', validateToken, requireRole('customer'), async (req, res) => {
+  const { branch_id, menu_item_id, offer_id, type } = req.body;
+  const result = await query(
+    'INSERT INTO favorites (user_id, branch_id, menu_item_id, offer_id, type) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [req.user.uid, branch_id, menu_item_id, offer_id, type]
+  );
+  res.json(result.rows[0]);
+});
+
+export default router;
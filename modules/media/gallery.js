@@ -0,0 +1,212 @@
+// =====================================================
+// MEDIA GALLERIES FOR VENDORS MICROSERVICE
+// Logos, cover photos and photo galleries of vendors,
+// branches and menu items
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { buildSetClause } from '../../utils/sql.js';
+import { notFoundError, validationError } from '../../utils/errors.js';
+import { imageColumns } from './images.js';
+
+export const MEDIA_OWNER_COLUMNS = ['vendor_id', 'branch_id', 'menu_item_id'];
+
+const OWNER_TABLES = {
+  vendor_id: 'vendors',
+  branch_id: 'vendor_branches',
+  menu_item_id: 'menu_items',
+};
+
+const ORDER_BY = 'ORDER BY media_type, is_primary DESC, sort_order, created_at';
+
+/**
+ * List an owner's media, primary image of each type first
+ * @param {Object} owner - { column, id }, column being one of MEDIA_OWNER_COLUMNS
+ * @returns {Promise<Array>} Media rows
+ */
+export const listMedia = async (owner) => {
+  const result = await query(
+    `SELECT * FROM media WHERE ${owner.column} = $1 AND deleted_at IS NULL ${ORDER_BY}`,
+    [owner.id]
+  );
+  return result.rows;
+};
+
+/**
+ * Load the media of many owners of one kind at once
+ * @param {string} column - One of MEDIA_OWNER_COLUMNS
+ * @param {Array<string>} ids - Owner IDs
+ * @returns {Promise<Map>} Owner ID -> media rows
+ */
+export const loadMedia = async (column, ids) => {
+  const byOwner = new Map(ids.map((id) => [id, []]));
+  if (ids.length === 0) return byOwner;
+
+  const result = await query(
+    `SELECT * FROM media WHERE ${column} = ANY($1::uuid[]) AND deleted_at IS NULL ${ORDER_BY}`,
+    [ids]
+  );
+  for (const media of result.rows) byOwner.get(media[column]).push(media);
+  return byOwner;
+};
+
+/**
+ * Add a media array to each row
+ * @param {string} column - Owner column the rows' ids are stored in, e.g. 'menu_item_id'
+ * @param {Array} rows - Vendor, branch or menu item rows
+ * @returns {Promise<Array>} The rows with their media
+ */
+export const attachMedia = async (column, rows) => {
+  const media = await loadMedia(column, rows.map((row) => row.id));
+  return rows.map((row) => ({ ...row, media: media.get(row.id) }));
+};
+
+/**
+ * Load one media row of an owner
+ * @param {Object} owner - { column, id }
+ * @param {string} mediaId - Media ID
+ * @returns {Promise<Object>} Media row
+ */
+export const getMedia = async (owner, mediaId) => {
+  const result = await query(
+    `SELECT * FROM media WHERE id = $1 AND ${owner.column} = $2 AND deleted_at IS NULL`,
+    [mediaId, owner.id]
+  );
+  if (result.rows.length === 0) throw notFoundError('Media');
+  return result.rows[0];
+};
+
+// Lock the owner row so concurrent changes to its primary images run one at a
+// time; NO KEY UPDATE still lets other transactions insert rows referencing it
+const lockOwner = async (client, owner) => {
+  await client.query(`SELECT 1 FROM ${OWNER_TABLES[owner.column]} WHERE id = $1 FOR NO KEY UPDATE`, [owner.id]);
+};
+
+// Make one media row the primary of its type, demoting the previous one
+const makePrimary = async (client, owner, media) => {
+  await client.query(
+    `UPDATE media SET is_primary = FALSE
+     WHERE ${owner.column} = $1 AND media_type = $2 AND id <> $3 AND is_primary = TRUE AND deleted_at IS NULL`,
+    [owner.id, media.media_type, media.id]
+  );
+  const result = await client.query('UPDATE media SET is_primary = TRUE WHERE id = $1 RETURNING *', [media.id]);
+  return result.rows[0];
+};
+
+/**
+ * Add an image to an owner. The first image of a type becomes its primary.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} owner - { column, id }
+ * @param {Object} data - Validated fields ({ media_type, alt_text, is_primary, sort_order })
+ * @param {Object} image - Stored image paths from storeImage
+ * @returns {Promise<Object>} The created media row
+ */
+export const addMedia = async (client, owner, data, image) => {
+  if (owner.column === 'menu_item_id' && data.media_type !== 'photo') {
+    throw validationError('media_type', 'Menu items only have photos');
+  }
+
+  await lockOwner(client, owner);
+  const { image_path, image_variants } = imageColumns(image);
+  const result = await client.query(
+    `INSERT INTO media (${owner.column}, media_type, image_path, image_variants, alt_text, sort_order)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, 0)) RETURNING *`,
+    [owner.id, data.media_type, image_path, JSON.stringify(image_variants), data.alt_text ?? null, data.sort_order ?? null]
+  );
+  const media = result.rows[0];
+
+  const primary = await client.query(
+    `SELECT id FROM media WHERE ${owner.column} = $1 AND media_type = $2 AND is_primary = TRUE AND deleted_at IS NULL`,
+    [owner.id, media.media_type]
+  );
+  return data.is_primary || primary.rows.length === 0 ? makePrimary(client, owner, media) : media;
+};
+
+/**
+ * Change alt text, order or the primary flag of a media row
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} owner - { column, id }
+ * @param {Object} media - Current media row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated media row
+ */
+export const updateMedia = async (client, owner, media, data) => {
+  const { is_primary: isPrimary, ...fields } = data;
+  if (isPrimary === true) await lockOwner(client, owner);
+  let updated = media;
+
+  const update = buildSetClause(fields, ['alt_text', 'sort_order'], { startIndex: 2 });
+  if (update.clause) {
+    const result = await client.query(`UPDATE media SET ${update.clause} WHERE id = $1 RETURNING *`, [media.id, ...update.values]);
+    updated = result.rows[0];
+  }
+
+  if (isPrimary === true && !updated.is_primary) return makePrimary(client, owner, updated);
+  if (isPrimary === false && updated.is_primary) {
+    const result = await client.query('UPDATE media SET is_primary = FALSE WHERE id = $1 RETURNING *', [media.id]);
+    updated = result.rows[0];
+  }
+  return updated;
+};
+
+/**
+ * Soft delete a media row. Deleting a primary image promotes the next one.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} owner - { column, id }
+ * @param {Object} media - Media row
+ * @returns {Promise<Object>} The deleted media row
+ */
+export const deleteMedia = async (client, owner, media) => {
+  if (media.is_primary) await lockOwner(client, owner);
+  const result = await client.query(
+    'UPDATE media SET deleted_at = NOW(), is_primary = FALSE WHERE id = $1 RETURNING *',
+    [media.id]
+  );
+
+  if (media.is_primary) {
+    const next = await client.query(
+      `SELECT * FROM media WHERE ${owner.column} = $1 AND media_type = $2 AND deleted_at IS NULL
+       ORDER BY sort_order, created_at LIMIT 1`,
+      [owner.id, media.media_type]
+    );
+    if (next.rows.length > 0) await makePrimary(client, owner, next.rows[0]);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Set sort_order for several of an owner's media at once
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} owner - { column, id }
+ * @param {Array} media - [{ id, sort_order }]
+ * @returns {Promise<Array>} Updated media rows in their new order
+ */
+export const reorderMedia = async (client, owner, media) => {
+  const result = await client.query(
+    `UPDATE media m SET sort_order = o.sort_order
+     FROM jsonb_to_recordset($2::jsonb) AS o(id UUID, sort_order INT)
+     WHERE m.id = o.id AND m.${owner.column} = $1 AND m.deleted_at IS NULL
+     RETURNING m.*`,
+    [owner.id, JSON.stringify(media)]
+  );
+
+  if (result.rows.length !== media.length) {
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = media.filter((item) => !found.has(item.id)).map((item) => item.id);
+    throw validationError('media', `Media not found: ${missing.join(', ')}`);
+  }
+
+  return result.rows.sort((a, b) => a.sort_order - b.sort_order);
+};
+
+export default {
+  MEDIA_OWNER_COLUMNS,
+  listMedia,
+  loadMedia,
+  attachMedia,
+  getMedia,
+  addMedia,
+  updateMedia,
+  deleteMedia,
+  reorderMedia
+};
@@ -0,0 +1,218 @@
+// =====================================================
+// IMAGE PIPELINE FOR VENDORS MICROSERVICE
+// Validates uploads by content, strips metadata, renders WebP
+// variants under content-hashed names and cleans up files
+// nothing references any more
+// =====================================================
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+import { query } from '../database/connection.js';
+import { validationError } from '../../utils/errors.js';
+import { getStorage } from './storage.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// File signatures ("magic bytes") of the formats we can decode
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', matches: (buffer) => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { type: 'image/png', matches: (buffer) => buffer.subarray(0, 8).equals(PNG_SIGNATURE) },
+  {
+    type: 'image/webp',
+    matches: (buffer) => buffer.length > 12
+      && buffer.toString('ascii', 0, 4) === 'RIFF'
+      && buffer.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+// Stored file names: <content hash>-<variant>.webp
+export const IMAGE_KEY_PATTERN = /^([0-9a-f]{32})-([a-z]+)\.webp$/;
+const HASH_IN_PATH = /([0-9a-f]{32})-[a-z]+\.webp$/;
+
+/**
+ * Identify an image by its leading bytes, ignoring name and declared type
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when not a supported image
+ */
+export const detectImageType = (buffer) => {
+  return IMAGE_SIGNATURES.find((signature) => signature.matches(buffer))?.type || null;
+};
+
+/**
+ * Content hash shared by all variants of a stored image
+ * @param {string} imagePath - Public path of any variant
+ * @returns {string|null} The hash, or null for paths not made by this pipeline
+ */
+export const imageHashOf = (imagePath) => imagePath?.match(HASH_IN_PATH)?.[1] || null;
+
+/**
+ * Check an upload and render its WebP variants. EXIF orientation is applied
+ * and then all metadata (EXIF, GPS, ICC comments) is dropped.
+ * @param {Object} file - multer file held in memory
+ * @returns {Promise<Object>} { hash, variants: { thumbnail: Buffer, medium: Buffer, large: Buffer } }
+ */
+export const processImage = async (file) => {
+  const type = detectImageType(file.buffer);
+  if (!type || !config.upload.allowedTypes.includes(type)) {
+    throw validationError('image', `Image content must be one of: ${config.upload.allowedTypes.join(', ')}`);
+  }
+
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex').slice(0, 32);
+  const variants = {};
+  try {
+    const image = sharp(file.buffer, { failOn: 'error' }).rotate();
+    for (const [variant, size] of Object.entries(config.upload.imageVariants)) {
+      variants[variant] = await image.clone()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: config.upload.imageQuality })
+        .toBuffer();
+    }
+  } catch (error) {
+    throw validationError('image', 'Image file is corrupt or could not be decoded');
+  }
+
+  return { hash, variants };
+};
+
+/**
+ * Process an upload and write its variants to storage
+ * @param {Object} file - multer file held in memory
+ * @returns {Promise<Object>} Public paths: { thumbnail, medium, large }
+ */
+export const storeImage = async (file) => {
+  const { hash, variants } = await processImage(file);
+  const storage = getStorage();
+  const paths = {};
+  for (const [variant, buffer] of Object.entries(variants)) {
+    const key = `${hash}-${variant}.webp`;
+    await storage.put(key, buffer, 'image/webp');
+    paths[variant] = `${config.upload.publicPath}/${key}`;
+  }
+  return paths;
+};
+
+/**
+ * Image columns of a menu item or media row for a stored image
+ * @param {Object|undefined} image - From storeImage
+ * @returns {Object} { image_path, image_variants }, empty when there is no image
+ */
+export const imageColumns = (image) => (image ? { image_path: image.medium, image_variants: image } : {});
+
+// Hashes of images that live rows still point at; media of deleted owners doesn't count
+const referencedHashes = async (hash = null) => {
+  const result = await query(
+    `SELECT DISTINCT substring(image_path from '([0-9a-f]{32})-[a-z]+\\.webp$') AS hash
+     FROM (
+       SELECT image_path FROM menu_items WHERE deleted_at IS NULL AND image_path IS NOT NULL
+       UNION ALL
+       SELECT md.image_path FROM media md
+       LEFT JOIN vendors v ON v.id = md.vendor_id
+       LEFT JOIN vendor_branches b ON b.id = md.branch_id
+       LEFT JOIN menu_items mi ON mi.id = md.menu_item_id
+       WHERE md.deleted_at IS NULL AND v.deleted_at IS NULL AND b.deleted_at IS NULL AND mi.deleted_at IS NULL
+     ) images
+     WHERE $1::text IS NULL OR image_path LIKE '%' || $1 || '-%'`,
+    [hash]
+  );
+  return new Set(result.rows.map((row) => row.hash).filter(Boolean));
+};
+
+/**
+ * Delete an image's variants once no live row uses it. Images are shared
+ * between identical uploads and cloned menus, so this is a no-op while any
+ * other row still points at the same file. Failures are logged, not thrown,
+ * as this runs after the change that released the image has committed.
+ * @param {string} imagePath - Public path of any variant
+ */
+export const releaseImage = async (imagePath) => {
+  const hash = imageHashOf(imagePath);
+  if (!hash) return;
+
+  try {
+    if ((await referencedHashes(hash)).has(hash)) return;
+    const storage = getStorage();
+    await Promise.all(Object.keys(config.upload.imageVariants).map((variant) => storage.remove(`${hash}-${variant}.webp`)));
+  } catch (error) {
+    logger.error('Failed to remove released image', { imagePath, error: error.message });
+  }
+};
+
+/**
+ * Store an optional upload, run `work` with it and remove the files again if
+ * `work` fails, so rejected requests don't leave orphans behind
+ * @param {Object|undefined} file - multer file
+ * @param {Function} work - async (image) => result; image is undefined without a file
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+export const withUploadedImage = async (file, work) => {
+  const image = file ? await storeImage(file) : undefined;
+  try {
+    return await work(image);
+  } catch (error) {
+    if (image) await releaseImage(image.medium);
+    throw error;
+  }
+};
+
+/**
+ * Delete stored images no live row references, e.g. left over by a crash
+ * between upload and commit. Recent files are kept for the grace period so
+ * uploads still inside a transaction are not swept.
+ * @returns {Promise<number>} Number of files removed
+ */
+export const sweepOrphanedImages = async () => {
+  const storage = getStorage();
+  const referenced = await referencedHashes();
+  const cutoff = Date.now() - config.upload.orphanGracePeriod;
+  let removed = 0;
+
+  for await (const file of storage.list()) {
+    const hash = file.key.match(IMAGE_KEY_PATTERN)?.[1];
+    if (!hash || referenced.has(hash) || new Date(file.lastModified).getTime() > cutoff) continue;
+    await storage.remove(file.key);
+    removed++;
+  }
+  return removed;
+};
+
+let sweepTimer = null;
+
+/**
+ * Sweep orphaned images periodically in the background
+ */
+export const startImageSweeper = () => {
+  if (sweepTimer || config.upload.orphanSweepInterval < 0) return;
+  sweepTimer = setInterval(async () => {
+    try {
+      const removed = await sweepOrphanedImages();
+      if (removed > 0) logger.info('Removed orphaned images', { removed });
+    } catch (error) {
+      logger.error('Orphaned image sweep failed', { error: error.message, stack: error.stack });
+    }
+  }, config.upload.orphanSweepInterval);
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the background sweep
+ */
+export const stopImageSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  IMAGE_KEY_PATTERN,
+  detectImageType,
+  imageHashOf,
+  processImage,
+  storeImage,
+  imageColumns,
+  releaseImage,
+  withUploadedImage,
+  sweepOrphanedImages,
+  startImageSweeper,
+  stopImageSweeper
+};
@@ -0,0 +1,144 @@
+// =====================================================
+// MEDIA ROUTES FOR VENDORS MICROSERVICE
+// Serves processed images from the configured storage and
+// manages vendor, branch and menu item galleries
+// =====================================================
+
+import { Router } from 'express';
+import { pipeline } from 'stream/promises';
+import config from '../../config/config.js';
+import { withTransaction } from '../database/connection.js';
+import {
+  validateToken,
+  vendorAccess,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireMenuItemAccess
+} from '../../middleware/auth.js';
+import { upload } from '../../middleware/upload.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { validationError } from '../../utils/errors.js';
+import { getStorage } from './storage.js';
+import { IMAGE_KEY_PATTERN, withUploadedImage, releaseImage } from './images.js';
+import { listMedia, getMedia, addMedia, updateMedia, deleteMedia, reorderMedia } from './gallery.js';
+import { createMediaSchema, updateMediaSchema, reorderMediaSchema, mediaParamsSchema } from './validation.js';
+import { assertEditableCopy } from '../menu/menuItems.js';
+import { syncFollowerMenus } from '../menu/menuSync.js';
+
+const router = Router();
+
+// Public image variants; names are content-hashed, so they never change
+router.get(`${config.upload.publicPath}/:key`, async (req, res) => {
+  const { key } = req.params;
+  if (!IMAGE_KEY_PATTERN.test(key)) return res.status(404).json({ error: 'Image not found' });
+
+  const etag = `"${key}"`;
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+  const image = await getStorage().get(key);
+  if (!image) return res.status(404).json({ error: 'Image not found' });
+
+  res.set({
+    'Content-Type': 'image/webp',
+    'Cache-Control': `public, max-age=${config.upload.cacheMaxAge}, immutable`,
+    ETag: etag,
+    ...(image.size && { 'Content-Length': image.size }),
+    ...(image.lastModified && { 'Last-Modified': new Date(image.lastModified).toUTCString() }),
+  });
+  await pipeline(image.body, res);
+});
+
+// Galleries: where they live, who may manage them and whose media they are.
+// Vendors can set up their logo while registration is still pending.
+const galleries = [
+  {
+    path: '/vendors/:vendorId/media',
+    access: [validateToken, vendorAccess({ requireApproved: false })],
+    ownerOf: (req) => ({ column: 'vendor_id', id: req.vendor.id }),
+  },
+  {
+    path: '/vendors/:vendorId/branches/:branchId/media',
+    access: [validateToken, requireVendorAccess, requireBranchAccess],
+    ownerOf: (req) => ({ column: 'branch_id', id: req.branch.id }),
+  },
+  {
+    path: '/vendors/:vendorId/branches/:branchId/menu/:itemId/media',
+    access: [validateToken, requireVendorAccess, requireBranchAccess, requireMenuItemAccess],
+    ownerOf: (req) => ({ column: 'menu_item_id', id: req.menuItem.id }),
+    // Photos of copied items are managed on the main branch
+    editable: (req) => assertEditableCopy(req.branch, req.menuItem, ['media']),
+    afterChange: (client, req) => syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]),
+  },
+];
+
+const mediaParams = validate(mediaParamsSchema, 'params');
+
+for (const gallery of galleries) {
+  const { path, access, ownerOf, editable = () => {}, afterChange = async () => {} } = gallery;
+  const canEdit = (req, res, next) => {
+    editable(req);
+    next();
+  };
+  const manage = [...access, canEdit];
+
+  // Vendor list gallery
+  router.get(path, ...access, async (req, res) => {
+    res.json(await listMedia(ownerOf(req)));
+  });
+
+  // Vendor upload image to gallery
+  router.post(path, ...manage, upload.single('image'), validate(createMediaSchema), async (req, res) => {
+    if (!req.file) throw validationError('image', 'An image file is required');
+    const media = await withUploadedImage(req.file, (image) => withTransaction(async (client) => {
+      const created = await addMedia(client, ownerOf(req), req.body, image);
+      await notifyConsumers(client, created, 'media_added', actorOf(req.user));
+      await afterChange(client, req);
+      return created;
+    }));
+    res.status(201).json(media);
+  });
+
+  // Vendor bulk reorder gallery
+  router.put(`${path}/order`, ...manage, validate(reorderMediaSchema), async (req, res) => {
+    const owner = ownerOf(req);
+    const media = await withTransaction(async (client) => {
+      const reordered = await reorderMedia(client, owner, req.body.media);
+      await notifyConsumers(client, {
+        [owner.column]: owner.id,
+        media: reordered.map(({ id, sort_order }) => ({ id, sort_order })),
+      }, 'media_reordered', actorOf(req.user));
+      await afterChange(client, req);
+      return reordered;
+    });
+    res.json(media);
+  });
+
+  // Vendor update alt text, order or primary image
+  router.patch(`${path}/:mediaId`, ...manage, mediaParams, validate(updateMediaSchema), async (req, res) => {
+    const owner = ownerOf(req);
+    const current = await getMedia(owner, req.params.mediaId);
+    const media = await withTransaction(async (client) => {
+      const updated = await updateMedia(client, owner, current, req.body);
+      await notifyConsumers(client, updated, 'media_updated', actorOf(req.user));
+      await afterChange(client, req);
+      return updated;
+    });
+    res.json(media);
+  });
+
+  // Vendor delete image from gallery
+  router.delete(`${path}/:mediaId`, ...manage, mediaParams, async (req, res) => {
+    const owner = ownerOf(req);
+    const current = await getMedia(owner, req.params.mediaId);
+    await withTransaction(async (client) => {
+      const deleted = await deleteMedia(client, owner, current);
+      await notifyConsumers(client, deleted, 'media_deleted', actorOf(req.user));
+      await afterChange(client, req);
+    });
+    await releaseImage(current.image_path);
+    res.json({ message: 'Media deleted' });
+  });
+}
+
+export default router;
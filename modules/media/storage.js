@@ -0,0 +1,145 @@
+// =====================================================
+// FILE STORAGE FOR VENDORS MICROSERVICE
+// Local disk and S3-compatible backends behind one interface
+// =====================================================
+
+import fs from 'fs';
+import path from 'path';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import config from '../../config/config.js';
+
+/**
+ * Store files in a directory on local disk
+ * @param {string} directory - Directory to keep files in, created on first write
+ * @returns {Object} Storage backend
+ */
+export const createLocalStorage = (directory) => {
+  const fileOf = (key) => path.join(directory, path.basename(key));
+
+  return {
+    put: async (key, body) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileOf(key), body);
+    },
+
+    get: async (key) => {
+      try {
+        const stats = await fs.promises.stat(fileOf(key));
+        return { body: fs.createReadStream(fileOf(key)), size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(fileOf(key), { force: true });
+    },
+
+    list: async function* () {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries.filter((item) => item.isFile())) {
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        yield { key: entry.name, lastModified: stats.mtime };
+      }
+    },
+  };
+};
+
+/**
+ * Store files in a bucket of any S3-compatible service (AWS, MinIO, R2...)
+ * @param {Object} options - config.storage.s3
+ * @returns {Object} Storage backend
+ */
+export const createS3Storage = (options) => {
+  const client = new S3Client({
+    region: options.region,
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId
+      ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+      : undefined,
+  });
+  const Bucket = options.bucket;
+  const keyOf = (key) => `${options.prefix}${key}`;
+
+  return {
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket, Key: keyOf(key), Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket, Key: keyOf(key) }));
+        return { body: object.Body, size: object.ContentLength, lastModified: object.LastModified };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket, Key: keyOf(key) }));
+    },
+
+    list: async function* () {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: options.prefix, ContinuationToken }));
+        for (const object of page.Contents || []) {
+          yield { key: object.Key.slice(options.prefix.length), lastModified: object.LastModified };
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    },
+  };
+};
+
+let storage = null;
+let documentStorage = null;
+
+/**
+ * The configured image storage backend
+ * @returns {Object} { put(key, body, contentType), get(key), remove(key), list() }
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = config.storage.driver === 's3'
+      ? createS3Storage(config.storage.s3)
+      : createLocalStorage(path.join(config.upload.destination, 'images'));
+  }
+  return storage;
+};
+
+/**
+ * The configured storage backend for vendor KYC documents. It is kept apart
+ * from images, which are public and swept for orphans.
+ * @returns {Object} { put(key, body, contentType), get(key), remove(key), list() }
+ */
+export const getDocumentStorage = () => {
+  if (!documentStorage) {
+    documentStorage = config.storage.driver === 's3'
+      ? createS3Storage({ ...config.storage.s3, prefix: config.storage.s3.documentPrefix })
+      : createLocalStorage(path.join(config.upload.destination, 'documents'));
+  }
+  return documentStorage;
+};
+
+export default {
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  getDocumentStorage
+};
@@ -0,0 +1,43 @@
+// =====================================================
+// MEDIA VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the media CHECK constraints in schema.sql
+// =====================================================
+
+import { Joi } from '../../middleware/validate.js';
+
+export const MEDIA_TYPES = ['logo', 'cover', 'photo'];
+
+const mediaFields = {
+  alt_text: Joi.string().trim().max(255).allow('', null),
+  is_primary: Joi.boolean(),
+  sort_order: Joi.number().integer(),
+};
+
+export const createMediaSchema = Joi.object({
+  ...mediaFields,
+  media_type: Joi.string().valid(...MEDIA_TYPES).default('photo'),
+});
+
+export const updateMediaSchema = Joi.object(mediaFields);
+
+export const reorderMediaSchema = Joi.object({
+  media: Joi.array().items(Joi.object({
+    id: Joi.string().guid().required(),
+    sort_order: Joi.number().integer().required(),
+  })).min(1).unique('id').required(),
+});
+
+export const mediaParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  branchId: Joi.string(),
+  itemId: Joi.string(),
+  mediaId: Joi.string().guid().required(),
+});
+
+export default {
+  MEDIA_TYPES,
+  createMediaSchema,
+  updateMediaSchema,
+  reorderMediaSchema,
+  mediaParamsSchema
+};
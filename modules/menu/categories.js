@@ -0,0 +1,188 @@
+// =====================================================
+// MENU CATEGORIES FOR VENDORS MICROSERVICE
+// Global, vendor-wide and branch-specific menu categories
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { notFoundError, validationError } from '../../utils/errors.js';
+
+const CATEGORY_COLUMNS = ['branch_id', 'name', 'description', 'icon', 'sort_order', 'is_active'];
+
+// Categories a branch can use: global ones, the vendor's and the branch's own
+const USABLE_BY_BRANCH = `deleted_at IS NULL
+  AND (vendor_id IS NULL OR (vendor_id = $1 AND (branch_id IS NULL OR branch_id = $2)))`;
+
+const assertBranchOfVendor = async (db, vendorId, branchId) => {
+  if (!branchId) return;
+  const result = await db.query(
+    'SELECT id FROM vendor_branches WHERE id = $1 AND vendor_id = $2 AND deleted_at IS NULL',
+    [branchId, vendorId]
+  );
+  if (result.rows.length === 0) {
+    throw validationError('branch_id', 'Branch does not belong to this vendor');
+  }
+};
+
+/**
+ * List the categories a vendor manages, plus the global defaults
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} filters - { branchId } to limit to categories usable by one branch
+ * @returns {Promise<Array>} Categories in display order
+ */
+export const listVendorCategories = async (vendorId, { branchId } = {}) => {
+  const result = branchId
+    ? await query(`SELECT * FROM menu_categories WHERE ${USABLE_BY_BRANCH} ORDER BY sort_order, name`, [vendorId, branchId])
+    : await query(
+      `SELECT * FROM menu_categories
+       WHERE deleted_at IS NULL AND (vendor_id IS NULL OR vendor_id = $1)
+       ORDER BY sort_order, name`,
+      [vendorId]
+    );
+  return result.rows;
+};
+
+/**
+ * Load a category owned by the vendor (global categories are read-only)
+ * @param {string} vendorId - Vendor ID
+ * @param {number} categoryId - Category ID
+ * @returns {Promise<Object>} Category row
+ */
+export const getVendorCategory = async (vendorId, categoryId) => {
+  const result = await query(
+    'SELECT * FROM menu_categories WHERE id = $1 AND vendor_id = $2 AND deleted_at IS NULL',
+    [categoryId, vendorId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Category');
+  return result.rows[0];
+};
+
+/**
+ * Check that a branch may file menu items under a category
+ * @param {Object} client - pg client
+ * @param {number|null} categoryId - Category ID
+ * @param {Object} branch - vendor_branches row
+ */
+export const assertCategoryUsable = async (client, categoryId, branch) => {
+  if (categoryId == null) return;
+  const result = await client.query(
+    `SELECT id FROM menu_categories WHERE id = $3 AND ${USABLE_BY_BRANCH}`,
+    [branch.vendor_id, branch.id, categoryId]
+  );
+  if (result.rows.length === 0) {
+    throw validationError('category_id', `Category ${categoryId} does not exist for this branch`);
+  }
+};
+
+/**
+ * Create a vendor or branch category
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} data - Validated category fields
+ * @returns {Promise<Object>} The created category
+ */
+export const createCategory = async (client, vendorId, data) => {
+  await assertBranchOfVendor(client, vendorId, data.branch_id);
+  const insert = buildInsert({ ...data, vendor_id: vendorId }, ['vendor_id', ...CATEGORY_COLUMNS]);
+  const result = await client.query(
+    `INSERT INTO menu_categories (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+    insert.values
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rename, re-icon, move, hide or show a category
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} category - Current category row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated category
+ */
+export const updateCategory = async (client, category, data) => {
+  await assertBranchOfVendor(client, category.vendor_id, data.branch_id);
+  const update = buildSetClause(data, CATEGORY_COLUMNS, { startIndex: 2 });
+  if (!update.clause) return category;
+  const result = await client.query(
+    `UPDATE menu_categories SET ${update.clause} WHERE id = $1 RETURNING *`,
+    [category.id, ...update.values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Set sort_order for several of a vendor's categories at once
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} vendorId - Vendor ID
+ * @param {Array} categories - [{ id, sort_order }]
+ * @returns {Promise<Array>} Updated categories in their new order
+ */
+export const reorderCategories = async (client, vendorId, categories) => {
+  const result = await client.query(
+    `UPDATE menu_categories c SET sort_order = o.sort_order
+     FROM jsonb_to_recordset($2::jsonb) AS o(id INT, sort_order INT)
+     WHERE c.id = o.id AND c.vendor_id = $1 AND c.deleted_at IS NULL
+     RETURNING c.*`,
+    [vendorId, JSON.stringify(categories)]
+  );
+
+  if (result.rows.length !== categories.length) {
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = categories.filter((category) => !found.has(category.id)).map((category) => category.id);
+    throw validationError('categories', `Categories not found for this vendor: ${missing.join(', ')}`);
+  }
+
+  return result.rows.sort((a, b) => a.sort_order - b.sort_order);
+};
+
+/**
+ * Soft delete a category; its menu items become uncategorized
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} category - Category row
+ * @returns {Promise<Object>} The deleted category
+ */
+export const deleteCategory = async (client, category) => {
+  await client.query('UPDATE menu_items SET category_id = NULL WHERE category_id = $1', [category.id]);
+  const result = await client.query(
+    'UPDATE menu_categories SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+    [category.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Group menu items under their categories in display order.
+ * Items without a category come last, under a group with a null id.
+ * @param {Array} categories - Category rows, already ordered
+ * @param {Array} items - Menu item rows, already ordered
+ * @returns {Array} [{ id, name, description, icon, sort_order, items }]
+ */
+export const groupItemsByCategory = (categories, items) => {
+  const groups = new Map(categories.map((category) => [category.id, {
+    id: category.id,
+    name: category.name,
+    description: category.description,
+    icon: category.icon,
+    sort_order: category.sort_order,
+    items: [],
+  }]));
+  const uncategorized = { id: null, name: null, description: null, icon: null, sort_order: null, items: [] };
+
+  for (const item of items) {
+    (groups.get(item.category_id) || uncategorized).items.push(item);
+  }
+
+  const grouped = [...groups.values()].filter((group) => group.items.length > 0);
+  if (uncategorized.items.length > 0) grouped.push(uncategorized);
+  return grouped;
+};
+
+export default {
+  listVendorCategories,
+  getVendorCategory,
+  assertCategoryUsable,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory,
+  groupItemsByCategory
+};
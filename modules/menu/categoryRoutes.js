@@ -0,0 +1,84 @@
+// =====================================================
+// MENU CATEGORY ROUTES FOR VENDORS MICROSERVICE
+// Vendor-managed categories used to group the menu
+// =====================================================
+
+import { Router } from 'express';
+import { withTransaction } from '../database/connection.js';
+import { validateToken, requireVendorAccess } from '../../middleware/auth.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import {
+  listVendorCategories,
+  getVendorCategory,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+} from './categories.js';
+import {
+  createCategorySchema,
+  updateCategorySchema,
+  reorderCategoriesSchema,
+  categoryListQuerySchema
+} from './validation.js';
+
+const router = Router();
+
+const categories = '/vendors/:vendorId/categories';
+const vendorOnly = [validateToken, requireVendorAccess];
+const categoryParams = validate(Joi.object({
+  vendorId: Joi.string(),
+  categoryId: Joi.number().integer().positive().required(),
+}), 'params');
+
+// Vendor list categories (own and global), optionally for one branch
+router.get(categories, ...vendorOnly, validate(categoryListQuerySchema, 'query'), async (req, res) => {
+  res.json(await listVendorCategories(req.vendor.id, { branchId: req.query.branchId }));
+});
+
+// Vendor create category
+router.post(categories, ...vendorOnly, validate(createCategorySchema), async (req, res) => {
+  const category = await withTransaction(async (client) => {
+    const created = await createCategory(client, req.vendor.id, req.body);
+    await notifyConsumers(client, created, 'category_added', actorOf(req.user));
+    return created;
+  });
+  res.status(201).json(category);
+});
+
+// Vendor reorder categories
+router.put(`${categories}/order`, ...vendorOnly, validate(reorderCategoriesSchema), async (req, res) => {
+  const reordered = await withTransaction(async (client) => {
+    const rows = await reorderCategories(client, req.vendor.id, req.body.categories);
+    await notifyConsumers(client, {
+      vendor_id: req.vendor.id,
+      categories: rows.map(({ id, sort_order }) => ({ id, sort_order })),
+    }, 'categories_reordered', actorOf(req.user));
+    return rows;
+  });
+  res.json(reordered);
+});
+
+// Vendor rename, re-icon, move or hide category
+router.patch(`${categories}/:categoryId`, ...vendorOnly, categoryParams, validate(updateCategorySchema), async (req, res) => {
+  const current = await getVendorCategory(req.vendor.id, req.params.categoryId);
+  const category = await withTransaction(async (client) => {
+    const updated = await updateCategory(client, current, req.body);
+    await notifyConsumers(client, updated, 'category_updated', actorOf(req.user));
+    return updated;
+  });
+  res.json(category);
+});
+
+// Vendor delete category (its items become uncategorized)
+router.delete(`${categories}/:categoryId`, ...vendorOnly, categoryParams, async (req, res) => {
+  const current = await getVendorCategory(req.vendor.id, req.params.categoryId);
+  await withTransaction(async (client) => {
+    const deleted = await deleteCategory(client, current);
+    await notifyConsumers(client, deleted, 'category_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Category deleted' });
+});
+
+export default router;
@@ -0,0 +1,234 @@
+// =====================================================
+// MENU IMPORT AND EXPORT FOR VENDORS MICROSERVICE
+// Bulk CSV/JSON menu loading and the matching export format
+// =====================================================
+
+import config from '../../config/config.js';
+import { query } from '../database/connection.js';
+import { menuItemColumns } from '../database/columns.js';
+import { validationError } from '../../utils/errors.js';
+import { parseCsv, toCsv } from '../../utils/csv.js';
+import { listVendorCategories, createCategory } from './categories.js';
+import { createMenuItem, updateMenuItem } from './menuItems.js';
+import { importRowSchema } from './validation.js';
+
+// Columns of the import/export format, in spreadsheet order
+export const MENU_TRANSFER_COLUMNS = [
+  'category',
+  'name',
+  'description',
+  'price',
+  'original_price',
+  'is_vegetarian',
+  'is_vegan',
+  'is_gluten_free',
+  'is_halal',
+  'allergens',
+  'nutritional_info',
+  'preparation_time',
+  'is_available',
+  'is_featured',
+  'sort_order',
+];
+
+// Allergens are a single spreadsheet cell, e.g. "milk;eggs"
+const ALLERGEN_SEPARATOR = ';';
+
+/**
+ * Pull the raw rows out of an import request body
+ * @param {string|Array|Object} body - CSV text, a JSON array, or { items: [...] }
+ * @param {boolean} isCsv - Whether the body is CSV text
+ * @returns {Array<Object>} Raw rows
+ */
+export const readImportRows = (body, isCsv) => {
+  const rows = isCsv ? parseCsv(body) : (Array.isArray(body) ? body : body.items);
+
+  if (!Array.isArray(rows)) {
+    throw validationError('items', 'Send a CSV document, a JSON array of rows or { items: [...] }');
+  }
+  if (rows.length === 0) {
+    throw validationError('items', 'The import contains no rows');
+  }
+  if (rows.length > config.business.maxMenuImportRows) {
+    throw validationError('items', `An import can contain at most ${config.business.maxMenuImportRows} rows`);
+  }
+  return rows;
+};
+
+// Empty spreadsheet cells mean "not set"
+const normalizeRow = (raw) => {
+  const row = Object.fromEntries(Object.entries(raw).filter(([, value]) => value !== ''));
+  if (typeof row.allergens === 'string') {
+    row.allergens = row.allergens.split(ALLERGEN_SEPARATOR).map((allergen) => allergen.trim()).filter(Boolean);
+  }
+  return row;
+};
+
+/**
+ * Validate every row, collecting errors instead of stopping at the first.
+ * Rows are numbered from 1 in the order they were sent.
+ * @param {Array<Object>} rawRows - Rows from readImportRows
+ * @returns {{ rows: Array, errors: Array }} Valid rows ({ row, ...fields }) and
+ *   errors as [{ row, field, message }]
+ */
+export const validateImportRows = (rawRows) => {
+  const rows = [];
+  const errors = [];
+  const seenNames = new Map();
+
+  rawRows.forEach((raw, index) => {
+    const row = index + 1;
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ row, field: 'row', message: 'Each row must be an object of column values' });
+      return;
+    }
+
+    const { error, value } = importRowSchema.validate(normalizeRow(raw), {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } },
+    });
+
+    if (error) {
+      errors.push(...error.details.map((detail) => ({ row, field: detail.path.join('.'), message: detail.message })));
+      return;
+    }
+
+    const key = value.name.toLowerCase();
+    if (seenNames.has(key)) {
+      errors.push({ row, field: 'name', message: `Duplicates the item on row ${seenNames.get(key)}` });
+      return;
+    }
+    seenNames.set(key, row);
+    rows.push({ row, ...value });
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Work out what an import would do without writing anything.
+ * Items are matched to existing ones by name (case-insensitive) and updated;
+ * the rest are created. Unknown category names become new vendor categories.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Array} rows - Valid rows from validateImportRows
+ * @returns {Promise<Object>} { rows: [{ row, action, id, name, category, data, item }], categoriesToCreate, categoryIds }
+ */
+export const planMenuImport = async (client, branch, rows) => {
+  const categories = await listVendorCategories(branch.vendor_id, { branchId: branch.id });
+  const categoryIds = new Map();
+  // The vendor's own categories win over global ones with the same name
+  for (const category of [...categories].sort((a, b) => (a.vendor_id === null) - (b.vendor_id === null))) {
+    const key = category.name.toLowerCase();
+    if (!categoryIds.has(key)) categoryIds.set(key, category.id);
+  }
+
+  const existing = await client.query(
+    `SELECT ${menuItemColumns()} FROM menu_items WHERE branch_id = $1 AND deleted_at IS NULL ORDER BY created_at`,
+    [branch.id]
+  );
+  const existingItems = new Map();
+  for (const item of existing.rows) {
+    const key = item.name.toLowerCase();
+    if (!existingItems.has(key)) existingItems.set(key, item);
+  }
+
+  const categoriesToCreate = new Map();
+  const planned = rows.map(({ row, category, ...data }) => {
+    const categoryKey = category ? category.toLowerCase() : null;
+    if (categoryKey && !categoryIds.has(categoryKey) && !categoriesToCreate.has(categoryKey)) {
+      categoriesToCreate.set(categoryKey, category);
+    }
+    const item = existingItems.get(data.name.toLowerCase()) || null;
+    return { row, action: item ? 'update' : 'create', id: item?.id ?? null, name: data.name, category: category ?? null, data, item };
+  });
+
+  return { rows: planned, categoriesToCreate: [...categoriesToCreate.values()], categoryIds };
+};
+
+/**
+ * Summarize a plan or an applied import for the response
+ * @param {Object} plan - From planMenuImport or applyMenuImport
+ * @param {Array} errors - Row errors from validateImportRows
+ * @param {boolean} dryRun - Whether nothing was written
+ * @returns {Object} { dry_run, valid, total, created, updated, categories_created, rows, errors }
+ */
+export const importReport = (plan, errors, dryRun) => ({
+  dry_run: dryRun,
+  valid: errors.length === 0,
+  total: plan.rows.length + new Set(errors.map((error) => error.row)).size,
+  created: plan.rows.filter((row) => row.action === 'create').length,
+  updated: plan.rows.filter((row) => row.action === 'update').length,
+  categories_created: plan.categoriesToCreate,
+  rows: plan.rows.map(({ row, action, id, name, category }) => ({ row, action, id, name, category })),
+  errors,
+});
+
+/**
+ * Write a planned import: create missing categories, then create or update each item
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} plan - From planMenuImport, in the same transaction
+ * @returns {Promise<Object>} The plan with item IDs filled in for created rows
+ */
+export const applyMenuImport = async (client, branch, plan) => {
+  const categoryIds = new Map(plan.categoryIds);
+  for (const name of plan.categoriesToCreate) {
+    const category = await createCategory(client, branch.vendor_id, { name });
+    categoryIds.set(name.toLowerCase(), category.id);
+  }
+
+  const rows = [];
+  for (const planned of plan.rows) {
+    // An empty category cell keeps an updated item's current category
+    const data = {
+      ...planned.data,
+      category_id: planned.category ? categoryIds.get(planned.category.toLowerCase()) : undefined,
+    };
+    const item = planned.action === 'update'
+      ? await updateMenuItem(client, branch, planned.item, data)
+      : await createMenuItem(client, branch, data);
+    rows.push({ ...planned, id: item.id });
+  }
+
+  return { ...plan, rows };
+};
+
+/**
+ * Export a branch's menu in the import format, including unavailable items
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array<Object>>} Rows keyed by MENU_TRANSFER_COLUMNS
+ */
+export const exportMenuRows = async (branchId) => {
+  const result = await query(
+    `SELECT ${menuItemColumns('m')}, c.name AS category FROM menu_items m
+     LEFT JOIN menu_categories c ON c.id = m.category_id
+     WHERE m.branch_id = $1 AND m.deleted_at IS NULL
+     ORDER BY m.sort_order, m.name`,
+    [branchId]
+  );
+  return result.rows.map((item) => Object.fromEntries(MENU_TRANSFER_COLUMNS.map((column) => [column, item[column]])));
+};
+
+/**
+ * Format exported rows as a CSV spreadsheet
+ * @param {Array<Object>} rows - From exportMenuRows
+ * @returns {string} CSV document
+ */
+export const menuRowsToCsv = (rows) => toCsv(MENU_TRANSFER_COLUMNS, rows.map((row) => ({
+  ...row,
+  allergens: row.allergens ? row.allergens.join(ALLERGEN_SEPARATOR) : null,
+  nutritional_info: row.nutritional_info ? JSON.stringify(row.nutritional_info) : null,
+})));
+
+export default {
+  MENU_TRANSFER_COLUMNS,
+  readImportRows,
+  validateImportRows,
+  planMenuImport,
+  importReport,
+  applyMenuImport,
+  exportMenuRows,
+  menuRowsToCsv
+};
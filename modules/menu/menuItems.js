@@ -0,0 +1,234 @@
+// =====================================================
+// MENU ITEMS FOR VENDORS MICROSERVICE
+// Data access for a branch's menu items
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { menuItemColumns } from '../database/columns.js';
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { conflictError, validationError } from '../../utils/errors.js';
+import { keyset, toPage } from '../../utils/pagination.js';
+import { assertCategoryUsable } from './categories.js';
+import { textMatchSql } from '../search/search.js';
+
+export const MENU_ITEM_COLUMNS = [
+  'category_id',
+  'name',
+  'description',
+  'price',
+  'original_price',
+  'image_path',
+  'image_variants',
+  'is_vegetarian',
+  'is_vegan',
+  'is_gluten_free',
+  'is_halal',
+  'allergens',
+  'nutritional_info',
+  'preparation_time',
+  'is_available',
+  'is_featured',
+  'sort_order',
+];
+
+const JSON_COLUMNS = ['allergens', 'nutritional_info', 'image_variants'];
+
+// What a branch following the main menu may still change on copied items
+const OVERRIDABLE_COLUMNS = ['price', 'is_available'];
+
+/**
+ * Reject changes to a copied item that the next sync from the main branch
+ * would undo. Only branches following the main menu are restricted.
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} item - Menu item row
+ * @param {Array<string>} fields - Fields the request changes
+ */
+export const assertEditableCopy = (branch, item, fields) => {
+  if (!branch.follows_main_menu || !item.source_item_id) return;
+  const locked = fields.filter((field) => !OVERRIDABLE_COLUMNS.includes(field));
+  if (locked.length > 0) {
+    throw conflictError(`This item follows the main branch menu; only ${OVERRIDABLE_COLUMNS.join(' and ')} can be changed here`);
+  }
+};
+
+/**
+ * List a branch's menu items for its vendor, including unavailable ones
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>} Items in display order
+ */
+export const listBranchMenuItems = async (branchId) => {
+  const result = await query(
+    `SELECT ${menuItemColumns()} FROM menu_items WHERE branch_id = $1 AND deleted_at IS NULL ORDER BY sort_order, name`,
+    [branchId]
+  );
+  return result.rows;
+};
+
+// Sort keys of each public menu sort, before the shared tie-breakers
+const PUBLIC_MENU_SORTS = {
+  sort_order: [],
+  price_asc: [{ sql: 'm.price' }],
+  price_desc: [{ sql: 'm.price', descending: true }],
+  popularity: [{ sql: `(SELECT COUNT(*) FROM favorites f WHERE f.menu_item_id = m.id AND f.type = 'menu_item')`, descending: true }],
+  preparation_time: [{ sql: '(m.preparation_time IS NULL)' }, { sql: 'COALESCE(m.preparation_time, 0)' }],
+};
+
+// sort_order, then name and id settle ties
+const MENU_TIE_BREAKERS = [{ sql: 'COALESCE(m.sort_order, 0)' }, { sql: 'm.name' }, { sql: 'm.id' }];
+
+const DIETARY_COLUMNS = {
+  vegetarian: 'is_vegetarian',
+  vegan: 'is_vegan',
+  glutenFree: 'is_gluten_free',
+  halal: 'is_halal',
+};
+
+/**
+ * List the items customers can order from a branch. Items filed under a
+ * hidden category are hidden with it. Excluding allergens also leaves out
+ * items that declare none at all, as they cannot be vouched for; an empty
+ * allergen list declares the item free of all of them.
+ * @param {string} branchId - Branch ID
+ * @param {Object} filters - Validated { search, minPrice, maxPrice, excludeAllergens,
+ *   vegetarian, vegan, glutenFree, halal, sort, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination: { limit, next_cursor, has_more } } with
+ *   matching items in the chosen order
+ */
+export const listPublicMenuItems = async (branchId, {
+  search, minPrice, maxPrice, excludeAllergens, sort = 'sort_order', limit, cursor, ...dietary
+}) => {
+  const params = [branchId];
+  const conditions = [
+    'm.branch_id = $1',
+    'm.deleted_at IS NULL',
+    'm.is_available = TRUE',
+    '(m.category_id IS NULL OR (c.is_active = TRUE AND c.deleted_at IS NULL))',
+  ];
+  if (search) {
+    params.push(search);
+    conditions.push(textMatchSql('m', `$${params.length}`));
+  }
+  if (minPrice !== undefined) {
+    params.push(minPrice);
+    conditions.push(`m.price >= $${params.length}`);
+  }
+  if (maxPrice !== undefined) {
+    params.push(maxPrice);
+    conditions.push(`m.price <= $${params.length}`);
+  }
+  if (excludeAllergens?.length) {
+    params.push(excludeAllergens);
+    conditions.push(`m.allergens IS NOT NULL AND NOT (m.allergens ?| $${params.length}::text[])`);
+  }
+  for (const [filter, column] of Object.entries(DIETARY_COLUMNS)) {
+    if (dietary[filter]) conditions.push(`m.${column} = TRUE`);
+  }
+
+  const page = keyset([...PUBLIC_MENU_SORTS[sort], ...MENU_TIE_BREAKERS], cursor, params);
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT ${menuItemColumns('m')}, ${page.pageKey} FROM menu_items m
+     LEFT JOIN menu_categories c ON c.id = m.category_id
+     WHERE ${conditions.join(' AND ')} AND ${page.after}
+     ORDER BY ${page.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  return toPage(result.rows, limit);
+};
+
+/**
+ * Create a menu item
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} data - Validated menu item fields
+ * @returns {Promise<Object>} The created item
+ */
+export const createMenuItem = async (client, branch, data) => {
+  await assertCategoryUsable(client, data.category_id, branch);
+  const insert = buildInsert({ ...data, branch_id: branch.id }, ['branch_id', ...MENU_ITEM_COLUMNS], { jsonColumns: JSON_COLUMNS });
+  const result = await client.query(
+    `INSERT INTO menu_items (${insert.columns}) VALUES (${insert.placeholders}) RETURNING ${menuItemColumns()}`,
+    insert.values
+  );
+  return result.rows[0];
+};
+
+/**
+ * Apply a partial update to a menu item
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row the item belongs to
+ * @param {Object} item - Current menu item row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated item
+ */
+export const updateMenuItem = async (client, branch, item, data) => {
+  assertEditableCopy(branch, item, Object.keys(data).filter((field) => data[field] !== undefined));
+  await assertCategoryUsable(client, data.category_id, branch);
+
+  // A copy's own price or availability survives later syncs from its source
+  const overrides = item.source_item_id ? {
+    price_overridden: data.price !== undefined ? true : undefined,
+    availability_overridden: data.is_available !== undefined ? true : undefined,
+  } : {};
+  const update = buildSetClause({ ...data, ...overrides }, [...MENU_ITEM_COLUMNS, 'price_overridden', 'availability_overridden'], {
+    startIndex: 2,
+    jsonColumns: JSON_COLUMNS,
+  });
+  if (!update.clause) return item;
+  const result = await client.query(
+    `UPDATE menu_items SET ${update.clause} WHERE id = $1 RETURNING ${menuItemColumns()}`,
+    [item.id, ...update.values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Soft delete a menu item
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} item - Menu item row
+ * @returns {Promise<Object>} The deleted item
+ */
+export const deleteMenuItem = async (client, item) => {
+  const result = await client.query(
+    `UPDATE menu_items SET deleted_at = NOW(), is_available = FALSE WHERE id = $1 RETURNING ${menuItemColumns()}`,
+    [item.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Set sort_order for several items of one branch at once
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} branchId - Branch ID
+ * @param {Array} items - [{ id, sort_order }]
+ * @returns {Promise<Array>} Updated items in their new order
+ */
+export const reorderMenuItems = async (client, branchId, items) => {
+  const result = await client.query(
+    `UPDATE menu_items m SET sort_order = o.sort_order
+     FROM jsonb_to_recordset($2::jsonb) AS o(id UUID, sort_order INT)
+     WHERE m.id = o.id AND m.branch_id = $1 AND m.deleted_at IS NULL
+     RETURNING ${menuItemColumns('m')}`,
+    [branchId, JSON.stringify(items)]
+  );
+
+  if (result.rows.length !== items.length) {
+    const found = new Set(result.rows.map((row) => row.id));
+    const missing = items.filter((item) => !found.has(item.id)).map((item) => item.id);
+    throw validationError('items', `Menu items not found in this branch: ${missing.join(', ')}`);
+  }
+
+  return result.rows.sort((a, b) => a.sort_order - b.sort_order);
+};
+
+export default {
+  MENU_ITEM_COLUMNS,
+  assertEditableCopy,
+  listBranchMenuItems,
+  listPublicMenuItems,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem,
+  reorderMenuItems
+};
@@ -0,0 +1,528 @@
+// =====================================================
+// MENU CLONING AND SYNC FOR VENDORS MICROSERVICE
+// Copies a branch menu to sibling branches and keeps branches
+// that follow the main branch in step with it
+// =====================================================
+
+import { notFoundError, conflictError, validationError } from '../../utils/errors.js';
+import { branchColumns, menuItemColumns } from '../database/columns.js';
+import { notifyConsumers } from '../webhooks/outbox.js';
+
+// Item columns copied verbatim; category, price and availability are handled separately
+const SYNCED_ITEM_COLUMNS = [
+  'name',
+  'description',
+  'original_price',
+  'image_path',
+  'image_variants',
+  'is_vegetarian',
+  'is_vegan',
+  'is_gluten_free',
+  'is_halal',
+  'allergens',
+  'nutritional_info',
+  'preparation_time',
+  'is_featured',
+  'sort_order',
+];
+const SYNCED_GROUP_COLUMNS = ['name', 'description', 'is_required', 'min_selections', 'max_selections', 'sort_order'];
+const SYNCED_OPTION_COLUMNS = ['name', 'price_delta', 'is_available', 'is_default', 'sort_order'];
+const SYNCED_MEDIA_COLUMNS = ['media_type', 'image_path', 'image_variants', 'alt_text', 'sort_order'];
+const COPIED_OFFER_COLUMNS = [
+  'title',
+  'description',
+  'discount_type',
+  'discount_value',
+  'minimum_order_amount',
+  'maximum_discount',
+  'start_date',
+  'end_date',
+  'is_active',
+  'usage_limit',
+  'requires_code',
+];
+
+const select = (alias, columns) => columns.map((column) => `${alias}.${column}`).join(', ');
+const assign = (alias, columns) => columns.map((column) => `${column} = ${alias}.${column}`).join(', ');
+// Limits a statement to the source items in parameter $n; null lets every item through
+const ofItems = (column, n) => `($${n}::uuid[] IS NULL OR ${column} = ANY($${n}::uuid[]))`;
+
+/**
+ * Map the source branch's own categories to same-named categories of the
+ * target branch, creating them when missing. Vendor-wide and global
+ * categories are usable by every branch and need no mapping.
+ * @returns {Promise<Array>} [{ source_id, target_id }]
+ */
+const mapBranchCategories = async (client, source, target, itemIds) => {
+  const categories = await client.query(
+    `SELECT * FROM menu_categories
+     WHERE branch_id = $1 AND deleted_at IS NULL
+       AND ($2::uuid[] IS NULL OR id IN (SELECT category_id FROM menu_items WHERE id = ANY($2::uuid[])))`,
+    [source.id, itemIds]
+  );
+
+  const mapping = [];
+  for (const category of categories.rows) {
+    const existing = await client.query(
+      `SELECT id FROM menu_categories
+       WHERE branch_id = $1 AND LOWER(name) = LOWER($2) AND deleted_at IS NULL
+       LIMIT 1`,
+      [target.id, category.name]
+    );
+    const copy = existing.rows[0] || (await client.query(
+      `INSERT INTO menu_categories (vendor_id, branch_id, name, description, icon, sort_order, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [category.vendor_id, target.id, category.name, category.description, category.icon, category.sort_order, category.is_active]
+    )).rows[0];
+    mapping.push({ source_id: category.id, target_id: copy.id });
+  }
+  return mapping;
+};
+
+/**
+ * Copy the option groups and options of the source items onto their copies
+ */
+const syncOptionGroups = async (client, source, target, itemIds) => {
+  await client.query(
+    `INSERT INTO menu_item_option_groups (menu_item_id, source_group_id, ${SYNCED_GROUP_COLUMNS.join(', ')})
+     SELECT t.id, g.id, ${select('g', SYNCED_GROUP_COLUMNS)}
+     FROM menu_item_option_groups g
+     JOIN menu_items s ON s.id = g.menu_item_id AND s.branch_id = $1
+     JOIN menu_items t ON t.source_item_id = s.id AND t.branch_id = $2
+     WHERE g.deleted_at IS NULL AND ${ofItems('s.id', 3)}
+       AND NOT EXISTS (SELECT 1 FROM menu_item_option_groups c WHERE c.menu_item_id = t.id AND c.source_group_id = g.id)`,
+    [source.id, target.id, itemIds]
+  );
+  await client.query(
+    `UPDATE menu_item_option_groups c SET ${assign('g', SYNCED_GROUP_COLUMNS)}, deleted_at = g.deleted_at
+     FROM menu_item_option_groups g, menu_items t
+     WHERE c.source_group_id = g.id AND c.menu_item_id = t.id AND t.branch_id = $1 AND ${ofItems('t.source_item_id', 2)}`,
+    [target.id, itemIds]
+  );
+
+  await client.query(
+    `INSERT INTO menu_item_options (group_id, source_option_id, ${SYNCED_OPTION_COLUMNS.join(', ')})
+     SELECT c.id, o.id, ${select('o', SYNCED_OPTION_COLUMNS)}
+     FROM menu_item_options o
+     JOIN menu_item_option_groups c ON c.source_group_id = o.group_id
+     JOIN menu_items t ON t.id = c.menu_item_id AND t.branch_id = $1
+     WHERE o.deleted_at IS NULL AND ${ofItems('t.source_item_id', 2)}
+       AND NOT EXISTS (SELECT 1 FROM menu_item_options co WHERE co.group_id = c.id AND co.source_option_id = o.id)`,
+    [target.id, itemIds]
+  );
+  await client.query(
+    `UPDATE menu_item_options co SET ${assign('o', SYNCED_OPTION_COLUMNS)}, deleted_at = o.deleted_at
+     FROM menu_item_options o, menu_item_option_groups c, menu_items t
+     WHERE co.source_option_id = o.id AND co.group_id = c.id AND c.menu_item_id = t.id AND t.branch_id = $1 AND ${ofItems('t.source_item_id', 2)}`,
+    [target.id, itemIds]
+  );
+};
+
+/**
+ * Copy the photo galleries of the source items onto their copies. Primary
+ * flags are cleared before being set again so a moved primary never
+ * collides with the old one; a photo the copy added itself stays primary.
+ */
+const syncItemMedia = async (client, source, target, itemIds) => {
+  await client.query(
+    `INSERT INTO media (menu_item_id, source_media_id, ${SYNCED_MEDIA_COLUMNS.join(', ')})
+     SELECT t.id, m.id, ${select('m', SYNCED_MEDIA_COLUMNS)}
+     FROM media m
+     JOIN menu_items s ON s.id = m.menu_item_id AND s.branch_id = $1
+     JOIN menu_items t ON t.source_item_id = s.id AND t.branch_id = $2
+     WHERE m.deleted_at IS NULL AND ${ofItems('s.id', 3)}
+       AND NOT EXISTS (SELECT 1 FROM media c WHERE c.menu_item_id = t.id AND c.source_media_id = m.id)`,
+    [source.id, target.id, itemIds]
+  );
+  await client.query(
+    `UPDATE media c SET ${assign('m', SYNCED_MEDIA_COLUMNS)}, is_primary = FALSE, deleted_at = m.deleted_at
+     FROM media m, menu_items t
+     WHERE c.source_media_id = m.id AND c.menu_item_id = t.id AND t.branch_id = $1 AND ${ofItems('t.source_item_id', 2)}`,
+    [target.id, itemIds]
+  );
+  await client.query(
+    `UPDATE media c SET is_primary = TRUE
+     FROM media m, menu_items t
+     WHERE c.source_media_id = m.id AND c.menu_item_id = t.id AND t.branch_id = $1 AND ${ofItems('t.source_item_id', 2)}
+       AND m.is_primary AND c.deleted_at IS NULL
+       AND NOT EXISTS (SELECT 1 FROM media o WHERE o.menu_item_id = t.id AND o.is_primary AND o.deleted_at IS NULL)`,
+    [target.id, itemIds]
+  );
+};
+
+/**
+ * Copy offers that haven't ended yet, with their schedules; offers copied
+ * before are skipped. Item targets point at the target branch's copies of
+ * the items and branch categories at their mapped counterparts.
+ * @returns {Promise<number>} Number of offers copied
+ */
+const copyOffers = async (client, source, target, categoryMap) => {
+  const result = await client.query(
+    `INSERT INTO offers (branch_id, source_offer_id, ${COPIED_OFFER_COLUMNS.join(', ')})
+     SELECT $2, o.id, ${select('o', COPIED_OFFER_COLUMNS)}
+     FROM offers o
+     WHERE o.branch_id = $1 AND o.deleted_at IS NULL AND o.terminated_at IS NULL AND o.end_date > NOW()
+       AND NOT EXISTS (SELECT 1 FROM offers c WHERE c.branch_id = $2 AND c.source_offer_id = o.id)
+     RETURNING id`,
+    [source.id, target.id]
+  );
+  const copies = result.rows.map((row) => row.id);
+
+  await client.query(
+    `INSERT INTO offer_targets (offer_id, menu_item_id)
+     SELECT c.id, t.id
+     FROM offers c
+     JOIN offer_targets ot ON ot.offer_id = c.source_offer_id
+     JOIN menu_items t ON t.source_item_id = ot.menu_item_id AND t.branch_id = $1
+     WHERE c.id = ANY($2::uuid[])`,
+    [target.id, copies]
+  );
+  await client.query(
+    `INSERT INTO offer_targets (offer_id, category_id)
+     SELECT c.id, COALESCE(map.target_id, ot.category_id)
+     FROM offers c
+     JOIN offer_targets ot ON ot.offer_id = c.source_offer_id AND ot.category_id IS NOT NULL
+     LEFT JOIN jsonb_to_recordset($2::jsonb) AS map(source_id INT, target_id INT) ON map.source_id = ot.category_id
+     WHERE c.id = ANY($1::uuid[])`,
+    [copies, categoryMap]
+  );
+  await client.query(
+    `INSERT INTO offer_schedules (offer_id, days_of_week, start_time, end_time)
+     SELECT c.id, s.days_of_week, s.start_time, s.end_time
+     FROM offers c
+     JOIN offer_schedules s ON s.offer_id = c.source_offer_id
+     WHERE c.id = ANY($1::uuid[])`,
+    [copies]
+  );
+  return copies.length;
+};
+
+/**
+ * Copy one branch's menu onto another. Copies remember their source item, so
+ * running it again updates them in place instead of duplicating. Price and
+ * availability the target branch has overridden are kept; images are shared.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} source - vendor_branches row to copy from
+ * @param {Object} target - vendor_branches row to copy to
+ * @param {Object} options - { includeOffers } also copy running and upcoming offers,
+ *   { replace } remove target items that are not in the source menu,
+ *   { restoreDeleted } bring back copies the target branch had deleted,
+ *   { itemIds } copy only these source items instead of the whole menu
+ * @returns {Promise<Object>} { branch_id, items_created, items_updated, items_removed, offers_copied }
+ */
+export const copyBranchMenu = async (client, source, target, options = {}) => {
+  const { includeOffers = false, replace = false, restoreDeleted = false, itemIds = null } = options;
+
+  // Concurrent copies onto one branch would each see no copy yet and both insert
+  // one; callers copying onto several branches lock them in id order
+  await client.query('SELECT id FROM vendor_branches WHERE id = $1 FOR UPDATE', [target.id]);
+  const categoryMap = JSON.stringify(await mapBranchCategories(client, source, target, itemIds));
+
+  // Adopt items the target already has under the same name, one per source item
+  await client.query(
+    `UPDATE menu_items t SET source_item_id = s.id
+     FROM (
+       SELECT DISTINCT ON (s.id) s.id, t.id AS target_id
+       FROM menu_items s
+       JOIN menu_items t ON t.branch_id = $2 AND t.deleted_at IS NULL AND t.source_item_id IS NULL
+         AND LOWER(t.name) = LOWER(s.name)
+       WHERE s.branch_id = $1 AND s.deleted_at IS NULL AND ${ofItems('s.id', 3)}
+         AND NOT EXISTS (SELECT 1 FROM menu_items o WHERE o.branch_id = $2 AND o.source_item_id = s.id)
+       ORDER BY s.id, t.created_at, t.id
+     ) s
+     WHERE t.id = s.target_id`,
+    [source.id, target.id, itemIds]
+  );
+
+  const updated = await client.query(
+    `UPDATE menu_items t SET ${assign('s', SYNCED_ITEM_COLUMNS)},
+       category_id = COALESCE(map.target_id, s.category_id),
+       price = CASE WHEN t.price_overridden THEN t.price ELSE s.price END,
+       is_available = CASE
+         WHEN s.deleted_at IS NOT NULL THEN FALSE
+         WHEN t.availability_overridden THEN t.is_available
+         ELSE s.is_available END,
+       deleted_at = CASE
+         WHEN s.deleted_at IS NOT NULL THEN COALESCE(t.deleted_at, s.deleted_at)
+         WHEN $4 THEN NULL
+         ELSE t.deleted_at END
+     FROM menu_items s
+     LEFT JOIN jsonb_to_recordset($3::jsonb) AS map(source_id INT, target_id INT) ON map.source_id = s.category_id
+     WHERE t.source_item_id = s.id AND s.branch_id = $1 AND t.branch_id = $2
+       AND (t.deleted_at IS NULL OR s.deleted_at IS NULL AND $4)
+       AND ${ofItems('s.id', 5)}`,
+    [source.id, target.id, categoryMap, restoreDeleted, itemIds]
+  );
+
+  const created = await client.query(
+    `INSERT INTO menu_items (branch_id, source_item_id, category_id, price, is_available, ${SYNCED_ITEM_COLUMNS.join(', ')})
+     SELECT $2, s.id, COALESCE(map.target_id, s.category_id), s.price, s.is_available, ${select('s', SYNCED_ITEM_COLUMNS)}
+     FROM menu_items s
+     LEFT JOIN jsonb_to_recordset($3::jsonb) AS map(source_id INT, target_id INT) ON map.source_id = s.category_id
+     WHERE s.branch_id = $1 AND s.deleted_at IS NULL AND ${ofItems('s.id', 4)}
+       AND NOT EXISTS (SELECT 1 FROM menu_items t WHERE t.branch_id = $2 AND t.source_item_id = s.id)`,
+    [source.id, target.id, categoryMap, itemIds]
+  );
+
+  let removed = 0;
+  if (replace) {
+    const result = await client.query(
+      `UPDATE menu_items t SET deleted_at = NOW(), is_available = FALSE
+       WHERE t.branch_id = $2 AND t.deleted_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM menu_items s WHERE s.id = t.source_item_id AND s.branch_id = $1 AND s.deleted_at IS NULL
+         )`,
+      [source.id, target.id]
+    );
+    removed = result.rowCount;
+  }
+
+  await syncOptionGroups(client, source, target, itemIds);
+  await syncItemMedia(client, source, target, itemIds);
+
+  return {
+    branch_id: target.id,
+    items_created: created.rowCount,
+    items_updated: updated.rowCount,
+    items_removed: removed,
+    offers_copied: includeOffers ? await copyOffers(client, source, target, categoryMap) : 0,
+  };
+};
+
+/**
+ * Load sibling branches of a vendor to clone a menu into
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} source - vendor_branches row being copied
+ * @param {Array<string>} branchIds - Target branch IDs
+ * @returns {Promise<Array>} vendor_branches rows
+ */
+export const getCloneTargets = async (client, source, branchIds) => {
+  if (branchIds.includes(source.id)) {
+    throw validationError('target_branch_ids', 'A branch cannot be cloned onto itself');
+  }
+  const result = await client.query(
+    `SELECT ${branchColumns()} FROM vendor_branches WHERE id = ANY($1::uuid[]) AND vendor_id = $2 AND deleted_at IS NULL ORDER BY id`,
+    [branchIds, source.vendor_id]
+  );
+  if (result.rows.length !== branchIds.length) {
+    const found = new Set(result.rows.map((branch) => branch.id));
+    const missing = branchIds.filter((id) => !found.has(id));
+    throw validationError('target_branch_ids', `Branches not found for this vendor: ${missing.join(', ')}`);
+  }
+  return result.rows;
+};
+
+/**
+ * Load the vendor's main branch
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} vendor_branches row
+ */
+export const getMainBranch = async (client, vendorId) => {
+  const result = await client.query(
+    `SELECT ${branchColumns()} FROM vendor_branches WHERE vendor_id = $1 AND is_main_branch = TRUE AND deleted_at IS NULL`,
+    [vendorId]
+  );
+  if (result.rows.length === 0) throw conflictError('The vendor has no main branch to follow');
+  return result.rows[0];
+};
+
+/**
+ * Push changed items of the main branch's menu out to every branch that
+ * follows it, with one menu_synced event for all of them. Call after any
+ * change to the main branch's menu, in the same transaction. Does nothing
+ * for other branches.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row whose menu changed
+ * @param {Object} actor - Webhook actor ({ id, role })
+ * @param {Array<string>|null} itemIds - Items that changed, or null to sync the whole menu
+ * @returns {Promise<Array>} Sync summary per follower
+ */
+export const syncFollowerMenus = async (client, branch, actor, itemIds = null) => {
+  if (!branch.is_main_branch) return [];
+
+  const followers = await client.query(
+    `SELECT ${branchColumns()} FROM vendor_branches
+     WHERE vendor_id = $1 AND follows_main_menu = TRUE AND deleted_at IS NULL
+     ORDER BY id`,
+    [branch.vendor_id]
+  );
+  if (followers.rows.length === 0) return [];
+
+  const summaries = [];
+  for (const follower of followers.rows) {
+    summaries.push(await copyBranchMenu(client, branch, follower, { itemIds }));
+  }
+  await notifyConsumers(client, { source_branch_id: branch.id, item_ids: itemIds, branches: summaries }, 'menu_synced', actor);
+  return summaries;
+};
+
+/**
+ * Start or stop following the main branch menu. Starting copies it right away.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {boolean} follow - Whether the branch should follow the main branch
+ * @returns {Promise<Object>} { branch, sync } where sync is null when unlinking
+ */
+export const setFollowsMainMenu = async (client, branch, follow) => {
+  let sync = null;
+  if (follow) {
+    const main = await getMainBranch(client, branch.vendor_id);
+    if (main.id === branch.id) throw conflictError('The main branch cannot follow its own menu');
+    sync = await copyBranchMenu(client, main, branch);
+  }
+
+  const result = await client.query(
+    `UPDATE vendor_branches SET follows_main_menu = $2 WHERE id = $1 RETURNING ${branchColumns()}`,
+    [branch.id, follow]
+  );
+  return { branch: result.rows[0], sync };
+};
+
+// How the copies at each level of a menu are tied to the rows they copy:
+// items in a branch, option groups and photos on an item, options in a
+// group. `branchOf` finds the branch of copy c; copies are matched on a
+// shared source first, then on `match`.
+const ITEM_BRANCH = '(SELECT branch_id FROM menu_items WHERE id = c.menu_item_id)';
+const COPY_LEVELS = [
+  { table: 'menu_items', source: 'source_item_id', parent: 'branch_id', branchOf: 'c.branch_id', match: 'LOWER(#.name)' },
+  {
+    table: 'menu_item_option_groups',
+    source: 'source_group_id',
+    parent: 'menu_item_id',
+    parentTable: 'menu_items',
+    parentSource: 'source_item_id',
+    branchOf: ITEM_BRANCH,
+    match: 'LOWER(#.name)',
+  },
+  {
+    table: 'menu_item_options',
+    source: 'source_option_id',
+    parent: 'group_id',
+    parentTable: 'menu_item_option_groups',
+    parentSource: 'source_group_id',
+    branchOf: `(SELECT i.branch_id FROM menu_item_option_groups g JOIN menu_items i ON i.id = g.menu_item_id
+      WHERE g.id = c.group_id)`,
+    match: 'LOWER(#.name)',
+  },
+  {
+    table: 'media',
+    source: 'source_media_id',
+    parent: 'menu_item_id',
+    parentTable: 'menu_items',
+    parentSource: 'source_item_id',
+    branchOf: ITEM_BRANCH,
+    match: '#.image_path',
+  },
+];
+
+/**
+ * Point the copies in follower branches at the new main branch's menu after
+ * the main branch changed, so the next sync updates them in place instead of
+ * copying the menu again. Level by level, each copy of an old main row takes
+ * the new main's row with the same source, or else the same name; copies
+ * left without a counterpart are deleted, being off the menu now followed.
+ */
+const relinkFollowerCopies = async (client, previousMain, main) => {
+  const followers = await client.query(
+    'SELECT id FROM vendor_branches WHERE vendor_id = $1 AND follows_main_menu = TRUE AND deleted_at IS NULL',
+    [main.vendor_id]
+  );
+  if (followers.rows.length === 0) return;
+  const branchIds = followers.rows.map((branch) => branch.id);
+
+  for (const { table, source, parent, parentTable, parentSource, branchOf, match } of COPY_LEVELS) {
+    // A copy is stale while its source isn't where the new main keeps that
+    // level: in the new main branch, or under the row its parent now copies
+    const newParent = parentTable ? `p.${parentSource}` : '$3::uuid';
+    const stale = parentTable ? `o.${parent} <> p.${parentSource}` : `o.${parent} = $2`;
+    const params = parentTable ? [branchIds] : [branchIds, previousMain.id];
+    const ofParent = parentTable ? `AND p.id = c.${parent}` : '';
+    const sameSource = `(n.${source} = o.id OR o.${source} = n.id OR n.${source} = o.${source})`;
+
+    await client.query(
+      `WITH candidates AS (
+         SELECT c.id AS copy_id, c.${parent} AS parent_id, n.id AS source_id, ${sameSource} IS NOT TRUE AS by_match
+         FROM ${table} c
+         JOIN ${table} o ON o.id = c.${source}
+         ${parentTable ? `JOIN ${parentTable} p ON p.id = c.${parent}` : ''}
+         JOIN ${table} n ON n.${parent} = ${newParent} AND n.deleted_at IS NULL
+           AND (${sameSource} OR ${match.replace('#', 'n')} = ${match.replace('#', 'o')})
+         WHERE ${branchOf} = ANY($1::uuid[]) AND ${stale}
+           AND NOT EXISTS (
+             SELECT 1 FROM ${table} x WHERE x.${parent} = c.${parent} AND x.${source} = n.id AND x.deleted_at IS NULL
+           )
+       ),
+       best AS (
+         SELECT DISTINCT ON (copy_id) * FROM candidates ORDER BY copy_id, by_match
+       ),
+       matches AS (
+         SELECT DISTINCT ON (parent_id, source_id) * FROM best ORDER BY parent_id, source_id, by_match, copy_id
+       )
+       UPDATE ${table} c SET ${source} = m.source_id FROM matches m WHERE c.id = m.copy_id`,
+      parentTable ? params : [...params, main.id]
+    );
+    await client.query(
+      `UPDATE ${table} c SET deleted_at = NOW()${table === 'menu_items' ? ', is_available = FALSE' : ''}
+       FROM ${table} o${parentTable ? `, ${parentTable} p` : ''}
+       WHERE o.id = c.${source} ${ofParent} AND c.deleted_at IS NULL
+         AND ${branchOf} = ANY($1::uuid[]) AND ${stale}`,
+      params
+    );
+  }
+};
+
+/**
+ * Make a branch the vendor's main branch, then sync branches that follow it
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} actor - Webhook actor ({ id, role })
+ * @returns {Promise<Object>} The updated branch
+ */
+export const setMainBranch = async (client, branch, actor) => {
+  // Two statements, so the one-main-branch index never sees two at once
+  const previous = await client.query(
+    'UPDATE vendor_branches SET is_main_branch = FALSE WHERE vendor_id = $1 AND is_main_branch = TRUE AND id <> $2 RETURNING id',
+    [branch.vendor_id, branch.id]
+  );
+  const result = await client.query(
+    `UPDATE vendor_branches SET is_main_branch = TRUE, follows_main_menu = FALSE WHERE id = $1 RETURNING ${branchColumns()}`,
+    [branch.id]
+  );
+
+  if (previous.rows.length > 0) await relinkFollowerCopies(client, previous.rows[0], result.rows[0]);
+  await syncFollowerMenus(client, result.rows[0], actor);
+  return result.rows[0];
+};
+
+/**
+ * Drop a copied item's price and availability overrides and take the
+ * values of its source item again
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} item - Menu item row
+ * @returns {Promise<Object>} The updated item
+ */
+export const clearItemOverrides = async (client, item) => {
+  if (!item.source_item_id) throw conflictError('This menu item was not copied from another branch');
+
+  const result = await client.query(
+    `UPDATE menu_items t SET price = s.price, is_available = s.is_available,
+       price_overridden = FALSE, availability_overridden = FALSE
+     FROM menu_items s
+     WHERE t.id = $1 AND s.id = t.source_item_id AND s.deleted_at IS NULL
+     RETURNING ${menuItemColumns('t')}`,
+    [item.id]
+  );
+  if (result.rows.length === 0) throw notFoundError('Source menu item');
+  return result.rows[0];
+};
+
+export default {
+  copyBranchMenu,
+  getCloneTargets,
+  getMainBranch,
+  syncFollowerMenus,
+  setFollowsMainMenu,
+  setMainBranch,
+  clearItemOverrides
+};
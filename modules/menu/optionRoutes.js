@@ -0,0 +1,151 @@
+// =====================================================
+// MENU ITEM OPTION ROUTES FOR VENDORS MICROSERVICE
+// Vendor-managed option groups and customer price quotes
+// =====================================================
+
+import { Router } from 'express';
+import { query, withTransaction } from '../database/connection.js';
+import { menuItemColumns } from '../database/columns.js';
+import {
+  validateToken,
+  optionalAuth,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireMenuItemAccess
+} from '../../middleware/auth.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { conflictError, notFoundError } from '../../utils/errors.js';
+import {
+  loadOptionGroups,
+  getOptionGroup,
+  getOption,
+  createOptionGroup,
+  updateOptionGroup,
+  deleteOptionGroup,
+  createOption,
+  updateOption,
+  deleteOption,
+  calculateItemPrice
+} from './options.js';
+import {
+  createOptionGroupSchema,
+  updateOptionGroupSchema,
+  createOptionSchema,
+  updateOptionSchema,
+  optionGroupParamsSchema,
+  priceQuoteSchema
+} from './validation.js';
+import { assertEditableCopy } from './menuItems.js';
+import { syncFollowerMenus } from './menuSync.js';
+
+const router = Router();
+
+const optionGroups = '/vendors/:vendorId/branches/:branchId/menu/:itemId/option-groups';
+const vendorMenuItem = [validateToken, requireVendorAccess, requireBranchAccess, requireMenuItemAccess];
+// Option groups of copied items are managed on the main branch
+const editableOptions = (req, res, next) => {
+  assertEditableCopy(req.branch, req.menuItem, ['option_groups']);
+  next();
+};
+const groupParams = validate(optionGroupParamsSchema, 'params');
+const optionParams = validate(optionGroupParamsSchema.keys({ optionId: Joi.string().guid().required() }), 'params');
+
+// Vendor list option groups of a menu item, including unavailable options
+router.get(optionGroups, ...vendorMenuItem, async (req, res) => {
+  const groups = await loadOptionGroups([req.menuItem.id]);
+  res.json(groups.get(req.menuItem.id));
+});
+
+// Vendor create option group, optionally with its options
+router.post(optionGroups, ...vendorMenuItem, editableOptions, validate(createOptionGroupSchema), async (req, res) => {
+  const group = await withTransaction(async (client) => {
+    const created = await createOptionGroup(client, req.menuItem, req.body);
+    await notifyConsumers(client, created, 'menu_item_option_group_added', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+    return created;
+  });
+  res.status(201).json(group);
+});
+
+// Vendor update option group name or selection rules
+router.patch(`${optionGroups}/:groupId`, ...vendorMenuItem, editableOptions, groupParams, validate(updateOptionGroupSchema), async (req, res) => {
+  const current = await getOptionGroup(req.menuItem, req.params.groupId);
+  const group = await withTransaction(async (client) => {
+    const updated = await updateOptionGroup(client, current, req.body);
+    await notifyConsumers(client, updated, 'menu_item_option_group_updated', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+    return updated;
+  });
+  res.json(group);
+});
+
+// Vendor soft delete option group
+router.delete(`${optionGroups}/:groupId`, ...vendorMenuItem, editableOptions, groupParams, async (req, res) => {
+  const current = await getOptionGroup(req.menuItem, req.params.groupId);
+  await withTransaction(async (client) => {
+    const group = await deleteOptionGroup(client, current);
+    await notifyConsumers(client, group, 'menu_item_option_group_deleted', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+  });
+  res.json({ message: 'Option group deleted' });
+});
+
+// Vendor add option to a group
+router.post(`${optionGroups}/:groupId/options`, ...vendorMenuItem, editableOptions, groupParams, validate(createOptionSchema), async (req, res) => {
+  const group = await getOptionGroup(req.menuItem, req.params.groupId);
+  const option = await withTransaction(async (client) => {
+    const created = await createOption(client, group, req.body);
+    await notifyConsumers(client, { ...created, menu_item_id: req.menuItem.id }, 'menu_item_option_added', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+    return created;
+  });
+  res.status(201).json(option);
+});
+
+// Vendor update option price, name or availability
+router.patch(`${optionGroups}/:groupId/options/:optionId`, ...vendorMenuItem, editableOptions, optionParams, validate(updateOptionSchema), async (req, res) => {
+  const group = await getOptionGroup(req.menuItem, req.params.groupId);
+  const current = await getOption(group, req.params.optionId);
+  const option = await withTransaction(async (client) => {
+    const updated = await updateOption(client, current, req.body);
+    await notifyConsumers(client, { ...updated, menu_item_id: req.menuItem.id }, 'menu_item_option_updated', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+    return updated;
+  });
+  res.json(option);
+});
+
+// Vendor soft delete option
+router.delete(`${optionGroups}/:groupId/options/:optionId`, ...vendorMenuItem, editableOptions, optionParams, async (req, res) => {
+  const group = await getOptionGroup(req.menuItem, req.params.groupId);
+  const current = await getOption(group, req.params.optionId);
+  await withTransaction(async (client) => {
+    const option = await deleteOption(client, current);
+    await notifyConsumers(client, { ...option, menu_item_id: req.menuItem.id }, 'menu_item_option_deleted', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [req.menuItem.id]);
+  });
+  res.json({ message: 'Option deleted' });
+});
+
+// Customer price a menu item with selected options
+router.post('/branches/:branchId/menu/:itemId/price', optionalAuth, validate(Joi.object({
+  branchId: Joi.string().guid().required(),
+  itemId: Joi.string().guid().required(),
+}), 'params'), validate(priceQuoteSchema), async (req, res) => {
+  const result = await query(
+    `SELECT ${menuItemColumns('m')} FROM menu_items m
+     LEFT JOIN menu_categories c ON c.id = m.category_id
+     WHERE m.id = $1 AND m.branch_id = $2 AND m.deleted_at IS NULL
+       AND (m.category_id IS NULL OR (c.is_active = TRUE AND c.deleted_at IS NULL))`,
+    [req.params.itemId, req.params.branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Menu item');
+  const item = result.rows[0];
+  if (!item.is_available) throw conflictError('Menu item is currently unavailable');
+
+  const groups = await loadOptionGroups([item.id]);
+  res.json(calculateItemPrice(item, groups.get(item.id), req.body.options, req.body.quantity));
+});
+
+export default router;
@@ -0,0 +1,288 @@
+// =====================================================
+// MENU ITEM OPTIONS FOR VENDORS MICROSERVICE
+// Option groups (sizes, add-ons, required choices) and pricing
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { HttpError, notFoundError, validationError } from '../../utils/errors.js';
+import { toCents, fromCents } from '../../utils/money.js';
+
+const OPTION_GROUP_COLUMNS = ['name', 'description', 'is_required', 'min_selections', 'max_selections', 'sort_order'];
+const OPTION_COLUMNS = ['name', 'price_delta', 'is_available', 'is_default', 'sort_order'];
+
+/**
+ * Work out min/max/required for a group after a change.
+ * is_required is kept equal to min_selections >= 1: setting it alone
+ * moves min_selections between 0 and 1.
+ * @param {Object} current - Current rules ({ min_selections, max_selections })
+ * @param {Object} data - Requested changes
+ * @returns {Object} { is_required, min_selections, max_selections }
+ */
+const resolveSelectionRules = (current, data) => {
+  const rules = {
+    min_selections: data.min_selections ?? current.min_selections,
+    max_selections: data.max_selections !== undefined ? data.max_selections : current.max_selections,
+  };
+
+  if (data.min_selections === undefined && data.is_required !== undefined) {
+    rules.min_selections = data.is_required ? Math.max(rules.min_selections, 1) : 0;
+  }
+  if (data.is_required === true && rules.min_selections < 1) {
+    throw validationError('min_selections', 'A required group must have min_selections of at least 1');
+  }
+  if (data.is_required === false && rules.min_selections > 0) {
+    throw validationError('is_required', 'A group with min_selections above 0 is always required');
+  }
+  if (rules.max_selections !== null && rules.max_selections < rules.min_selections) {
+    throw validationError('max_selections', 'max_selections cannot be less than min_selections');
+  }
+
+  return { ...rules, is_required: rules.min_selections > 0 };
+};
+
+/**
+ * Load the option groups of several menu items, each with its options
+ * @param {Array<string>} itemIds - Menu item IDs
+ * @param {Object} options - { availableOnly } to leave out unavailable options
+ * @returns {Promise<Map>} Menu item ID -> groups in display order
+ */
+export const loadOptionGroups = async (itemIds, { availableOnly = false } = {}) => {
+  const byItem = new Map(itemIds.map((id) => [id, []]));
+  if (itemIds.length === 0) return byItem;
+
+  const groups = await query(
+    `SELECT * FROM menu_item_option_groups
+     WHERE menu_item_id = ANY($1::uuid[]) AND deleted_at IS NULL
+     ORDER BY sort_order, name`,
+    [itemIds]
+  );
+  if (groups.rows.length === 0) return byItem;
+
+  const options = await query(
+    `SELECT * FROM menu_item_options
+     WHERE group_id = ANY($1::uuid[]) AND deleted_at IS NULL ${availableOnly ? 'AND is_available = TRUE' : ''}
+     ORDER BY sort_order, name`,
+    [groups.rows.map((group) => group.id)]
+  );
+
+  const byGroup = new Map(groups.rows.map((group) => [group.id, { ...group, options: [] }]));
+  for (const option of options.rows) byGroup.get(option.group_id).options.push(option);
+  for (const group of byGroup.values()) byItem.get(group.menu_item_id).push(group);
+  return byItem;
+};
+
+/**
+ * Add an option_groups array to each menu item
+ * @param {Array} items - Menu item rows
+ * @param {Object} options - { availableOnly } to leave out unavailable options
+ * @returns {Promise<Array>} The items with their option groups
+ */
+export const attachOptionGroups = async (items, options) => {
+  const groups = await loadOptionGroups(items.map((item) => item.id), options);
+  return items.map((item) => ({ ...item, option_groups: groups.get(item.id) }));
+};
+
+/**
+ * Load one option group of a menu item
+ * @param {Object} item - Menu item row
+ * @param {string} groupId - Option group ID
+ * @returns {Promise<Object>} Option group row
+ */
+export const getOptionGroup = async (item, groupId) => {
+  const result = await query(
+    'SELECT * FROM menu_item_option_groups WHERE id = $1 AND menu_item_id = $2 AND deleted_at IS NULL',
+    [groupId, item.id]
+  );
+  if (result.rows.length === 0) throw notFoundError('Option group');
+  return result.rows[0];
+};
+
+/**
+ * Load one option of an option group
+ * @param {Object} group - Option group row
+ * @param {string} optionId - Option ID
+ * @returns {Promise<Object>} Option row
+ */
+export const getOption = async (group, optionId) => {
+  const result = await query(
+    'SELECT * FROM menu_item_options WHERE id = $1 AND group_id = $2 AND deleted_at IS NULL',
+    [optionId, group.id]
+  );
+  if (result.rows.length === 0) throw notFoundError('Option');
+  return result.rows[0];
+};
+
+/**
+ * Create an option in a group
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} group - Option group row
+ * @param {Object} data - Validated option fields
+ * @returns {Promise<Object>} The created option
+ */
+export const createOption = async (client, group, data) => {
+  const insert = buildInsert({ ...data, group_id: group.id }, ['group_id', ...OPTION_COLUMNS]);
+  const result = await client.query(
+    `INSERT INTO menu_item_options (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+    insert.values
+  );
+  return result.rows[0];
+};
+
+/**
+ * Create an option group on a menu item, with its initial options
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} item - Menu item row
+ * @param {Object} data - Validated group fields and { options }
+ * @returns {Promise<Object>} The created group with its options
+ */
+export const createOptionGroup = async (client, item, { options = [], ...data }) => {
+  const rules = resolveSelectionRules({ min_selections: 0, max_selections: null }, data);
+  const insert = buildInsert({ ...data, ...rules, menu_item_id: item.id }, ['menu_item_id', ...OPTION_GROUP_COLUMNS]);
+  const result = await client.query(
+    `INSERT INTO menu_item_option_groups (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+    insert.values
+  );
+
+  const group = result.rows[0];
+  group.options = [];
+  for (const option of options) {
+    group.options.push(await createOption(client, group, option));
+  }
+  return group;
+};
+
+/**
+ * Apply a partial update to an option group
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} group - Current option group row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated group
+ */
+export const updateOptionGroup = async (client, group, data) => {
+  const rules = resolveSelectionRules(group, data);
+  const update = buildSetClause({ ...data, ...rules }, OPTION_GROUP_COLUMNS, { startIndex: 2 });
+  const result = await client.query(
+    `UPDATE menu_item_option_groups SET ${update.clause} WHERE id = $1 RETURNING *`,
+    [group.id, ...update.values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Soft delete an option group and its options
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} group - Option group row
+ * @returns {Promise<Object>} The deleted group
+ */
+export const deleteOptionGroup = async (client, group) => {
+  await client.query(
+    'UPDATE menu_item_options SET deleted_at = NOW() WHERE group_id = $1 AND deleted_at IS NULL',
+    [group.id]
+  );
+  const result = await client.query(
+    'UPDATE menu_item_option_groups SET deleted_at = NOW() WHERE id = $1 RETURNING *',
+    [group.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Apply a partial update to an option
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} option - Current option row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated option
+ */
+export const updateOption = async (client, option, data) => {
+  const update = buildSetClause(data, OPTION_COLUMNS, { startIndex: 2 });
+  if (!update.clause) return option;
+  const result = await client.query(
+    `UPDATE menu_item_options SET ${update.clause} WHERE id = $1 RETURNING *`,
+    [option.id, ...update.values]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Soft delete an option
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} option - Option row
+ * @returns {Promise<Object>} The deleted option
+ */
+export const deleteOption = async (client, option) => {
+  const result = await client.query(
+    'UPDATE menu_item_options SET deleted_at = NOW(), is_available = FALSE WHERE id = $1 RETURNING *',
+    [option.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Check a customer's option selection against the item's groups and price it.
+ * Defaults are only a hint for clients; nothing is selected implicitly.
+ * Throws a 400 listing every rule the selection breaks.
+ * @param {Object} item - Menu item row
+ * @param {Array} groups - The item's option groups with all their options
+ * @param {Array<string>} optionIds - Selected option IDs
+ * @param {number} quantity - Number of units
+ * @returns {Object} { menu_item_id, base_price, options, unit_price, quantity, total_price }
+ */
+export const calculateItemPrice = (item, groups, optionIds, quantity = 1) => {
+  const remaining = new Set(optionIds);
+  const selected = [];
+  const details = [];
+
+  for (const group of groups) {
+    const picks = group.options.filter((option) => remaining.has(option.id));
+    picks.forEach((option) => remaining.delete(option.id));
+
+    for (const option of picks.filter((pick) => !pick.is_available)) {
+      details.push({ field: 'options', message: `"${option.name}" is currently unavailable` });
+    }
+    if (picks.length < group.min_selections) {
+      details.push({ field: 'options', message: `Choose at least ${group.min_selections} from "${group.name}"` });
+    }
+    if (group.max_selections !== null && picks.length > group.max_selections) {
+      details.push({ field: 'options', message: `Choose at most ${group.max_selections} from "${group.name}"` });
+    }
+
+    selected.push(...picks.map((option) => ({
+      id: option.id,
+      group_id: group.id,
+      name: option.name,
+      price_delta: option.price_delta,
+    })));
+  }
+
+  if (remaining.size > 0) {
+    details.push({ field: 'options', message: `Options not offered for this item: ${[...remaining].join(', ')}` });
+  }
+  if (details.length > 0) {
+    throw new HttpError(400, 'Invalid selection', details.map((detail) => detail.message).join('; '), details);
+  }
+
+  const unitCents = Math.max(0, selected.reduce((sum, option) => sum + toCents(option.price_delta), toCents(item.price)));
+  return {
+    menu_item_id: item.id,
+    base_price: item.price,
+    options: selected,
+    unit_price: fromCents(unitCents),
+    quantity,
+    total_price: fromCents(unitCents * quantity),
+  };
+};
+
+export default {
+  loadOptionGroups,
+  attachOptionGroups,
+  getOptionGroup,
+  getOption,
+  createOptionGroup,
+  updateOptionGroup,
+  deleteOptionGroup,
+  createOption,
+  updateOption,
+  deleteOption,
+  calculateItemPrice
+};
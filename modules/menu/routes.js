@@ -0,0 +1,202 @@
+// =====================================================
+// MENU ROUTES FOR VENDORS MICROSERVICE
+// Vendor menu management and public menu browsing
+// =====================================================
+
+import express, { Router } from 'express';
+import config from '../../config/config.js';
+import { query, withTransaction } from '../database/connection.js';
+import {
+  validateToken,
+  optionalAuth,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireMenuItemAccess
+} from '../../middleware/auth.js';
+import { upload } from '../../middleware/upload.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { HttpError, notFoundError } from '../../utils/errors.js';
+import {
+  listBranchMenuItems,
+  listPublicMenuItems,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem,
+  reorderMenuItems
+} from './menuItems.js';
+import { listVendorCategories, groupItemsByCategory } from './categories.js';
+import { attachOptionGroups } from './options.js';
+import {
+  readImportRows,
+  validateImportRows,
+  planMenuImport,
+  importReport,
+  applyMenuImport,
+  exportMenuRows,
+  menuRowsToCsv
+} from './importExport.js';
+import { syncFollowerMenus } from './menuSync.js';
+import { withUploadedImage, imageColumns, releaseImage } from '../media/images.js';
+import { listMedia, attachMedia } from '../media/gallery.js';
+import { STOREFRONT_VISIBLE } from '../vendors/discovery.js';
+import {
+  ALLERGENS,
+  createMenuItemSchema,
+  updateMenuItemSchema,
+  availabilitySchema,
+  reorderSchema,
+  publicMenuQuerySchema,
+  importQuerySchema,
+  exportQuerySchema
+} from './validation.js';
+
+const router = Router();
+
+const branchMenu = '/vendors/:vendorId/branches/:branchId/menu';
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+const vendorMenuItem = [...vendorBranch, requireMenuItemAccess];
+
+// Menu imports skip the app-wide JSON parser for a larger limit of their own
+const importBody = [
+  express.json({ limit: config.upload.menuImportMaxSize }),
+  express.text({ type: 'text/csv', limit: config.upload.menuImportMaxSize }),
+];
+
+// Vendor list branch menu, including unavailable items
+router.get(branchMenu, ...vendorBranch, async (req, res) => {
+  res.json(await listBranchMenuItems(req.branch.id));
+});
+
+// Create menu item
+router.post(branchMenu, ...vendorBranch, upload.single('image'), validate(createMenuItemSchema), async (req, res) => {
+  const menuItem = await withUploadedImage(req.file, (image) => withTransaction(async (client) => {
+    const item = await createMenuItem(client, req.branch, { ...req.body, ...imageColumns(image) });
+    await notifyConsumers(client, item, 'menu_item_added', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [item.id]);
+    return item;
+  }));
+  res.json(menuItem);
+});
+
+// Vendor bulk reorder menu items
+router.put(`${branchMenu}/order`, ...vendorBranch, validate(reorderSchema), async (req, res) => {
+  const items = await withTransaction(async (client) => {
+    const reordered = await reorderMenuItems(client, req.branch.id, req.body.items);
+    await notifyConsumers(client, {
+      branch_id: req.branch.id,
+      items: reordered.map(({ id, sort_order }) => ({ id, sort_order })),
+    }, 'menu_items_reordered', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), reordered.map((item) => item.id));
+    return reordered;
+  });
+  res.json(items);
+});
+
+// Vendor bulk import menu from CSV or JSON (?dryRun=true to preview)
+router.post(`${branchMenu}/import`, ...vendorBranch, ...importBody, validate(importQuerySchema, 'query'), async (req, res) => {
+  const { dryRun } = req.query;
+  const { rows, errors } = validateImportRows(readImportRows(req.body, req.is('text/csv')));
+
+  // All rows or nothing: a real import with any invalid row writes nothing
+  if (!dryRun && errors.length > 0) {
+    const failedRows = new Set(errors.map((error) => error.row)).size;
+    throw new HttpError(400, 'Validation failed', `${failedRows} row(s) have errors, nothing was imported`, errors);
+  }
+
+  const report = await withTransaction(async (client) => {
+    const plan = await planMenuImport(client, req.branch, rows);
+    if (dryRun) return importReport(plan, errors, true);
+
+    const applied = await applyMenuImport(client, req.branch, plan);
+    await notifyConsumers(client, {
+      branch_id: req.branch.id,
+      created: applied.rows.filter((row) => row.action === 'create').map((row) => row.id),
+      updated: applied.rows.filter((row) => row.action === 'update').map((row) => row.id),
+      categories_created: applied.categoriesToCreate,
+    }, 'menu_imported', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), applied.rows.map((row) => row.id));
+    return importReport(applied, errors, false);
+  });
+  res.json(report);
+});
+
+// Vendor export menu in the import format
+router.get(`${branchMenu}/export`, ...vendorBranch, validate(exportQuerySchema, 'query'), async (req, res) => {
+  const rows = await exportMenuRows(req.branch.id);
+  if (req.query.format === 'json') return res.json({ items: rows });
+
+  res.type('text/csv');
+  res.attachment(`menu-${req.branch.id}.csv`);
+  res.send(menuRowsToCsv(rows));
+});
+
+// Vendor get menu item with its option groups
+router.get(`${branchMenu}/:itemId`, ...vendorMenuItem, async (req, res) => {
+  const [item] = await attachMedia('menu_item_id', await attachOptionGroups([req.menuItem]));
+  res.json(item);
+});
+
+// Vendor update menu item
+router.patch(`${branchMenu}/:itemId`, ...vendorMenuItem, upload.single('image'), validate(updateMenuItemSchema), async (req, res) => {
+  const menuItem = await withUploadedImage(req.file, (image) => withTransaction(async (client) => {
+    const item = await updateMenuItem(client, req.branch, req.menuItem, { ...req.body, ...imageColumns(image) });
+    await notifyConsumers(client, item, 'menu_item_updated', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [item.id]);
+    return item;
+  }));
+  if (menuItem.image_path !== req.menuItem.image_path) await releaseImage(req.menuItem.image_path);
+  res.json(menuItem);
+});
+
+// Vendor toggle availability ("86" an item)
+router.patch(`${branchMenu}/:itemId/availability`, ...vendorMenuItem, validate(availabilitySchema), async (req, res) => {
+  const menuItem = await withTransaction(async (client) => {
+    const item = await updateMenuItem(client, req.branch, req.menuItem, { is_available: req.body.is_available });
+    await notifyConsumers(client, item, 'menu_item_availability_changed', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [item.id]);
+    return item;
+  });
+  res.json(menuItem);
+});
+
+// Vendor soft delete menu item
+router.delete(`${branchMenu}/:itemId`, ...vendorMenuItem, async (req, res) => {
+  const media = await listMedia({ column: 'menu_item_id', id: req.menuItem.id });
+  await withTransaction(async (client) => {
+    const item = await deleteMenuItem(client, req.menuItem);
+    await notifyConsumers(client, item, 'menu_item_deleted', actorOf(req.user));
+    await syncFollowerMenus(client, req.branch, actorOf(req.user), [item.id]);
+  });
+  for (const imagePath of [req.menuItem.image_path, ...media.map((photo) => photo.image_path)]) {
+    await releaseImage(imagePath);
+  }
+  res.json({ message: 'Menu item deleted' });
+});
+
+// Customer list the allergens menu items declare and menus can exclude
+router.get('/menu/allergens', (req, res) => {
+  res.json(ALLERGENS);
+});
+
+// Customer view menus of storefront branches with search, price, allergen
+// and dietary filters, a page at a time; grouped menus group the items of the page
+router.get('/branches/:branchId/menu', optionalAuth, validate(Joi.object({ branchId: Joi.string().guid().required() }), 'params'), validate(publicMenuQuerySchema, 'query'), async (req, res) => {
+  const { branchId } = req.params;
+  const { groupBy, ...filters } = req.query;
+  const branch = await query(
+    `SELECT b.vendor_id FROM vendor_branches b JOIN vendors v ON v.id = b.vendor_id WHERE b.id = $1 AND ${STOREFRONT_VISIBLE}`,
+    [branchId]
+  );
+  if (branch.rows.length === 0) throw notFoundError('Branch');
+
+  const { data: rows, pagination } = await listPublicMenuItems(branchId, filters);
+  const items = await attachMedia('menu_item_id', await attachOptionGroups(rows, { availableOnly: true }));
+
+  if (groupBy !== 'category') return res.json({ data: items, pagination });
+
+  const categories = await listVendorCategories(branch.rows[0].vendor_id, { branchId });
+  res.json({ data: groupItemsByCategory(categories.filter((category) => category.is_active), items), pagination });
+});
+
+export default router;
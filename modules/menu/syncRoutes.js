@@ -0,0 +1,69 @@
+// =====================================================
+// MENU SYNC ROUTES FOR VENDORS MICROSERVICE
+// Cloning menus between branches and following the main branch
+// =====================================================
+
+import { Router } from 'express';
+import { withTransaction } from '../database/connection.js';
+import {
+  validateToken,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireMenuItemAccess
+} from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import {
+  copyBranchMenu,
+  getCloneTargets,
+  setFollowsMainMenu,
+  clearItemOverrides
+} from './menuSync.js';
+import { cloneMenuSchema, followMainMenuSchema } from './validation.js';
+
+const router = Router();
+
+const branchMenu = '/vendors/:vendorId/branches/:branchId/menu';
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+
+// Vendor copy branch menu (categories, items, options, images, offers) to sibling branches
+router.post(`${branchMenu}/clone`, ...vendorBranch, validate(cloneMenuSchema), async (req, res) => {
+  const { target_branch_ids, include_offers, replace } = req.body;
+  const results = await withTransaction(async (client) => {
+    const targets = await getCloneTargets(client, req.branch, target_branch_ids);
+    const summaries = [];
+    for (const target of targets) {
+      const summary = await copyBranchMenu(client, req.branch, target, {
+        includeOffers: include_offers,
+        replace,
+        restoreDeleted: true,
+      });
+      await notifyConsumers(client, { source_branch_id: req.branch.id, ...summary }, 'menu_cloned', actorOf(req.user));
+      summaries.push(summary);
+    }
+    return summaries;
+  });
+  res.json(results);
+});
+
+// Vendor link or unlink a branch to the main branch menu
+router.put(`${branchMenu}/link`, ...vendorBranch, validate(followMainMenuSchema), async (req, res) => {
+  const result = await withTransaction(async (client) => {
+    const linked = await setFollowsMainMenu(client, req.branch, req.body.follows_main_menu);
+    await notifyConsumers(client, linked.branch, 'branch_menu_link_updated', actorOf(req.user));
+    return linked;
+  });
+  res.json(result);
+});
+
+// Vendor drop branch price/availability overrides of a copied item
+router.delete(`${branchMenu}/:itemId/overrides`, validateToken, requireVendorAccess, requireBranchAccess, requireMenuItemAccess, async (req, res) => {
+  const menuItem = await withTransaction(async (client) => {
+    const item = await clearItemOverrides(client, req.menuItem);
+    await notifyConsumers(client, item, 'menu_item_updated', actorOf(req.user));
+    return item;
+  });
+  res.json(menuItem);
+});
+
+export default router;
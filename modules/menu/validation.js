@@ -0,0 +1,209 @@
+// =====================================================
+// MENU VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the menu_items CHECK constraints in schema.sql
+// =====================================================
+
+import config from '../../config/config.js';
+import { Joi } from '../../middleware/validate.js';
+
+// The 14 allergens EU Regulation 1169/2011 requires food businesses to declare
+export const ALLERGENS = [
+  'celery',
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'lupin',
+  'milk',
+  'molluscs',
+  'mustard',
+  'tree_nuts',
+  'peanuts',
+  'sesame',
+  'soya',
+  'sulphites',
+];
+
+export const MENU_SORTS = ['sort_order', 'price_asc', 'price_desc', 'popularity', 'preparation_time'];
+
+const price = Joi.number().positive().precision(2).max(99999999.99);
+
+const menuItemFields = {
+  category_id: Joi.number().integer().positive().allow(null),
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('', null),
+  price,
+  original_price: price.allow(null),
+  is_vegetarian: Joi.boolean(),
+  is_vegan: Joi.boolean(),
+  is_gluten_free: Joi.boolean(),
+  is_halal: Joi.boolean(),
+  allergens: Joi.array().items(Joi.string().trim().lowercase().valid(...ALLERGENS)).unique().allow(null),
+  nutritional_info: Joi.object().allow(null),
+  preparation_time: Joi.number().integer().positive().allow(null),
+  is_available: Joi.boolean(),
+  is_featured: Joi.boolean(),
+  sort_order: Joi.number().integer(),
+};
+
+export const createMenuItemSchema = Joi.object({
+  ...menuItemFields,
+  name: menuItemFields.name.required(),
+  price: menuItemFields.price.required(),
+});
+
+export const updateMenuItemSchema = Joi.object(menuItemFields);
+
+export const availabilitySchema = Joi.object({
+  is_available: Joi.boolean().required(),
+});
+
+export const reorderSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    id: Joi.string().guid().required(),
+    sort_order: Joi.number().integer().required(),
+  })).min(1).unique('id').required(),
+});
+
+// Allergens in a query string arrive comma separated, e.g. "milk,peanuts"
+const allergenList = Joi.string().trim().lowercase().custom((value, helpers) => {
+  const allergens = [...new Set(value.split(',').map((allergen) => allergen.trim()).filter(Boolean))];
+  return allergens.every((allergen) => ALLERGENS.includes(allergen)) ? allergens : helpers.error('any.invalid');
+}).allow('').messages({
+  'any.invalid': `{{#label}} must be a comma separated list of: ${ALLERGENS.join(', ')}`,
+});
+
+export const publicMenuQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  excludeAllergens: allergenList,
+  vegetarian: Joi.boolean(),
+  vegan: Joi.boolean(),
+  glutenFree: Joi.boolean(),
+  halal: Joi.boolean(),
+  sort: Joi.string().valid(...MENU_SORTS).default('sort_order'),
+  groupBy: Joi.string().valid('category'),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  cursor: Joi.string().max(500),
+});
+
+// One row of a CSV or JSON menu import; the category is referenced by name
+export const importRowSchema = createMenuItemSchema.keys({
+  category: Joi.string().trim().max(100).allow(null),
+}).fork(['category_id'], (schema) => schema.strip());
+
+export const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+export const exportQuerySchema = Joi.object({
+  format: Joi.string().valid('json', 'csv').default('json'),
+});
+
+export const cloneMenuSchema = Joi.object({
+  target_branch_ids: Joi.array().items(Joi.string().guid()).min(1).unique().required(),
+  include_offers: Joi.boolean().default(true),
+  replace: Joi.boolean().default(false),
+});
+
+export const followMainMenuSchema = Joi.object({
+  follows_main_menu: Joi.boolean().required(),
+});
+
+const categoryFields = {
+  branch_id: Joi.string().guid().allow(null),
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('', null),
+  icon: Joi.string().trim().max(100).allow(null),
+  sort_order: Joi.number().integer(),
+  is_active: Joi.boolean(),
+};
+
+export const createCategorySchema = Joi.object({
+  ...categoryFields,
+  name: categoryFields.name.required(),
+});
+
+export const updateCategorySchema = Joi.object(categoryFields);
+
+export const reorderCategoriesSchema = Joi.object({
+  categories: Joi.array().items(Joi.object({
+    id: Joi.number().integer().positive().required(),
+    sort_order: Joi.number().integer().required(),
+  })).min(1).unique('id').required(),
+});
+
+export const categoryListQuerySchema = Joi.object({
+  branchId: Joi.string().guid(),
+});
+
+const optionFields = {
+  name: Joi.string().trim().min(1).max(100),
+  price_delta: Joi.number().precision(2).min(-99999999.99).max(99999999.99),
+  is_available: Joi.boolean(),
+  is_default: Joi.boolean(),
+  sort_order: Joi.number().integer(),
+};
+
+export const createOptionSchema = Joi.object({
+  ...optionFields,
+  name: optionFields.name.required(),
+});
+
+export const updateOptionSchema = Joi.object(optionFields);
+
+const optionGroupFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('', null),
+  is_required: Joi.boolean(),
+  min_selections: Joi.number().integer().min(0),
+  max_selections: Joi.number().integer().min(1).allow(null),
+  sort_order: Joi.number().integer(),
+};
+
+export const createOptionGroupSchema = Joi.object({
+  ...optionGroupFields,
+  name: optionGroupFields.name.required(),
+  options: Joi.array().items(createOptionSchema),
+});
+
+export const updateOptionGroupSchema = Joi.object(optionGroupFields);
+
+export const optionGroupParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  branchId: Joi.string(),
+  itemId: Joi.string(),
+  groupId: Joi.string().guid().required(),
+  optionId: Joi.string().guid(),
+});
+
+export const priceQuoteSchema = Joi.object({
+  options: Joi.array().items(Joi.string().guid()).unique().default([]),
+  quantity: Joi.number().integer().min(1).max(999).default(1),
+});
+
+export default {
+  ALLERGENS,
+  MENU_SORTS,
+  createMenuItemSchema,
+  updateMenuItemSchema,
+  availabilitySchema,
+  reorderSchema,
+  publicMenuQuerySchema,
+  importRowSchema,
+  importQuerySchema,
+  exportQuerySchema,
+  cloneMenuSchema,
+  followMainMenuSchema,
+  createCategorySchema,
+  updateCategorySchema,
+  reorderCategoriesSchema,
+  categoryListQuerySchema,
+  createOptionSchema,
+  updateOptionSchema,
+  createOptionGroupSchema,
+  updateOptionGroupSchema,
+  optionGroupParamsSchema,
+  priceQuoteSchema
+};
@@ -0,0 +1,517 @@
+// =====================================================
+// OFFER ENGINE FOR VENDORS MICROSERVICE
+// Offer lifecycle, targeting, recurring schedules, cart
+// discount calculation and redemption against usage limits
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { menuItemColumns } from '../database/columns.js';
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { HttpError, conflictError, notFoundError, validationError } from '../../utils/errors.js';
+import { toCents, fromCents } from '../../utils/money.js';
+import { keyset, toPage } from '../../utils/pagination.js';
+import { loadOptionGroups, calculateItemPrice } from '../menu/options.js';
+import { validationErrorBody } from '../../middleware/validate.js';
+import { VALUED_DISCOUNT_TYPES, createOfferSchema } from './validation.js';
+
+const OFFER_COLUMNS = [
+  'title',
+  'description',
+  'discount_type',
+  'discount_value',
+  'minimum_order_amount',
+  'maximum_discount',
+  'start_date',
+  'end_date',
+  'is_active',
+  'usage_limit',
+  'requires_code',
+];
+
+// Whether now falls in one of the offer's weekly windows, in the branch
+// timezone. Offers without schedules are always in window.
+const IN_SCHEDULE = `(NOT EXISTS (SELECT 1 FROM offer_schedules s WHERE s.offer_id = o.id) OR EXISTS (
+    SELECT 1 FROM offer_schedules s
+    CROSS JOIN LATERAL (
+      SELECT NOW() AT TIME ZONE (SELECT timezone FROM vendor_branches WHERE id = o.branch_id) AS local_now
+    ) l
+    WHERE s.offer_id = o.id AND (
+      (EXTRACT(DOW FROM l.local_now)::int = ANY(s.days_of_week) AND l.local_now::time >= s.start_time
+        AND (l.local_now::time < s.end_time OR s.end_time < s.start_time))
+      OR (s.end_time < s.start_time AND l.local_now::time < s.end_time
+        AND EXTRACT(DOW FROM l.local_now - INTERVAL '1 day')::int = ANY(s.days_of_week))
+    )))`;
+
+// Where an offer is in its lifecycle (see OFFER_STATUSES); only live offers can be used
+const OFFER_STATUS = `CASE
+    WHEN o.terminated_at IS NOT NULL THEN 'terminated'
+    WHEN o.end_date <= NOW() THEN 'expired'
+    WHEN o.usage_limit IS NOT NULL AND o.current_usage >= o.usage_limit THEN 'exhausted'
+    WHEN NOT o.is_active THEN 'paused'
+    WHEN o.start_date > NOW() THEN 'scheduled'
+    WHEN NOT ${IN_SCHEDULE} THEN 'off_schedule'
+    ELSE 'live' END`;
+
+const LIVE_OFFER = `o.deleted_at IS NULL AND (${OFFER_STATUS}) = 'live'`;
+
+// Reads outside a transaction go through the pool
+const pool = { query };
+
+/**
+ * Load the targets and schedules of many offers at once
+ * @param {Array<string>} offerIds - Offer IDs
+ * @param {Object} db - pg client inside a transaction, the pool otherwise
+ * @returns {Promise<Map>} Offer ID -> { menu_item_ids, category_ids, schedules }
+ */
+export const loadOfferRules = async (offerIds, db = pool) => {
+  const byOffer = new Map(offerIds.map((id) => [id, { menu_item_ids: [], category_ids: [], schedules: [] }]));
+  if (offerIds.length === 0) return byOffer;
+
+  const targets = await db.query(
+    'SELECT * FROM offer_targets WHERE offer_id = ANY($1::uuid[]) ORDER BY created_at',
+    [offerIds]
+  );
+  for (const target of targets.rows) {
+    const rules = byOffer.get(target.offer_id);
+    if (target.menu_item_id) rules.menu_item_ids.push(target.menu_item_id);
+    else rules.category_ids.push(target.category_id);
+  }
+
+  const schedules = await db.query(
+    `SELECT offer_id, days_of_week, to_char(start_time, 'HH24:MI') AS start_time, to_char(end_time, 'HH24:MI') AS end_time
+     FROM offer_schedules WHERE offer_id = ANY($1::uuid[]) ORDER BY created_at`,
+    [offerIds]
+  );
+  for (const { offer_id: offerId, ...schedule } of schedules.rows) byOffer.get(offerId).schedules.push(schedule);
+  return byOffer;
+};
+
+/**
+ * Add menu_item_ids, category_ids and schedules to each offer
+ * @param {Array} offers - Offer rows
+ * @param {Object} db - pg client inside a transaction, the pool otherwise
+ * @returns {Promise<Array>} The offers with their rules
+ */
+export const attachOfferRules = async (offers, db = pool) => {
+  const rules = await loadOfferRules(offers.map((offer) => offer.id), db);
+  return offers.map((offer) => ({ ...offer, ...rules.get(offer.id) }));
+};
+
+// Offers with their status and rules
+const selectOffers = async (db, where, params) => {
+  const result = await db.query(
+    `SELECT o.*, ${OFFER_STATUS} AS status FROM offers o WHERE ${where} ORDER BY o.start_date, o.created_at`,
+    params
+  );
+  return attachOfferRules(result.rows, db);
+};
+
+const reloadOffer = async (client, offerId) => (await selectOffers(client, 'o.id = $1', [offerId]))[0];
+
+// Targets must be menu items of the branch and categories the branch can use
+const checkTargets = async (client, branch, menuItemIds, categoryIds) => {
+  if (menuItemIds.length > 0) {
+    const items = await client.query(
+      'SELECT id FROM menu_items WHERE id = ANY($1::uuid[]) AND branch_id = $2 AND deleted_at IS NULL',
+      [menuItemIds, branch.id]
+    );
+    const found = new Set(items.rows.map((row) => row.id));
+    const missing = menuItemIds.filter((id) => !found.has(id));
+    if (missing.length > 0) throw validationError('menu_item_ids', `Menu items not found in this branch: ${missing.join(', ')}`);
+  }
+
+  if (categoryIds.length > 0) {
+    const categories = await client.query(
+      `SELECT id FROM menu_categories
+       WHERE id = ANY($1::int[]) AND deleted_at IS NULL
+         AND (vendor_id IS NULL OR (vendor_id = $2 AND (branch_id IS NULL OR branch_id = $3)))`,
+      [categoryIds, branch.vendor_id, branch.id]
+    );
+    const found = new Set(categories.rows.map((row) => row.id));
+    const missing = categoryIds.filter((id) => !found.has(id));
+    if (missing.length > 0) throw validationError('category_ids', `Categories not available to this branch: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Replace the targets of an offer
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row the offer belongs to
+ * @param {Object} offer - Offer row
+ * @param {Object} targets - { menu_item_ids, category_ids }
+ */
+export const setOfferTargets = async (client, branch, offer, { menu_item_ids: menuItemIds = [], category_ids: categoryIds = [] }) => {
+  await checkTargets(client, branch, menuItemIds, categoryIds);
+  await client.query('DELETE FROM offer_targets WHERE offer_id = $1', [offer.id]);
+  await client.query(
+    `INSERT INTO offer_targets (offer_id, menu_item_id)
+     SELECT $1, item_id FROM unnest($2::uuid[]) AS item_id`,
+    [offer.id, menuItemIds]
+  );
+  await client.query(
+    `INSERT INTO offer_targets (offer_id, category_id)
+     SELECT $1, category_id FROM unnest($2::int[]) AS category_id`,
+    [offer.id, categoryIds]
+  );
+};
+
+/**
+ * Replace the weekly windows of an offer; none makes it live all day
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Offer row
+ * @param {Array} schedules - [{ days_of_week, start_time, end_time }]
+ */
+export const setOfferSchedules = async (client, offer, schedules) => {
+  await client.query('DELETE FROM offer_schedules WHERE offer_id = $1', [offer.id]);
+  await client.query(
+    `INSERT INTO offer_schedules (offer_id, days_of_week, start_time, end_time)
+     SELECT $1, ARRAY(SELECT jsonb_array_elements_text(s->'days_of_week')::int), (s->>'start_time')::time, (s->>'end_time')::time
+     FROM jsonb_array_elements($2::jsonb) AS s`,
+    [offer.id, JSON.stringify(schedules)]
+  );
+};
+
+/**
+ * Create an offer, optionally limited to some menu items or categories and
+ * to weekly windows
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} data - Validated fields, plus menu_item_ids, category_ids and schedules
+ * @returns {Promise<Object>} The created offer with its status and rules
+ */
+export const createOffer = async (client, branch, { menu_item_ids, category_ids, schedules = [], ...data }) => {
+  const insert = buildInsert({ ...data, branch_id: branch.id }, ['branch_id', ...OFFER_COLUMNS]);
+  const result = await client.query(
+    `INSERT INTO offers (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+    insert.values
+  );
+  const offer = result.rows[0];
+  await setOfferTargets(client, branch, offer, { menu_item_ids, category_ids });
+  await setOfferSchedules(client, offer, schedules);
+  return reloadOffer(client, offer.id);
+};
+
+/**
+ * Edit an offer. The result is checked as a whole, so e.g. moving end_date
+ * before the stored start_date is a 400 rather than a constraint error.
+ * Switching to a type without a value clears discount_value.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @param {Object} offer - Current offer row
+ * @param {Object} data - Validated fields to change, plus optional rules
+ * @returns {Promise<Object>} The updated offer with its status and rules
+ */
+export const updateOffer = async (client, branch, offer, { menu_item_ids, category_ids, schedules, ...data }) => {
+  if (offer.terminated_at) throw conflictError('Terminated offers cannot be changed');
+
+  const changes = { ...data };
+  if (changes.discount_type && !VALUED_DISCOUNT_TYPES.includes(changes.discount_type)) changes.discount_value = null;
+  const merged = Object.fromEntries(OFFER_COLUMNS.map((column) => [column, changes[column] !== undefined ? changes[column] : offer[column]]));
+  const { error } = createOfferSchema.validate(merged, { abortEarly: false, errors: { wrap: { label: false } } });
+  if (error) {
+    const body = validationErrorBody(error);
+    throw new HttpError(400, body.error, body.message, body.details);
+  }
+  if (merged.usage_limit !== null && merged.usage_limit < offer.current_usage) {
+    throw validationError('usage_limit', `usage_limit cannot be below the ${offer.current_usage} uses so far`);
+  }
+
+  const update = buildSetClause(changes, OFFER_COLUMNS, { startIndex: 2 });
+  if (update.clause) await client.query(`UPDATE offers SET ${update.clause} WHERE id = $1`, [offer.id, ...update.values]);
+  if (menu_item_ids !== undefined || category_ids !== undefined) {
+    const current = (await loadOfferRules([offer.id], client)).get(offer.id);
+    await setOfferTargets(client, branch, offer, {
+      menu_item_ids: menu_item_ids ?? current.menu_item_ids,
+      category_ids: category_ids ?? current.category_ids,
+    });
+  }
+  if (schedules !== undefined) await setOfferSchedules(client, offer, schedules);
+  return reloadOffer(client, offer.id);
+};
+
+/**
+ * Pause or resume an offer
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Current offer row
+ * @param {boolean} isActive - False to pause, true to resume
+ * @returns {Promise<Object>} The offer with its new status
+ */
+export const setOfferActive = async (client, offer, isActive) => {
+  if (offer.terminated_at) throw conflictError('Terminated offers cannot be paused or resumed');
+  if (offer.is_active === isActive) throw conflictError(`Offer is already ${isActive ? 'active' : 'paused'}`);
+  await client.query('UPDATE offers SET is_active = $2 WHERE id = $1', [offer.id, isActive]);
+  return reloadOffer(client, offer.id);
+};
+
+/**
+ * End an offer early for good; unlike pausing it cannot be resumed
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Current offer row
+ * @returns {Promise<Object>} The terminated offer
+ */
+export const terminateOffer = async (client, offer) => {
+  if (offer.terminated_at) throw conflictError('Offer is already terminated');
+  await client.query('UPDATE offers SET terminated_at = NOW(), is_active = FALSE WHERE id = $1', [offer.id]);
+  return reloadOffer(client, offer.id);
+};
+
+/**
+ * Soft delete an offer
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Current offer row
+ * @returns {Promise<Object>} The deleted offer
+ */
+export const deleteOffer = async (client, offer) => {
+  const result = await client.query(
+    'UPDATE offers SET deleted_at = NOW(), is_active = FALSE WHERE id = $1 RETURNING *',
+    [offer.id]
+  );
+  return result.rows[0];
+};
+
+/**
+ * A branch's offers for its vendor, in any state but deleted
+ * @param {string} branchId - Branch ID
+ * @param {Object} filters - { status } one of OFFER_STATUSES
+ * @returns {Promise<Array>} Offers with their status and rules
+ */
+export const listBranchOffers = async (branchId, { status } = {}) => {
+  const params = [branchId];
+  let where = 'o.branch_id = $1 AND o.deleted_at IS NULL';
+  if (status) {
+    where += ` AND (${OFFER_STATUS}) = $2`;
+    params.push(status);
+  }
+  return selectOffers(pool, where, params);
+};
+
+/**
+ * Load one offer of a branch with its status and rules
+ * @param {string} branchId - Branch ID
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Object>} Offer
+ */
+export const getOffer = async (branchId, offerId) => {
+  const [offer] = await selectOffers(pool, 'o.id = $1 AND o.branch_id = $2 AND o.deleted_at IS NULL', [offerId, branchId]);
+  if (!offer) throw notFoundError('Offer');
+  return offer;
+};
+
+/**
+ * Offers of a branch that can be used right now without a promo code
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Array>} Live offers with their rules
+ */
+export const listLiveOffers = async (branchId) => selectOffers(
+  pool,
+  `o.branch_id = $1 AND o.requires_code = FALSE AND ${LIVE_OFFER}`,
+  [branchId]
+);
+
+/**
+ * One page of listLiveOffers, in start date order
+ * @param {string} branchId - Branch ID
+ * @param {Object} page - Validated { limit, cursor }
+ * @returns {Promise<Object>} { data, pagination: { limit, next_cursor, has_more } }
+ */
+export const listLiveOffersPage = async (branchId, { limit, cursor }) => {
+  const params = [branchId];
+  const page = keyset([{ sql: 'o.start_date' }, { sql: 'o.id' }], cursor, params);
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT o.*, ${OFFER_STATUS} AS status, ${page.pageKey} FROM offers o
+     WHERE o.branch_id = $1 AND o.requires_code = FALSE AND ${LIVE_OFFER} AND ${page.after}
+     ORDER BY ${page.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  const { data, pagination } = toPage(result.rows, limit);
+  return { data: await attachOfferRules(data), pagination };
+};
+
+/**
+ * Price a cart of one branch's items, options included
+ * @param {string} branchId - Branch ID
+ * @param {Array} items - [{ menu_item_id, quantity, options }]
+ * @returns {Promise<Object>} { lines, subtotal } where each line is a price
+ *   quote from calculateItemPrice plus the item's category_id
+ */
+export const priceCart = async (branchId, items) => {
+  const ids = [...new Set(items.map((line) => line.menu_item_id))];
+  const result = await query(
+    `SELECT ${menuItemColumns('m')} FROM menu_items m
+     LEFT JOIN menu_categories c ON c.id = m.category_id
+     WHERE m.id = ANY($1::uuid[]) AND m.branch_id = $2 AND m.deleted_at IS NULL
+       AND (m.category_id IS NULL OR (c.is_active = TRUE AND c.deleted_at IS NULL))`,
+    [ids, branchId]
+  );
+  const menuItems = new Map(result.rows.map((item) => [item.id, item]));
+
+  const missing = ids.filter((id) => !menuItems.has(id));
+  if (missing.length > 0) throw validationError('items', `Menu items not found in this branch: ${missing.join(', ')}`);
+  const unavailable = result.rows.filter((item) => !item.is_available);
+  if (unavailable.length > 0) {
+    throw conflictError(`Currently unavailable: ${unavailable.map((item) => item.name).join(', ')}`);
+  }
+
+  const groups = await loadOptionGroups(ids);
+  const lines = items.map((line) => {
+    const item = menuItems.get(line.menu_item_id);
+    const quote = calculateItemPrice(item, groups.get(item.id), line.options, line.quantity);
+    return { ...quote, name: item.name, category_id: item.category_id };
+  });
+
+  return {
+    lines,
+    subtotal: fromCents(lines.reduce((sum, line) => sum + toCents(line.total_price), 0)),
+  };
+};
+
+// Every second unit is free, pairing the priciest units so the free one is
+// always the cheaper of its pair ("buy one, get one of equal or lesser value")
+const buyOneGetOneCents = (lines) => {
+  const units = lines
+    .flatMap((line) => Array(line.quantity).fill(toCents(line.unit_price)))
+    .sort((a, b) => b - a);
+  return units.reduce((sum, cents, index) => (index % 2 === 1 ? sum + cents : sum), 0);
+};
+
+/**
+ * Work out what one offer takes off a priced cart. Offers without targets
+ * apply to the whole cart, others only to the targeted items and categories.
+ * @param {Object} offer - Offer row with menu_item_ids and category_ids
+ * @param {Object} cart - From priceCart
+ * @param {number} deliveryFee - Delivery fee of the order
+ * @returns {Object} { offer_id, title, discount_type, eligible, reason, discount, free_delivery }
+ */
+export const calculateOfferDiscount = (offer, cart, deliveryFee = 0) => {
+  const targeted = offer.menu_item_ids.length > 0 || offer.category_ids.length > 0;
+  const lines = targeted
+    ? cart.lines.filter((line) => offer.menu_item_ids.includes(line.menu_item_id)
+      || offer.category_ids.includes(line.category_id))
+    : cart.lines;
+  const eligibleCents = lines.reduce((sum, line) => sum + toCents(line.total_price), 0);
+
+  let reason = null;
+  let cents = 0;
+  if (lines.length === 0) {
+    reason = 'No qualifying items in the cart';
+  } else if (toCents(cart.subtotal) < toCents(offer.minimum_order_amount)) {
+    reason = `Requires a minimum order of ${offer.minimum_order_amount}`;
+  } else {
+    switch (offer.discount_type) {
+      case 'percentage':
+        cents = Math.round(eligibleCents * Number(offer.discount_value) / 100);
+        break;
+      case 'fixed_amount':
+        cents = Math.min(toCents(offer.discount_value), eligibleCents);
+        break;
+      case 'buy_one_get_one':
+        cents = buyOneGetOneCents(lines);
+        if (cents === 0) reason = 'Add another qualifying item to get one free';
+        break;
+      case 'free_delivery':
+        cents = toCents(deliveryFee);
+        break;
+      default:
+        reason = 'Unsupported discount type';
+    }
+  }
+  if (offer.maximum_discount !== null) cents = Math.min(cents, toCents(offer.maximum_discount));
+
+  return {
+    offer_id: offer.id,
+    title: offer.title,
+    discount_type: offer.discount_type,
+    eligible: reason === null,
+    reason,
+    discount: fromCents(reason === null ? cents : 0),
+    free_delivery: reason === null && offer.discount_type === 'free_delivery',
+  };
+};
+
+/**
+ * Evaluate offers against a priced cart. Offers don't stack: the one with
+ * the largest discount is applied.
+ * @param {Array} offers - Offer rows with their targets
+ * @param {Object} cart - From priceCart
+ * @param {number} deliveryFee - Delivery fee of the order
+ * @returns {Object} { lines, subtotal, delivery_fee, offers, applied_offer_id, discount, total }
+ */
+export const quoteCart = (offers, cart, deliveryFee = 0) => {
+  const results = offers.map((offer) => calculateOfferDiscount(offer, cart, deliveryFee));
+  const best = results
+    .filter((result) => result.eligible)
+    .reduce((top, result) => (!top || toCents(result.discount) > toCents(top.discount) ? result : top), null);
+  const discountCents = best ? toCents(best.discount) : 0;
+
+  return {
+    lines: cart.lines,
+    subtotal: cart.subtotal,
+    delivery_fee: fromCents(toCents(deliveryFee)),
+    offers: results,
+    applied_offer_id: best?.offer_id || null,
+    discount: fromCents(discountCents),
+    total: fromCents(toCents(cart.subtotal) + toCents(deliveryFee) - discountCents),
+  };
+};
+
+/**
+ * Record one use of an offer. The usage counter is bumped in a single
+ * conditional UPDATE, so concurrent redemptions can never push it past
+ * usage_limit; the loser gets a 409 and its transaction rolls back.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Offer row
+ * @param {Object} redemption - { user_id, order_id, subtotal, discount_amount, promo_code_id }
+ * @returns {Promise<Object>} { offer, redemption }
+ */
+export const redeemOffer = async (client, offer, redemption) => {
+  const inserted = await client.query(
+    `INSERT INTO offer_redemptions (offer_id, promo_code_id, user_id, order_id, subtotal, discount_amount)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (offer_id, order_id) DO NOTHING
+     RETURNING *`,
+    [
+      offer.id,
+      redemption.promo_code_id ?? null,
+      redemption.user_id,
+      redemption.order_id ?? null,
+      redemption.subtotal,
+      redemption.discount_amount,
+    ]
+  );
+  if (inserted.rows.length === 0) throw conflictError('This offer has already been redeemed for the order');
+
+  const updated = await client.query(
+    `UPDATE offers o SET current_usage = o.current_usage + 1
+     WHERE o.id = $1 AND ${LIVE_OFFER}
+     RETURNING *`,
+    [offer.id]
+  );
+  if (updated.rows.length === 0) {
+    const { status } = await reloadOffer(client, offer.id);
+    throw conflictError(status === 'exhausted' ? 'Offer usage limit has been reached' : `Offer is not live (${status})`);
+  }
+
+  return { offer: updated.rows[0], redemption: inserted.rows[0] };
+};
+
+export default {
+  loadOfferRules,
+  attachOfferRules,
+  setOfferTargets,
+  setOfferSchedules,
+  createOffer,
+  updateOffer,
+  setOfferActive,
+  terminateOffer,
+  deleteOffer,
+  listBranchOffers,
+  getOffer,
+  listLiveOffers,
+  listLiveOffersPage,
+  priceCart,
+  calculateOfferDiscount,
+  quoteCart,
+  redeemOffer
+};
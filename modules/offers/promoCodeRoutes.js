@@ -0,0 +1,139 @@
+// =====================================================
+// PROMO CODE ROUTES FOR VENDORS MICROSERVICE
+// Vendor code management and reporting, customer code
+// validation and redemption
+// =====================================================
+
+import { Router } from 'express';
+import { withTransaction } from '../database/connection.js';
+import {
+  validateToken,
+  requireRole,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireOfferAccess
+} from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { conflictError } from '../../utils/errors.js';
+import { deliveryFeeFor } from '../vendors/deliveryZones.js';
+import { priceCart, calculateOfferDiscount } from './offers.js';
+import {
+  generatePromoCodes,
+  createPromoCode,
+  listPromoCodes,
+  deletePromoCode,
+  findPromoCode,
+  checkPromoCode,
+  redeemPromoCode,
+  promoCodeReport
+} from './promoCodes.js';
+import {
+  createPromoCodeSchema,
+  generatePromoCodesSchema,
+  promoCodeCartSchema,
+  redeemPromoCodeSchema,
+  promoCodeReportQuerySchema,
+  offerParamsSchema
+} from './validation.js';
+
+const router = Router();
+
+const offerCodes = '/vendors/:vendorId/branches/:branchId/offers/:offerId/codes';
+const vendorOffer = [validateToken, requireVendorAccess, requireBranchAccess, requireOfferAccess];
+const customer = [validateToken, requireRole(['customer', 'admin'])];
+const offerParams = validate(offerParamsSchema, 'params');
+
+const customerIdOf = (user) => (user.role === 'customer' ? user.uid : null);
+
+// Look up a code and price the cart against its offer, failing when the code or cart doesn't qualify
+const quoteCode = async (req) => {
+  const { branchId } = req.params;
+  const { promoCode, offer } = await findPromoCode(branchId, req.body.code);
+  if (offer.status !== 'live') throw conflictError(`Offer is not live (${offer.status})`);
+  const usage = await checkPromoCode(promoCode, customerIdOf(req.user));
+
+  const cart = await priceCart(branchId, req.body.items);
+  const result = calculateOfferDiscount(offer, cart, await deliveryFeeFor(branchId, req.body.delivery_location));
+  if (!result.eligible) throw conflictError(`Offer does not apply to this cart: ${result.reason}`);
+  return { promoCode, offer, cart, result, usage };
+};
+
+// Vendor list an offer's codes
+router.get(offerCodes, ...vendorOffer, async (req, res) => {
+  res.json(await listPromoCodes(req.offer.id));
+});
+
+// Vendor create one code, generated when none is given
+router.post(offerCodes, ...vendorOffer, validate(createPromoCodeSchema), async (req, res) => {
+  const promoCode = await withTransaction(async (client) => {
+    const created = await createPromoCode(client, req.offer, req.body);
+    await notifyConsumers(client, created, 'promo_code_created', actorOf(req.user));
+    return created;
+  });
+  res.status(201).json(promoCode);
+});
+
+// Vendor generate a batch of unique codes
+router.post(`${offerCodes}/bulk`, ...vendorOffer, validate(generatePromoCodesSchema), async (req, res) => {
+  const batch = await withTransaction(async (client) => {
+    const generated = await generatePromoCodes(client, req.offer, req.body);
+    await notifyConsumers(client, {
+      batch_id: generated.batch_id,
+      offer_id: req.offer.id,
+      count: generated.codes.length,
+    }, 'promo_codes_generated', actorOf(req.user));
+    return generated;
+  });
+  res.status(201).json(batch);
+});
+
+// Vendor soft delete a code
+router.delete(`${offerCodes}/:codeId`, ...vendorOffer, offerParams, async (req, res) => {
+  await withTransaction(async (client) => {
+    const promoCode = await deletePromoCode(client, req.offer, req.params.codeId);
+    await notifyConsumers(client, promoCode, 'promo_code_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Promo code deleted' });
+});
+
+// Vendor report of redemptions per code
+router.get('/vendors/:vendorId/promo-codes/report', validateToken, requireVendorAccess, validate(promoCodeReportQuerySchema, 'query'), async (req, res) => {
+  res.json(await promoCodeReport(req.vendor.id, req.query));
+});
+
+// Customer check a code against a cart before checkout
+router.post('/branches/:branchId/promo-codes/validate', ...customer, offerParams, validate(promoCodeCartSchema), async (req, res) => {
+  const { promoCode, offer, cart, result, usage } = await quoteCode(req);
+  res.json({
+    code: promoCode.code,
+    offer_id: offer.id,
+    subtotal: cart.subtotal,
+    ...result,
+    ...usage,
+  });
+});
+
+// Customer redeem a code on checkout; the discount is recalculated from the cart
+router.post('/branches/:branchId/promo-codes/redeem', ...customer, offerParams, validate(redeemPromoCodeSchema), async (req, res) => {
+  const { promoCode, offer, cart, result } = await quoteCode(req);
+
+  const redeemed = await withTransaction(async (client) => {
+    const redemption = await redeemPromoCode(client, promoCode, offer, {
+      user_id: customerIdOf(req.user),
+      order_id: req.body.order_id,
+      subtotal: cart.subtotal,
+      discount_amount: result.discount,
+    });
+    await notifyConsumers(client, { ...redemption.redemption, code: promoCode.code }, 'promo_code_redeemed', actorOf(req.user));
+    return redemption;
+  });
+  res.status(201).json({
+    ...redeemed.redemption,
+    code: promoCode.code,
+    free_delivery: result.free_delivery,
+    remaining_uses: redeemed.promoCode.usage_limit === null ? null : redeemed.promoCode.usage_limit - redeemed.promoCode.current_usage,
+  });
+});
+
+export default router;
@@ -0,0 +1,232 @@
+// =====================================================
+// PROMO CODES FOR VENDORS MICROSERVICE
+// Coupon codes that unlock offers: single and bulk creation,
+// usage caps, expiry, redemption and per-code reporting
+// =====================================================
+
+import crypto from 'crypto';
+import { query } from '../database/connection.js';
+import { conflictError, notFoundError } from '../../utils/errors.js';
+import { getOffer, redeemOffer } from './offers.js';
+
+// No 0/O or 1/I, so codes survive being read aloud or typed from a flyer
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const pool = { query };
+
+// Generation rounds before giving up on filling a batch with unique codes
+const MAX_GENERATION_ROUNDS = 5;
+
+const randomCode = (prefix, length) => {
+  const body = Array.from({ length }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  return prefix ? `${prefix}-${body}` : body;
+};
+
+// Insert codes, skipping any already in use, and return the rows that went in
+const insertCodes = async (client, offer, codes, batchId, limits) => {
+  const result = await client.query(
+    `INSERT INTO promo_codes (offer_id, code, batch_id, usage_limit, per_customer_limit, expires_at)
+     SELECT $1, code, $3, $4, $5, $6 FROM unnest($2::varchar[]) AS code
+     ON CONFLICT (code) WHERE deleted_at IS NULL DO NOTHING
+     RETURNING *`,
+    [offer.id, codes, batchId, limits.usage_limit ?? null, limits.per_customer_limit ?? null, limits.expires_at ?? null]
+  );
+  return result.rows;
+};
+
+/**
+ * Generate a batch of unique random codes for an offer
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Offer row
+ * @param {Object} data - Validated { count, prefix, length, usage_limit, per_customer_limit, expires_at }
+ * @returns {Promise<Object>} { batch_id, codes }
+ */
+export const generatePromoCodes = async (client, offer, { count, prefix, length = 8, ...limits }) => {
+  const batchId = crypto.randomUUID();
+  const codes = [];
+
+  for (let round = 0; round < MAX_GENERATION_ROUNDS && codes.length < count; round++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.length) candidates.add(randomCode(prefix, length));
+    codes.push(...await insertCodes(client, offer, [...candidates], batchId, limits));
+  }
+
+  if (codes.length < count) {
+    throw conflictError('Could not generate enough unique codes; use a longer length or another prefix');
+  }
+  return { batch_id: batchId, codes };
+};
+
+/**
+ * Create one code for an offer, generating it when none is given
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Offer row
+ * @param {Object} data - Validated { code, usage_limit, per_customer_limit, expires_at }
+ * @returns {Promise<Object>} The created promo code
+ */
+export const createPromoCode = async (client, offer, { code, ...limits }) => {
+  if (!code) {
+    const { codes } = await generatePromoCodes(client, offer, { ...limits, count: 1 });
+    return codes[0];
+  }
+
+  const [created] = await insertCodes(client, offer, [code], null, limits);
+  if (!created) throw conflictError(`Promo code ${code} is already in use`);
+  return created;
+};
+
+/**
+ * List an offer's codes; current_usage counts their redemptions
+ * @param {string} offerId - Offer ID
+ * @returns {Promise<Array>} Promo codes, newest first
+ */
+export const listPromoCodes = async (offerId) => {
+  const result = await query(
+    `SELECT * FROM promo_codes WHERE offer_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC, code`,
+    [offerId]
+  );
+  return result.rows;
+};
+
+/**
+ * Soft delete one of an offer's codes. Its redemptions are kept for reporting.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} offer - Offer row
+ * @param {string} codeId - Promo code ID
+ * @returns {Promise<Object>} The deleted promo code
+ */
+export const deletePromoCode = async (client, offer, codeId) => {
+  const result = await client.query(
+    `UPDATE promo_codes SET deleted_at = NOW(), is_active = FALSE
+     WHERE id = $1 AND offer_id = $2 AND deleted_at IS NULL
+     RETURNING *`,
+    [codeId, offer.id]
+  );
+  if (result.rows.length === 0) throw notFoundError('Promo code');
+  return result.rows[0];
+};
+
+/**
+ * Look up a code entered at a branch along with the offer it unlocks
+ * @param {string} branchId - Branch ID
+ * @param {string} code - Code as entered, already upper cased
+ * @returns {Promise<Object>} { promoCode, offer }
+ */
+export const findPromoCode = async (branchId, code) => {
+  const result = await query(
+    `SELECT pc.* FROM promo_codes pc
+     JOIN offers o ON o.id = pc.offer_id
+     WHERE pc.code = $1 AND o.branch_id = $2 AND pc.deleted_at IS NULL AND o.deleted_at IS NULL`,
+    [code, branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Promo code');
+
+  const promoCode = result.rows[0];
+  return { promoCode, offer: await getOffer(branchId, promoCode.offer_id) };
+};
+
+/**
+ * Check that a code can still be used by a customer
+ * @param {Object} promoCode - Promo code row
+ * @param {string|null} userId - Customer ID, null when unknown
+ * @param {Object} [db] - pg client, defaults to the pool
+ * @returns {Promise<Object>} { remaining_uses, customer_remaining_uses }
+ */
+export const checkPromoCode = async (promoCode, userId, db = pool) => {
+  if (!promoCode.is_active) throw conflictError('Promo code is no longer active');
+  if (promoCode.expires_at && new Date(promoCode.expires_at) <= new Date()) {
+    throw conflictError('Promo code has expired');
+  }
+  if (promoCode.usage_limit !== null && promoCode.current_usage >= promoCode.usage_limit) {
+    throw conflictError('Promo code usage limit has been reached');
+  }
+
+  let customerRemaining = null;
+  if (promoCode.per_customer_limit !== null && userId) {
+    const used = await db.query(
+      'SELECT COUNT(*)::int AS uses FROM offer_redemptions WHERE promo_code_id = $1 AND user_id = $2',
+      [promoCode.id, userId]
+    );
+    customerRemaining = promoCode.per_customer_limit - used.rows[0].uses;
+    if (customerRemaining <= 0) throw conflictError('You have already used this promo code the maximum number of times');
+  }
+
+  return {
+    remaining_uses: promoCode.usage_limit === null ? null : promoCode.usage_limit - promoCode.current_usage,
+    customer_remaining_uses: customerRemaining,
+  };
+};
+
+/**
+ * Redeem a code and its offer. The code row is locked for the rest of the
+ * transaction, so concurrent redemptions of one code are checked against its
+ * caps one at a time and can never overrun them.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} promoCode - Promo code row
+ * @param {Object} offer - Offer the code unlocks
+ * @param {Object} redemption - { user_id, order_id, subtotal, discount_amount }
+ * @returns {Promise<Object>} { offer, promoCode, redemption }
+ */
+export const redeemPromoCode = async (client, promoCode, offer, redemption) => {
+  const locked = await client.query('SELECT * FROM promo_codes WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [promoCode.id]);
+  if (locked.rows.length === 0) throw notFoundError('Promo code');
+  await checkPromoCode(locked.rows[0], redemption.user_id, client);
+
+  const updated = await client.query(
+    'UPDATE promo_codes SET current_usage = current_usage + 1 WHERE id = $1 RETURNING *',
+    [promoCode.id]
+  );
+  const redeemed = await redeemOffer(client, offer, { ...redemption, promo_code_id: promoCode.id });
+  return { ...redeemed, promoCode: updated.rows[0] };
+};
+
+/**
+ * Redemptions per code across a vendor's offers
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} filters - { branchId, offerId, from, to }
+ * @returns {Promise<Array>} One row per code, most redeemed first
+ */
+export const promoCodeReport = async (vendorId, { branchId, offerId, from, to } = {}) => {
+  const params = [vendorId, from ?? null, to ?? null];
+  const conditions = ['b.vendor_id = $1', 'pc.deleted_at IS NULL'];
+  if (branchId) {
+    params.push(branchId);
+    conditions.push(`o.branch_id = $${params.length}`);
+  }
+  if (offerId) {
+    params.push(offerId);
+    conditions.push(`o.id = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT pc.id, pc.code, pc.batch_id, pc.offer_id, o.title AS offer_title, o.branch_id, b.name AS branch_name,
+            pc.usage_limit, pc.per_customer_limit, pc.current_usage, pc.expires_at, pc.is_active,
+            COUNT(r.id)::int AS redemptions,
+            COUNT(DISTINCT r.user_id)::int AS customers,
+            COALESCE(SUM(r.discount_amount), 0) AS total_discount,
+            COALESCE(SUM(r.subtotal), 0) AS total_subtotal,
+            MAX(r.redeemed_at) AS last_redeemed_at
+     FROM promo_codes pc
+     JOIN offers o ON o.id = pc.offer_id
+     JOIN vendor_branches b ON b.id = o.branch_id
+     LEFT JOIN offer_redemptions r ON r.promo_code_id = pc.id
+       AND ($2::timestamp IS NULL OR r.redeemed_at >= $2)
+       AND ($3::timestamp IS NULL OR r.redeemed_at < $3)
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY pc.id, o.id, b.id
+     ORDER BY redemptions DESC, pc.code`,
+    params
+  );
+  return result.rows;
+};
+
+export default {
+  generatePromoCodes,
+  createPromoCode,
+  listPromoCodes,
+  deletePromoCode,
+  findPromoCode,
+  checkPromoCode,
+  redeemPromoCode,
+  promoCodeReport
+};
@@ -0,0 +1,161 @@
+// =====================================================
+// OFFER ROUTES FOR VENDORS MICROSERVICE
+// Vendor offer lifecycle management, public offer listing,
+// cart discount quotes and redemption
+// =====================================================
+
+import { Router } from 'express';
+import { withTransaction } from '../database/connection.js';
+import {
+  validateToken,
+  optionalAuth,
+  requireRole,
+  requireVendorAccess,
+  requireBranchAccess,
+  requireOfferAccess
+} from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { conflictError } from '../../utils/errors.js';
+import { deliveryFeeFor } from '../vendors/deliveryZones.js';
+import {
+  createOffer,
+  updateOffer,
+  setOfferActive,
+  terminateOffer,
+  deleteOffer,
+  listBranchOffers,
+  getOffer,
+  listLiveOffers,
+  listLiveOffersPage,
+  priceCart,
+  calculateOfferDiscount,
+  quoteCart,
+  redeemOffer
+} from './offers.js';
+import {
+  createOfferSchema,
+  updateOfferSchema,
+  vendorOffersQuerySchema,
+  liveOffersQuerySchema,
+  cartSchema,
+  redeemOfferSchema,
+  offerParamsSchema
+} from './validation.js';
+
+const router = Router();
+
+const branchOffers = '/vendors/:vendorId/branches/:branchId/offers';
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+const vendorOffer = [...vendorBranch, requireOfferAccess];
+const offerParams = validate(offerParamsSchema, 'params');
+
+// Vendor list branch offers in every state, with their status
+router.get(branchOffers, ...vendorBranch, validate(vendorOffersQuerySchema, 'query'), async (req, res) => {
+  res.json(await listBranchOffers(req.branch.id, req.query));
+});
+
+// Create offer
+router.post(branchOffers, ...vendorBranch, validate(createOfferSchema), async (req, res) => {
+  const offer = await withTransaction(async (client) => {
+    const created = await createOffer(client, req.branch, req.body);
+    await notifyConsumers(client, created, 'offer_added', actorOf(req.user));
+    return created;
+  });
+  res.status(201).json(offer);
+});
+
+// Vendor view offer
+router.get(`${branchOffers}/:offerId`, ...vendorOffer, async (req, res) => {
+  res.json(await getOffer(req.branch.id, req.offer.id));
+});
+
+// Vendor edit offer terms, targets or schedules
+router.patch(`${branchOffers}/:offerId`, ...vendorOffer, validate(updateOfferSchema), async (req, res) => {
+  const offer = await withTransaction(async (client) => {
+    const updated = await updateOffer(client, req.branch, req.offer, req.body);
+    await notifyConsumers(client, updated, 'offer_updated', actorOf(req.user));
+    return updated;
+  });
+  res.json(offer);
+});
+
+// Vendor pause offer
+router.post(`${branchOffers}/:offerId/pause`, ...vendorOffer, async (req, res) => {
+  const offer = await withTransaction(async (client) => {
+    const paused = await setOfferActive(client, req.offer, false);
+    await notifyConsumers(client, paused, 'offer_paused', actorOf(req.user));
+    return paused;
+  });
+  res.json(offer);
+});
+
+// Vendor resume paused offer
+router.post(`${branchOffers}/:offerId/resume`, ...vendorOffer, async (req, res) => {
+  const offer = await withTransaction(async (client) => {
+    const resumed = await setOfferActive(client, req.offer, true);
+    await notifyConsumers(client, resumed, 'offer_resumed', actorOf(req.user));
+    return resumed;
+  });
+  res.json(offer);
+});
+
+// Vendor end offer early for good
+router.post(`${branchOffers}/:offerId/terminate`, ...vendorOffer, async (req, res) => {
+  const offer = await withTransaction(async (client) => {
+    const terminated = await terminateOffer(client, req.offer);
+    await notifyConsumers(client, terminated, 'offer_terminated', actorOf(req.user));
+    return terminated;
+  });
+  res.json(offer);
+});
+
+// Vendor soft delete offer
+router.delete(`${branchOffers}/:offerId`, ...vendorOffer, async (req, res) => {
+  await withTransaction(async (client) => {
+    const offer = await deleteOffer(client, req.offer);
+    await notifyConsumers(client, offer, 'offer_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Offer deleted' });
+});
+
+// Customer view offers that are live right now
+router.get('/branches/:branchId/offers', optionalAuth, offerParams, validate(liveOffersQuerySchema, 'query'), async (req, res) => {
+  res.json(await listLiveOffersPage(req.params.branchId, req.query));
+});
+
+// Customer price a cart and see which offers apply and what they take off
+router.post('/branches/:branchId/offers/quote', optionalAuth, offerParams, validate(cartSchema), async (req, res) => {
+  const deliveryFee = await deliveryFeeFor(req.params.branchId, req.body.delivery_location);
+  const cart = await priceCart(req.params.branchId, req.body.items);
+  const offers = await listLiveOffers(req.params.branchId);
+  res.json(quoteCart(offers, cart, deliveryFee));
+});
+
+// Customer redeem an offer on checkout; the discount is recalculated from the cart
+router.post('/branches/:branchId/offers/:offerId/redeem', validateToken, requireRole(['customer', 'admin']), offerParams, validate(redeemOfferSchema), async (req, res) => {
+  const { branchId, offerId } = req.params;
+  const offer = await getOffer(branchId, offerId);
+  if (offer.requires_code) throw conflictError('This offer can only be redeemed with a promo code');
+  const cart = await priceCart(branchId, req.body.items);
+  const result = calculateOfferDiscount(offer, cart, await deliveryFeeFor(branchId, req.body.delivery_location));
+  if (!result.eligible) throw conflictError(`Offer does not apply to this cart: ${result.reason}`);
+
+  const redeemed = await withTransaction(async (client) => {
+    const redemption = await redeemOffer(client, offer, {
+      user_id: req.user.role === 'customer' ? req.user.uid : null,
+      order_id: req.body.order_id,
+      subtotal: cart.subtotal,
+      discount_amount: result.discount,
+    });
+    await notifyConsumers(client, redemption.redemption, 'offer_redeemed', actorOf(req.user));
+    return redemption;
+  });
+  res.status(201).json({
+    ...redeemed.redemption,
+    free_delivery: result.free_delivery,
+    remaining_uses: redeemed.offer.usage_limit === null ? null : redeemed.offer.usage_limit - redeemed.offer.current_usage,
+  });
+});
+
+export default router;
@@ -0,0 +1,160 @@
+// =====================================================
+// OFFER VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the offers CHECK constraints in schema.sql
+// =====================================================
+
+import config from '../../config/config.js';
+import { Joi } from '../../middleware/validate.js';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed_amount', 'buy_one_get_one', 'free_delivery'];
+export const VALUED_DISCOUNT_TYPES = ['percentage', 'fixed_amount'];
+
+const amount = Joi.number().positive().precision(2).max(99999999.99);
+
+// Only percentage and fixed_amount offers carry a value
+const discountValue = Joi.when('discount_type', {
+  switch: [
+    { is: 'percentage', then: Joi.number().positive().precision(2).max(100).required() },
+    { is: 'fixed_amount', then: amount.required() },
+  ],
+  otherwise: Joi.valid(null),
+});
+
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{#label} must be a 24-hour HH:MM time',
+});
+
+// A window ending before its start runs past midnight
+const scheduleSchema = Joi.object({
+  days_of_week: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(),
+  start_time: clockTime.required(),
+  end_time: clockTime.invalid(Joi.ref('start_time')).required().messages({
+    'any.invalid': '{#label} must differ from start_time',
+  }),
+});
+
+const offerFields = {
+  title: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().allow('', null),
+  discount_type: Joi.string().valid(...DISCOUNT_TYPES),
+  minimum_order_amount: Joi.number().min(0).precision(2).max(99999999.99),
+  maximum_discount: amount.allow(null),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso(),
+  is_active: Joi.boolean(),
+  usage_limit: Joi.number().integer().positive().allow(null),
+  requires_code: Joi.boolean(),
+  menu_item_ids: Joi.array().items(Joi.string().guid()).unique(),
+  category_ids: Joi.array().items(Joi.number().integer().positive()).unique(),
+  schedules: Joi.array().items(scheduleSchema).max(20),
+};
+
+export const createOfferSchema = Joi.object({
+  ...offerFields,
+  title: offerFields.title.required(),
+  discount_type: offerFields.discount_type.required(),
+  discount_value: discountValue,
+  start_date: offerFields.start_date.required(),
+  end_date: offerFields.end_date.greater(Joi.ref('start_date')).required().messages({
+    'date.greater': '{#label} must be after start_date',
+  }),
+});
+
+// Checked again against the stored offer by updateOffer
+export const updateOfferSchema = Joi.object({
+  ...offerFields,
+  discount_value: Joi.number().positive().precision(2).max(99999999.99).allow(null),
+}).min(1);
+
+export const OFFER_STATUSES = ['live', 'scheduled', 'off_schedule', 'paused', 'exhausted', 'expired', 'terminated'];
+
+export const vendorOffersQuerySchema = Joi.object({
+  status: Joi.string().valid(...OFFER_STATUSES),
+});
+
+export const liveOffersQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  cursor: Joi.string().max(500),
+});
+
+export const cartSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    menu_item_id: Joi.string().guid().required(),
+    quantity: Joi.number().integer().min(1).max(999).default(1),
+    options: Joi.array().items(Joi.string().guid()).unique().default([]),
+  })).min(1).max(100).required(),
+  // Where the order goes; the delivery fee comes from the branch's terms there
+  delivery_location: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+  }),
+});
+
+export const redeemOfferSchema = cartSchema.keys({
+  order_id: Joi.string().trim().max(100).allow(null),
+});
+
+const promoCode = Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]{4,32}$/).messages({
+  'string.pattern.base': '{#label} must be 4 to 32 letters, digits or dashes',
+});
+
+const promoCodeLimits = {
+  usage_limit: Joi.number().integer().positive().allow(null),
+  per_customer_limit: Joi.number().integer().positive().allow(null),
+  expires_at: Joi.date().iso().greater('now').allow(null),
+};
+
+// Without a code one is generated
+export const createPromoCodeSchema = Joi.object({
+  code: promoCode,
+  ...promoCodeLimits,
+});
+
+export const generatePromoCodesSchema = Joi.object({
+  count: Joi.number().integer().min(1).max(config.business.maxPromoCodeBatch).required(),
+  prefix: Joi.string().trim().uppercase().pattern(/^[A-Z0-9]{1,12}$/).messages({
+    'string.pattern.base': '{#label} must be up to 12 letters or digits',
+  }),
+  length: Joi.number().integer().min(6).max(16).default(8),
+  ...promoCodeLimits,
+});
+
+export const promoCodeCartSchema = cartSchema.keys({
+  code: promoCode.required(),
+});
+
+export const redeemPromoCodeSchema = redeemOfferSchema.keys({
+  code: promoCode.required(),
+});
+
+export const promoCodeReportQuerySchema = Joi.object({
+  branchId: Joi.string().guid(),
+  offerId: Joi.string().guid(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+});
+
+export const offerParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  branchId: Joi.string().guid().required(),
+  offerId: Joi.string().guid(),
+  codeId: Joi.string().guid(),
+});
+
+export default {
+  DISCOUNT_TYPES,
+  VALUED_DISCOUNT_TYPES,
+  OFFER_STATUSES,
+  createOfferSchema,
+  updateOfferSchema,
+  vendorOffersQuerySchema,
+  liveOffersQuerySchema,
+  cartSchema,
+  redeemOfferSchema,
+  createPromoCodeSchema,
+  generatePromoCodesSchema,
+  promoCodeCartSchema,
+  redeemPromoCodeSchema,
+  promoCodeReportQuerySchema,
+  offerParamsSchema
+};
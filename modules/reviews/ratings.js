@@ -0,0 +1,83 @@
+// =====================================================
+// RATING SUMMARIES FOR VENDORS MICROSERVICE
+// Running review counts, averages and star histograms of
+// vendors, branches, menu items and offers
+// =====================================================
+
+import { query } from '../database/connection.js';
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Join the rating summary of each listed row as `rating`; its average is
+ * NULL while nothing is rated, so read the count through RATING_COLUMNS
+ * @param {string} targetType - 'vendor', 'branch', 'menu_item' or 'offer'
+ * @param {string} idColumn - Column holding the target's id, e.g. 'b.id'
+ * @returns {string} LEFT JOIN clause
+ */
+export const ratingJoin = (targetType, idColumn) =>
+  `LEFT JOIN rating_summaries rating ON rating.target_type = '${targetType}' AND rating.target_id = ${idColumn}`;
+
+export const RATING_COLUMNS = 'rating.average_rating, COALESCE(rating.review_count, 0) AS review_count';
+
+// What a review's rating counts towards: branch and overall reviews rate the
+// branch and its vendor, the others what they review
+const ratedTargets = async (client, review) => {
+  if (review.type === 'menu_item') return [['menu_item', review.menu_item_id]];
+  if (review.type === 'offer') return [['offer', review.offer_id]];
+  const branch = await client.query('SELECT vendor_id FROM vendor_branches WHERE id = $1', [review.branch_id]);
+  return [['branch', review.branch_id], ['vendor', branch.rows[0].vendor_id]];
+};
+
+/**
+ * Add a review's rating to the summaries of what it rates, or take it off
+ * again with sign -1. Call it in the transaction that writes the review: on
+ * create, on delete, and off then on when the rating changes.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} review - reviews row
+ * @param {number} [sign] - 1 to count the review, -1 to uncount it
+ */
+export const countRating = async (client, review, sign = 1) => {
+  const stars = `stars_${STARS.find((star) => star === review.rating)}`;
+  for (const [targetType, targetId] of await ratedTargets(client, review)) {
+    await client.query(
+      'INSERT INTO rating_summaries (target_type, target_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [targetType, targetId]
+    );
+    await client.query(
+      `UPDATE rating_summaries SET
+         review_count = review_count + $3::int,
+         rating_total = rating_total + $3::int * $4::int,
+         ${stars} = ${stars} + $3::int
+       WHERE target_type = $1 AND target_id = $2`,
+      [targetType, targetId, sign, review.rating]
+    );
+  }
+};
+
+/**
+ * The rating summary of a vendor, branch, menu item or offer
+ * @param {string} targetType - 'vendor', 'branch', 'menu_item' or 'offer'
+ * @param {string} targetId - Its ID
+ * @returns {Promise<Object>} { average_rating, review_count, histogram } where the
+ *   histogram counts the reviews giving each of 1 to 5 stars
+ */
+export const getRatingSummary = async (targetType, targetId) => {
+  const result = await query(
+    'SELECT * FROM rating_summaries WHERE target_type = $1 AND target_id = $2',
+    [targetType, targetId]
+  );
+  const summary = result.rows[0];
+  return {
+    average_rating: summary?.average_rating ?? null,
+    review_count: summary?.review_count ?? 0,
+    histogram: Object.fromEntries(STARS.map((star) => [star, summary?.[`stars_${star}`] ?? 0])),
+  };
+};
+
+export default {
+  ratingJoin,
+  RATING_COLUMNS,
+  countRating,
+  getRatingSummary
+};
@@ -0,0 +1,278 @@
+// =====================================================
+// REVIEWS FOR VENDORS MICROSERVICE
+// Writing and editing reviews with their rating summaries,
+// revisions, verified purchases, helpful votes and the
+// public review feeds
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { conflictError, notFoundError, validationError } from '../../utils/errors.js';
+import { buildSetClause } from '../../utils/sql.js';
+import { keyset, toPage } from '../../utils/pagination.js';
+import { STOREFRONT_VISIBLE } from '../vendors/discovery.js';
+import { countRating } from './ratings.js';
+
+// Review columns customers can edit; edits keep the previous version
+const REVISED_COLUMNS = ['rating', 'comment'];
+
+// Sort keys of each feed order; ties go to the newer review
+const NEWER = [{ sql: 'r.created_at', descending: true }, { sql: 'r.id', descending: true }];
+const REVIEW_SORTS = {
+  newest: NEWER,
+  helpful: [{ sql: 'COALESCE(r.helpful_votes, 0)', descending: true }, ...NEWER],
+  rating_high: [{ sql: 'r.rating', descending: true }, ...NEWER],
+  rating_low: [{ sql: 'r.rating' }, ...NEWER],
+};
+
+// Reviews each feed shows, for $1 holding the branch or menu item id
+const FEED_REVIEWS = {
+  branch: "r.branch_id = $1 AND r.type IN ('branch', 'overall')",
+  menu_item: 'r.menu_item_id = $1',
+};
+
+// The column and label of what each review type reviews
+const REVIEWED = {
+  branch: { column: 'branch_id', label: 'branch' },
+  overall: { column: 'branch_id', label: 'branch' },
+  menu_item: { column: 'menu_item_id', label: 'menu item' },
+  offer: { column: 'offer_id', label: 'offer' },
+};
+
+// Queries finding a reviewable branch, menu item or offer by $1: one
+// customers can see on a storefront
+const REVIEWABLE = {
+  branch_id: `SELECT b.id FROM vendor_branches b JOIN vendors v ON v.id = b.vendor_id
+    WHERE b.id = $1 AND ${STOREFRONT_VISIBLE}`,
+  menu_item_id: `SELECT m.id FROM menu_items m JOIN vendor_branches b ON b.id = m.branch_id JOIN vendors v ON v.id = b.vendor_id
+    WHERE m.id = $1 AND m.deleted_at IS NULL AND ${STOREFRONT_VISIBLE}`,
+  offer_id: `SELECT o.id FROM offers o JOIN vendor_branches b ON b.id = o.branch_id JOIN vendors v ON v.id = b.vendor_id
+    WHERE o.id = $1 AND o.deleted_at IS NULL AND ${STOREFRONT_VISIBLE}`,
+};
+
+/**
+ * Add a customer's review and count its rating. A customer has one live
+ * review of each branch, menu item and offer; branch and overall reviews
+ * both review the branch.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} userId - Reviewing customer
+ * @param {Object} data - Validated { type, branch_id | menu_item_id | offer_id, rating, comment, order_id }
+ * @returns {Promise<Object>} The created review
+ */
+export const createReview = async (client, userId, data) => {
+  const { column, label } = REVIEWED[data.type];
+  const target = await client.query(REVIEWABLE[column], [data[column]]);
+  if (target.rows.length === 0) throw validationError(column, `No ${label} to review with this ${column}`);
+
+  const result = await client.query(
+    `INSERT INTO reviews (user_id, type, ${column}, rating, comment, order_id) VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT DO NOTHING RETURNING *`,
+    [userId, data.type, data[column], data.rating, data.comment ?? null, data.order_id ?? null]
+  );
+  if (result.rows.length === 0) throw conflictError(`You have already reviewed this ${label}; edit that review instead`);
+  await countRating(client, result.rows[0]);
+  return result.rows[0];
+};
+
+/**
+ * Change the rating or comment of a customer's own review. The version it
+ * replaces goes to the review's revisions and its rating moves in the
+ * summaries.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Customer who wrote it
+ * @param {Object} data - Validated { rating, comment }
+ * @returns {Promise<Object>} The updated review
+ */
+export const updateReview = async (client, reviewId, userId, data) => {
+  const current = await client.query(
+    'SELECT * FROM reviews WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+    [reviewId, userId]
+  );
+  if (current.rows.length === 0) throw notFoundError('Review');
+  const review = current.rows[0];
+
+  const changes = REVISED_COLUMNS.filter((column) => data[column] !== undefined && data[column] !== review[column]);
+  if (changes.length === 0) return review;
+
+  // The version being replaced was written when the previous revision was
+  // made, or when the review was posted
+  await client.query(
+    `INSERT INTO review_revisions (review_id, revision, rating, comment, written_at)
+     SELECT $1, COUNT(*) + 1, $2, $3, COALESCE(MAX(revised_at), $4) FROM review_revisions WHERE review_id = $1`,
+    [review.id, review.rating, review.comment, review.created_at]
+  );
+  const update = buildSetClause(data, changes, { startIndex: 2 });
+  const result = await client.query(`UPDATE reviews SET ${update.clause} WHERE id = $1 RETURNING *`, [review.id, ...update.values]);
+  if (changes.includes('rating')) {
+    await countRating(client, review, -1);
+    await countRating(client, result.rows[0]);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Soft delete a customer's own review and uncount its rating; the customer
+ * may then review the same thing again
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Customer who wrote it
+ * @returns {Promise<Object>} The deleted review
+ */
+export const deleteReview = async (client, reviewId, userId) => {
+  const result = await client.query(
+    'UPDATE reviews SET deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING *',
+    [reviewId, userId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Review');
+  await countRating(client, result.rows[0], -1);
+  return result.rows[0];
+};
+
+/**
+ * A review's earlier versions; customers only see those of their own reviews
+ * @param {string} reviewId - Review ID
+ * @param {Object} user - req.user
+ * @returns {Promise<Array>} Revisions, first version first
+ */
+export const listRevisions = async (reviewId, user) => {
+  const review = await query('SELECT user_id FROM reviews WHERE id = $1 AND deleted_at IS NULL', [reviewId]);
+  if (review.rows.length === 0 || (user.role !== 'admin' && review.rows[0].user_id !== user.uid)) {
+    throw notFoundError('Review');
+  }
+  const result = await query(
+    'SELECT id, revision, rating, comment, written_at, revised_at FROM review_revisions WHERE review_id = $1 ORDER BY revision',
+    [reviewId]
+  );
+  return result.rows;
+};
+
+/**
+ * Mark a customer's live reviews of what an order bought as verified
+ * purchases. Reviews citing another order stay as they are; those citing
+ * none are tied to this order.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} orderId - Order ID in the order service
+ * @param {Object} purchase - Validated { user_id, branch_id, menu_item_ids, offer_ids }
+ * @returns {Promise<Array>} The reviews newly verified
+ */
+export const verifyPurchases = async (client, orderId, { user_id, branch_id = null, menu_item_ids = [], offer_ids = [] }) => {
+  const result = await client.query(
+    `UPDATE reviews SET is_verified_purchase = TRUE, order_id = $1
+     WHERE user_id = $2 AND deleted_at IS NULL AND is_verified_purchase IS NOT TRUE
+       AND (order_id IS NULL OR order_id = $1)
+       AND (branch_id = $3::uuid OR menu_item_id = ANY($4::uuid[]) OR offer_id = ANY($5::uuid[]))
+     RETURNING *`,
+    [orderId, user_id, branch_id, menu_item_ids, offer_ids]
+  );
+  return result.rows;
+};
+
+/**
+ * Record a customer's like or dislike of a review, replacing an earlier one,
+ * and recount the review's helpful votes from its likes
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - Customer
+ * @param {boolean} isLike - Like or dislike
+ * @returns {Promise<Object>} The review_likes row with the review's helpful_votes
+ */
+export const reactToReview = async (client, reviewId, userId, isLike) => {
+  const review = await client.query('SELECT id FROM reviews WHERE id = $1 AND deleted_at IS NULL', [reviewId]);
+  if (review.rows.length === 0) throw notFoundError('Review');
+
+  const like = await client.query(
+    'INSERT INTO review_likes (review_id, user_id, is_like) VALUES ($1, $2, $3) ON CONFLICT (review_id, user_id) DO UPDATE SET is_like = $3 RETURNING *',
+    [reviewId, userId, isLike]
+  );
+  // Recounting under the review's row lock keeps concurrent votes from losing each other
+  const votes = await client.query(
+    `UPDATE reviews SET helpful_votes = (SELECT COUNT(*) FROM review_likes WHERE review_id = $1 AND is_like)
+     WHERE id = $1 RETURNING helpful_votes`,
+    [reviewId]
+  );
+  return { ...like.rows[0], helpful_votes: votes.rows[0].helpful_votes };
+};
+
+/**
+ * Resolve what a public review feed is about: a storefront branch, or a menu
+ * item on one
+ * @param {Object} params - { branchId, itemId }
+ * @returns {Promise<Object>} { type: 'branch' | 'menu_item', id }
+ */
+export const getFeedTarget = async ({ branchId, itemId }) => {
+  if (!itemId) {
+    const branch = await query(
+      `SELECT b.id FROM vendor_branches b JOIN vendors v ON v.id = b.vendor_id WHERE b.id = $1 AND ${STOREFRONT_VISIBLE}`,
+      [branchId]
+    );
+    if (branch.rows.length === 0) throw notFoundError('Branch');
+    return { type: 'branch', id: branchId };
+  }
+
+  const item = await query(
+    `SELECT m.id FROM menu_items m
+     JOIN vendor_branches b ON b.id = m.branch_id
+     JOIN vendors v ON v.id = b.vendor_id
+     WHERE m.id = $1 AND m.branch_id = $2 AND m.deleted_at IS NULL AND ${STOREFRONT_VISIBLE}`,
+    [itemId, branchId]
+  );
+  if (item.rows.length === 0) throw notFoundError('Menu item');
+  return { type: 'menu_item', id: itemId };
+};
+
+// Nest each review's replies in it, oldest first
+const attachReplies = async (reviews) => {
+  const result = await query(
+    `SELECT id, review_id, comment, is_vendor_reply, created_at, updated_at
+     FROM review_replies
+     WHERE review_id = ANY($1) AND deleted_at IS NULL
+     ORDER BY created_at, id`,
+    [reviews.map((review) => review.id)]
+  );
+  const replies = new Map(reviews.map((review) => [review.id, []]));
+  result.rows.forEach(({ review_id: reviewId, ...reply }) => replies.get(reviewId).push(reply));
+  return reviews.map((review) => ({ ...review, replies: replies.get(review.id) }));
+};
+
+/**
+ * A page of the reviews of a branch or menu item
+ * @param {Object} target - { type, id } from getFeedTarget
+ * @param {Object} filters - Validated { rating, sort, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination: { limit, next_cursor, has_more } } where each
+ *   review carries its reviewer's name and its replies
+ */
+export const listReviews = async (target, { rating, sort, limit, cursor }) => {
+  const params = [target.id];
+  const conditions = [FEED_REVIEWS[target.type], 'r.deleted_at IS NULL'];
+  if (rating) {
+    params.push(rating);
+    conditions.push(`r.rating = $${params.length}`);
+  }
+
+  const page = keyset(REVIEW_SORTS[sort], cursor, params);
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT r.id, r.type, r.rating, r.comment, r.is_verified_purchase, COALESCE(r.helpful_votes, 0) AS helpful_votes,
+            EXISTS (SELECT 1 FROM review_revisions rv WHERE rv.review_id = r.id) AS is_edited,
+            r.created_at, r.updated_at, u.name AS reviewer_name, ${page.pageKey}
+     FROM reviews r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE ${conditions.join(' AND ')} AND ${page.after}
+     ORDER BY ${page.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  const { data, pagination } = toPage(result.rows, limit);
+  return { data: await attachReplies(data), pagination };
+};
+
+export default {
+  createReview,
+  updateReview,
+  deleteReview,
+  listRevisions,
+  verifyPurchases,
+  reactToReview,
+  getFeedTarget,
+  listReviews
+};
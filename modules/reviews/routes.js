@@ -0,0 +1,143 @@
+// =====================================================
+// REVIEW ROUTES FOR VENDORS MICROSERVICE
+// Customer reviews, replies and likes, public review
+// feeds, rating summaries and purchase verification
+// =====================================================
+
+import { Router } from 'express';
+import { query, withTransaction } from '../database/connection.js';
+import { validateToken, optionalAuth, requireRole } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { HttpError, notFoundError } from '../../utils/errors.js';
+import {
+  createReview,
+  updateReview,
+  deleteReview,
+  listRevisions,
+  verifyPurchases,
+  reactToReview,
+  getFeedTarget,
+  listReviews
+} from './reviews.js';
+import { getRatingSummary } from './ratings.js';
+import {
+  createReviewSchema,
+  updateReviewSchema,
+  verifyPurchaseSchema,
+  orderParamsSchema,
+  reviewFeedQuerySchema,
+  reviewFeedParamsSchema,
+  reviewParamsSchema,
+  reactionSchema,
+  replySchema
+} from './validation.js';
+
+const router = Router();
+
+const branchReviews = '/branches/:branchId/reviews';
+const menuItemReviews = '/branches/:branchId/menu/:itemId/reviews';
+const feedParams = validate(reviewFeedParamsSchema, 'params');
+const feedQuery = validate(reviewFeedQuerySchema, 'query');
+const reviewParams = validate(reviewParamsSchema, 'params');
+
+// Read a feed's reviews or its rating summary
+const showFeed = async (req, res) => {
+  res.json(await listReviews(await getFeedTarget(req.params), req.query));
+};
+const showSummary = async (req, res) => {
+  const target = await getFeedTarget(req.params);
+  res.json(await getRatingSummary(target.type, target.id));
+};
+
+// Customer read a branch's reviews, newest, most helpful or best rated first
+router.get(branchReviews, optionalAuth, feedParams, feedQuery, showFeed);
+
+// Customer view a branch's average rating and star histogram
+router.get(`${branchReviews}/summary`, optionalAuth, feedParams, showSummary);
+
+// Customer read a menu item's reviews
+router.get(menuItemReviews, optionalAuth, feedParams, feedQuery, showFeed);
+
+// Customer view a menu item's average rating and star histogram
+router.get(`${menuItemReviews}/summary`, optionalAuth, feedParams, showSummary);
+
+// Customer post review, one per branch, menu item or offer
+router.post('/reviews', validateToken, requireRole('customer'), validate(createReviewSchema), async (req, res) => {
+  const review = await withTransaction(async (client) => {
+    const created = await createReview(client, req.user.uid, req.body);
+    await notifyConsumers(client, created, 'review_added', actorOf(req.user));
+    return created;
+  });
+  res.json(review);
+});
+
+// Customer edit review, keeping the earlier version
+router.put('/reviews/:reviewId', validateToken, requireRole('customer'), reviewParams, validate(updateReviewSchema), async (req, res) => {
+  const review = await withTransaction(async (client) => {
+    const updated = await updateReview(client, req.params.reviewId, req.user.uid, req.body);
+    await notifyConsumers(client, updated, 'review_updated', actorOf(req.user));
+    return updated;
+  });
+  res.json(review);
+});
+
+// Customer or admin view the earlier versions of an edited review
+router.get('/reviews/:reviewId/revisions', validateToken, requireRole(['customer', 'admin']), reviewParams, async (req, res) => {
+  res.json(await listRevisions(req.params.reviewId, req.user));
+});
+
+// Customer delete review
+router.delete('/reviews/:reviewId', validateToken, requireRole('customer'), reviewParams, async (req, res) => {
+  const { reviewId } = req.params;
+  await withTransaction(async (client) => {
+    await deleteReview(client, reviewId, req.user.uid);
+    await notifyConsumers(client, { reviewId }, 'review_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Review deleted' });
+});
+
+// Order service mark a customer's reviews of what an order bought as verified purchases
+router.post('/internal/orders/:orderId/verified-purchases', validateToken, requireRole('service'), validate(orderParamsSchema, 'params'), validate(verifyPurchaseSchema), async (req, res) => {
+  const reviews = await withTransaction(async (client) => {
+    const verified = await verifyPurchases(client, req.params.orderId, req.body);
+    for (const review of verified) {
+      await notifyConsumers(client, review, 'review_purchase_verified', actorOf(req.user));
+    }
+    return verified;
+  });
+  res.json({ order_id: req.params.orderId, verified: reviews });
+});
+
+// Vendor/customer reply to review
+router.post('/reviews/:reviewId/replies', validateToken, requireRole(['vendor', 'customer']), reviewParams, validate(replySchema), async (req, res) => {
+  const { reviewId } = req.params;
+  const { comment } = req.body;
+  const reviewCheck = await query('SELECT * FROM reviews WHERE id = $1 AND deleted_at IS NULL', [reviewId]);
+  if (reviewCheck.rows.length === 0) throw notFoundError('Review');
+  const isVendor = req.user.role === 'vendor';
+  if (isVendor) {
+    const vendorCheck = await query(
+      'SELECT 1 FROM vendors v JOIN vendor_branches vb ON v.id = vb.vendor_id JOIN reviews r ON vb.id = r.branch_id WHERE r.id = $1 AND v.user_id = $2',
+      [reviewId, req.user.uid]
+    );
+    if (vendorCheck.rows.length === 0) throw new HttpError(403, 'Unauthorized vendor', 'Vendors can only reply to reviews of their own branches');
+  }
+  const reply = await withTransaction(async (client) => {
+    const result = await client.query(
+      'INSERT INTO review_replies (review_id, user_id, comment, is_vendor_reply) VALUES ($1, $2, $3, $4) RETURNING *',
+      [reviewId, req.user.uid, comment, isVendor]
+    );
+    await notifyConsumers(client, result.rows[0], 'review_reply_added', actorOf(req.user));
+    return result.rows[0];
+  });
+  res.json(reply);
+});
+
+// Customer like/dislike review
+router.post('/reviews/:reviewId/like', validateToken, requireRole('customer'), reviewParams, validate(reactionSchema), async (req, res) => {
+  const like = await withTransaction((client) => reactToReview(client, req.params.reviewId, req.user.uid, req.body.is_like));
+  res.json(like);
+});
+
+export default router;
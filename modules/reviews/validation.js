@@ -0,0 +1,88 @@
+// =====================================================
+// REVIEW VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the reviews CHECK constraints in schema.sql
+// =====================================================
+
+import config from '../../config/config.js';
+import { Joi } from '../../middleware/validate.js';
+
+export const REVIEW_TYPES = ['branch', 'menu_item', 'offer', 'overall'];
+
+export const REVIEW_SORTS = ['newest', 'helpful', 'rating_high', 'rating_low'];
+
+// Each type names exactly what it reviews: branch and overall reviews a
+// branch_id, the others a menu_item_id or offer_id
+const reviewed = (...types) => Joi.string().guid().when('type', {
+  is: Joi.valid(...types).required(),
+  then: Joi.required(),
+  otherwise: Joi.forbidden(),
+}).messages({
+  'any.unknown': '{#label} is not allowed on this type of review',
+});
+
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().trim().max(2000).allow('', null),
+};
+
+export const createReviewSchema = Joi.object({
+  type: Joi.string().valid(...REVIEW_TYPES).required(),
+  branch_id: reviewed('branch', 'overall'),
+  menu_item_id: reviewed('menu_item'),
+  offer_id: reviewed('offer'),
+  order_id: Joi.string().guid(),
+  ...reviewFields,
+  rating: reviewFields.rating.required(),
+});
+
+export const updateReviewSchema = Joi.object(reviewFields).min(1);
+
+// What a completed order bought, so the customer's reviews of it count as verified
+export const verifyPurchaseSchema = Joi.object({
+  user_id: Joi.string().guid().required(),
+  branch_id: Joi.string().guid(),
+  menu_item_ids: Joi.array().items(Joi.string().guid()).unique(),
+  offer_ids: Joi.array().items(Joi.string().guid()).unique(),
+}).or('branch_id', 'menu_item_ids', 'offer_ids');
+
+export const orderParamsSchema = Joi.object({
+  orderId: Joi.string().guid().required(),
+});
+
+export const reviewFeedQuerySchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  sort: Joi.string().valid(...REVIEW_SORTS).default('newest'),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  cursor: Joi.string().max(500),
+});
+
+export const reviewFeedParamsSchema = Joi.object({
+  branchId: Joi.string().guid().required(),
+  itemId: Joi.string().guid(),
+});
+
+export const reviewParamsSchema = Joi.object({
+  reviewId: Joi.string().guid().required(),
+});
+
+export const reactionSchema = Joi.object({
+  is_like: Joi.boolean().required(),
+});
+
+export const replySchema = Joi.object({
+  comment: Joi.string().trim().max(2000).required(),
+});
+
+export default {
+  REVIEW_TYPES,
+  REVIEW_SORTS,
+  createReviewSchema,
+  updateReviewSchema,
+  verifyPurchaseSchema,
+  orderParamsSchema,
+  reviewFeedQuerySchema,
+  reviewFeedParamsSchema,
+  reviewParamsSchema,
+  reactionSchema,
+  replySchema
+};
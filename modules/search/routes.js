@@ -0,0 +1,19 @@
+// =====================================================
+// SEARCH ROUTES FOR VENDORS MICROSERVICE
+// Global search across vendors, branches and menu items
+// =====================================================
+
+import { Router } from 'express';
+import { optionalAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { search } from './search.js';
+import { searchQuerySchema } from './validation.js';
+
+const router = Router();
+
+// Customer search vendors, branches and menu items with facets
+router.get('/search', optionalAuth, validate(searchQuerySchema, 'query'), async (req, res) => {
+  res.json(await search(req.query));
+});
+
+export default router;
@@ -0,0 +1,189 @@
+// =====================================================
+// GLOBAL SEARCH FOR VENDORS MICROSERVICE
+// Full-text and fuzzy search across vendors, branches and
+// menu items with relevance ranking, facets and snippets
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { RATING_COLUMNS, ratingJoin } from '../reviews/ratings.js';
+import { SEARCH_TYPES, PRICE_BUCKETS } from './validation.js';
+
+// Text search configuration from schema.sql for mixed Arabic and English text
+const TEXT_SEARCH_CONFIG = 'arabic_english';
+
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+const VISIBLE_VENDOR = "v.deleted_at IS NULL AND v.is_active = TRUE AND v.registration_status = 'approved'";
+const VISIBLE_BRANCH = 'b.deleted_at IS NULL AND b.is_active = TRUE';
+
+/**
+ * SQL matching a row against a search term: every word of the term in the
+ * row's full-text vector, or the term close enough to part of the name to
+ * forgive a typo
+ * @param {string} alias - Table alias with search_vector and name columns
+ * @param {string} term - Placeholder holding the term, e.g. '$2'
+ * @returns {string} SQL condition
+ */
+export const textMatchSql = (alias, term) => `(${alias}.search_vector @@ websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', ${term})
+    OR ${term} <% ${alias}.name)`;
+
+// Relevance to the term in $1: cover density rank plus how closely the term
+// resembles the name, so typo matches still rank behind exact ones
+const rankSql = (alias) => `(ts_rank_cd(${alias}.search_vector, websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $1))
+    + word_similarity($1, ${alias}.name))`;
+
+// The term in $1 marked within text, which is escaped first so the marks are
+// the only markup in the result
+const headlineSql = (text, options) => `ts_headline('${TEXT_SEARCH_CONFIG}',
+    REPLACE(REPLACE(REPLACE(${text}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'),
+    websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $1), 'StartSel=<mark>, StopSel=</mark>, ${options}')`;
+
+const PRICE_BUCKET_SQL = `CASE ${PRICE_BUCKETS.map(({ key, min, max }) => {
+  const bounds = [min !== null && `m.price >= ${min}`, max !== null && `m.price < ${max}`].filter(Boolean);
+  return `WHEN ${bounds.join(' AND ')} THEN '${key}'`;
+}).join(' ')} END`;
+
+// Every visible vendor, branch and menu item matching $1, in one shape so
+// they can be ranked, filtered and counted together, with their rating summaries
+const HITS = `
+  SELECT 'vendor' AS type, v.id, v.name, v.business_description AS body, ${rankSql('v')} AS rank,
+         v.id AS vendor_id, v.name AS vendor_name, NULL::uuid AS branch_id, NULL::varchar AS branch_name,
+         NULL::numeric AS price, NULL::varchar AS category, NULL::boolean AS is_vegan, NULL::boolean AS is_halal,
+         NULL::boolean AS is_gluten_free, NULL::text AS price_bucket, ${RATING_COLUMNS}
+  FROM vendors v
+  ${ratingJoin('vendor', 'v.id')}
+  WHERE ${VISIBLE_VENDOR} AND ${textMatchSql('v', '$1')}
+  UNION ALL
+  SELECT 'branch', b.id, b.name, b.address, ${rankSql('b')},
+         v.id, v.name, b.id, b.name, NULL, NULL, NULL, NULL, NULL, NULL, ${RATING_COLUMNS}
+  FROM vendor_branches b
+  JOIN vendors v ON v.id = b.vendor_id
+  ${ratingJoin('branch', 'b.id')}
+  WHERE ${VISIBLE_BRANCH} AND ${VISIBLE_VENDOR} AND ${textMatchSql('b', '$1')}
+  UNION ALL
+  SELECT 'menu_item', m.id, m.name, m.description, ${rankSql('m')},
+         v.id, v.name, b.id, b.name, m.price, c.name, m.is_vegan, m.is_halal, m.is_gluten_free, ${PRICE_BUCKET_SQL},
+         ${RATING_COLUMNS}
+  FROM menu_items m
+  JOIN vendor_branches b ON b.id = m.branch_id
+  JOIN vendors v ON v.id = b.vendor_id
+  LEFT JOIN menu_categories c ON c.id = m.category_id
+  ${ratingJoin('menu_item', 'm.id')}
+  WHERE m.deleted_at IS NULL AND m.is_available = TRUE
+    AND (m.category_id IS NULL OR (c.is_active = TRUE AND c.deleted_at IS NULL))
+    AND ${VISIBLE_BRANCH} AND ${VISIBLE_VENDOR} AND ${textMatchSql('m', '$1')}`;
+
+// Conditions on the hits for the chosen filters, each tagged with the facet
+// it narrows; values are bound onto params
+const hitConditions = ({ type, category, vegan, halal, glutenFree, priceBucket, minRating }, params) => {
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+  if (type) conditions.push({ facet: 'type', sql: `h.type = ${bind(type)}` });
+  if (category) conditions.push({ facet: 'category', sql: `LOWER(h.category) = LOWER(${bind(category)})` });
+  if (vegan) conditions.push({ facet: 'dietary', sql: 'h.is_vegan' });
+  if (halal) conditions.push({ facet: 'dietary', sql: 'h.is_halal' });
+  if (glutenFree) conditions.push({ facet: 'dietary', sql: 'h.is_gluten_free' });
+  if (priceBucket) conditions.push({ facet: 'price_bucket', sql: `h.price_bucket = ${bind(priceBucket)}` });
+  if (minRating) conditions.push({ facet: 'rating', sql: `h.average_rating >= ${bind(minRating)}` });
+  return conditions;
+};
+
+// The conditions as SQL, leaving out those of one facet so that facet's
+// counts show what picking another of its values would give
+const whereSql = (conditions, exceptFacet = null) => {
+  const kept = conditions.filter(({ facet }) => facet !== exceptFacet).map(({ sql }) => sql);
+  return kept.length > 0 ? kept.join(' AND ') : 'TRUE';
+};
+
+// Response shape of a hit; menu item fields are null on vendors and branches
+const hitRow = (row) => ({
+  type: row.type,
+  id: row.id,
+  name: row.name,
+  score: row.score,
+  highlight: { name: row.name_highlight, snippet: row.snippet },
+  vendor: { id: row.vendor_id, name: row.vendor_name },
+  branch: row.branch_id ? { id: row.branch_id, name: row.branch_name } : null,
+  price: row.price,
+  category: row.category,
+  is_vegan: row.is_vegan,
+  is_halal: row.is_halal,
+  is_gluten_free: row.is_gluten_free,
+  price_bucket: row.price_bucket,
+  average_rating: row.average_rating,
+  review_count: row.review_count,
+});
+
+/**
+ * Search vendors, branches and menu items customers can order from. Words
+ * are stemmed for English and Arabic alike and a near miss on a name still
+ * matches. Category, dietary and price filters apply to menu items, so
+ * choosing one leaves vendors and branches out.
+ * @param {Object} filters - Validated { q, type, category, vegan, halal, glutenFree, priceBucket, minRating, limit, offset }
+ * @returns {Promise<Object>} { query, data, facets, pagination: { limit, offset, has_more } } with hits best first,
+ *   their names and text snippets carrying <mark> highlights
+ */
+export const search = async (filters) => {
+  const { q, limit, offset } = filters;
+  const params = [q];
+  const conditions = hitConditions(filters, params);
+
+  // One extra row tells whether another page follows
+  const page = await query(
+    `WITH hits AS (${HITS})
+     SELECT h.*, ROUND(h.rank::numeric, 4)::float AS score,
+            ${headlineSql('h.name', 'HighlightAll=true')} AS name_highlight,
+            CASE WHEN COALESCE(h.body, '') = '' THEN NULL
+                 ELSE ${headlineSql('h.body', 'MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "')} END AS snippet
+     FROM (
+       SELECT * FROM hits h WHERE ${whereSql(conditions)}
+       ORDER BY h.rank DESC, h.name, h.id
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+     ) h
+     ORDER BY h.rank DESC, h.name, h.id`,
+    [...params, limit + 1, offset]
+  );
+
+  const counts = await query(
+    `WITH hits AS (${HITS})
+     SELECT
+       (SELECT COALESCE(json_object_agg(f.type, f.count), '{}')
+        FROM (SELECT h.type, COUNT(*)::int AS count FROM hits h WHERE ${whereSql(conditions, 'type')} GROUP BY h.type) f) AS types,
+       (SELECT COALESCE(json_agg(json_build_object('value', f.value, 'count', f.count) ORDER BY f.count DESC, f.value), '[]')
+        FROM (SELECT MIN(h.category) AS value, COUNT(*)::int AS count FROM hits h
+              WHERE h.category IS NOT NULL AND ${whereSql(conditions, 'category')} GROUP BY LOWER(h.category)) f) AS categories,
+       (SELECT json_build_object(
+                 'is_vegan', COUNT(*) FILTER (WHERE h.is_vegan),
+                 'is_halal', COUNT(*) FILTER (WHERE h.is_halal),
+                 'is_gluten_free', COUNT(*) FILTER (WHERE h.is_gluten_free))
+        FROM hits h WHERE ${whereSql(conditions)}) AS dietary,
+       (SELECT COALESCE(json_object_agg(f.price_bucket, f.count), '{}')
+        FROM (SELECT h.price_bucket, COUNT(*)::int AS count FROM hits h
+              WHERE h.price_bucket IS NOT NULL AND ${whereSql(conditions, 'price_bucket')} GROUP BY h.price_bucket) f) AS price_buckets,
+       (SELECT json_build_object(${RATING_THRESHOLDS.map((min) => `'${min}', COUNT(*) FILTER (WHERE h.average_rating >= ${min})`).join(', ')})
+        FROM hits h WHERE ${whereSql(conditions, 'rating')}) AS ratings`,
+    params
+  );
+  const { types, categories, dietary, price_buckets: priceBuckets, ratings } = counts.rows[0];
+
+  return {
+    query: q,
+    data: page.rows.slice(0, limit).map(hitRow),
+    facets: {
+      type: SEARCH_TYPES.map((value) => ({ value, count: types[value] ?? 0 })),
+      category: categories,
+      dietary,
+      price_bucket: PRICE_BUCKETS.map(({ key, min, max }) => ({ value: key, min, max, count: priceBuckets[key] ?? 0 })),
+      rating: RATING_THRESHOLDS.map((min) => ({ min_rating: min, count: ratings[min] })),
+    },
+    pagination: { limit, offset, has_more: page.rows.length > limit },
+  };
+};
+
+export default {
+  textMatchSql,
+  search
+};
@@ -0,0 +1,36 @@
+// =====================================================
+// SEARCH VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Global search query, result types and price buckets
+// =====================================================
+
+import config from '../../config/config.js';
+import { Joi } from '../../middleware/validate.js';
+
+export const SEARCH_TYPES = ['vendor', 'branch', 'menu_item'];
+
+// Menu item price ranges offered as a facet; min is inclusive, max exclusive
+export const PRICE_BUCKETS = [
+  { key: 'under_50', min: null, max: 50 },
+  { key: '50_to_100', min: 50, max: 100 },
+  { key: '100_to_200', min: 100, max: 200 },
+  { key: '200_and_over', min: 200, max: null },
+];
+
+export const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required(),
+  type: Joi.string().valid(...SEARCH_TYPES),
+  category: Joi.string().trim().max(100),
+  vegan: Joi.boolean(),
+  halal: Joi.boolean(),
+  glutenFree: Joi.boolean(),
+  priceBucket: Joi.string().valid(...PRICE_BUCKETS.map((bucket) => bucket.key)),
+  minRating: Joi.number().min(1).max(5),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+export default {
+  SEARCH_TYPES,
+  PRICE_BUCKETS,
+  searchQuerySchema
+};
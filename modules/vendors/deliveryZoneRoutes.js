@@ -0,0 +1,83 @@
+// =====================================================
+// DELIVERY ZONE ROUTES FOR VENDORS MICROSERVICE
+// Vendor zone management and customer delivery lookups
+// =====================================================
+
+import { Router } from 'express';
+import { withTransaction } from '../database/connection.js';
+import { validateToken, optionalAuth, requireVendorAccess, requireBranchAccess } from '../../middleware/auth.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import {
+  listZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  loadStorefrontBranch,
+  deliveryTerms
+} from './deliveryZones.js';
+import {
+  createDeliveryZoneSchema,
+  updateDeliveryZoneSchema,
+  deliveryZoneParamsSchema,
+  deliveryLookupQuerySchema
+} from './validation.js';
+
+const router = Router();
+
+const branchZones = '/vendors/:vendorId/branches/:branchId/delivery-zones';
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+const zoneParams = validate(deliveryZoneParamsSchema, 'params');
+const branchParams = validate(Joi.object({ branchId: Joi.string().guid().required() }), 'params');
+
+// Vendor list branch delivery zones, switched off ones included
+router.get(branchZones, ...vendorBranch, async (req, res) => {
+  res.json(await listZones(req.branch.id));
+});
+
+// Vendor add a delivery zone
+router.post(branchZones, ...vendorBranch, validate(createDeliveryZoneSchema), async (req, res) => {
+  const zone = await withTransaction(async (client) => {
+    const created = await createZone(client, req.branch, req.body);
+    await notifyConsumers(client, created, 'delivery_zone_added', actorOf(req.user));
+    return created;
+  });
+  res.status(201).json(zone);
+});
+
+// Vendor change a zone's outline or terms
+router.patch(`${branchZones}/:zoneId`, ...vendorBranch, zoneParams, validate(updateDeliveryZoneSchema), async (req, res) => {
+  const current = await getZone(req.branch.id, req.params.zoneId);
+  const zone = await withTransaction(async (client) => {
+    const updated = await updateZone(client, current, req.body);
+    await notifyConsumers(client, updated, 'delivery_zone_updated', actorOf(req.user));
+    return updated;
+  });
+  res.json(zone);
+});
+
+// Vendor soft delete a zone
+router.delete(`${branchZones}/:zoneId`, ...vendorBranch, zoneParams, async (req, res) => {
+  const current = await getZone(req.branch.id, req.params.zoneId);
+  await withTransaction(async (client) => {
+    const zone = await deleteZone(client, current);
+    await notifyConsumers(client, zone, 'delivery_zone_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Delivery zone deleted' });
+});
+
+// Customer view the areas a branch delivers to
+router.get('/branches/:branchId/delivery-zones', optionalAuth, branchParams, async (req, res) => {
+  const { branch } = await loadStorefrontBranch(req.params.branchId);
+  res.json(await listZones(branch.id, { activeOnly: true }));
+});
+
+// Customer check whether a branch delivers to a point, and on what terms
+router.get('/branches/:branchId/delivery', optionalAuth, branchParams, validate(deliveryLookupQuerySchema, 'query'), async (req, res) => {
+  const { branch, vendor } = await loadStorefrontBranch(req.params.branchId);
+  const zones = await listZones(branch.id, { activeOnly: true });
+  res.json({ branch_id: branch.id, ...deliveryTerms(branch, vendor, zones, { lat: req.query.lat, lng: req.query.lng }) });
+});
+
+export default router;
@@ -0,0 +1,235 @@
+// =====================================================
+// DELIVERY ZONES FOR VENDORS MICROSERVICE
+// Polygon delivery areas per branch with their own fee,
+// minimum order and delivery time, and delivery lookups
+// =====================================================
+
+import config from '../../config/config.js';
+import { query } from '../database/connection.js';
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { notFoundError, validationError } from '../../utils/errors.js';
+import { distanceKm, pointInPolygon, boundingBoxOf } from '../../utils/geo.js';
+
+const ZONE_COLUMNS = [
+  'name',
+  'polygon',
+  'delivery_fee',
+  'minimum_order_amount',
+  'estimated_delivery_minutes',
+  'is_active',
+];
+
+const BOX_COLUMNS = ['min_lat', 'max_lat', 'min_lng', 'max_lng'];
+
+const JSON_COLUMNS = ['polygon'];
+
+// Whether branch b has a live zone, and whether one's bounding box holds the
+// point in placeholders lat/lng; pointInPolygon settles the boxed candidates
+export const HAS_ZONES = `EXISTS (SELECT 1 FROM delivery_zones z WHERE z.branch_id = b.id AND z.is_active = TRUE AND z.deleted_at IS NULL)`;
+export const zoneBoxHoldsSql = (lat, lng) => `EXISTS (
+    SELECT 1 FROM delivery_zones z
+    WHERE z.branch_id = b.id AND z.is_active = TRUE AND z.deleted_at IS NULL
+      AND ${lat} BETWEEN z.min_lat AND z.max_lat AND ${lng} BETWEEN z.min_lng AND z.max_lng
+  )`;
+
+/**
+ * List a branch's zones
+ * @param {string} branchId - Branch ID
+ * @param {Object} options - { activeOnly } to leave out switched off zones
+ * @returns {Promise<Array>} Zones by name
+ */
+export const listZones = async (branchId, { activeOnly = false } = {}) => {
+  const result = await query(
+    `SELECT * FROM delivery_zones WHERE branch_id = $1 AND deleted_at IS NULL ${activeOnly ? 'AND is_active = TRUE' : ''}
+     ORDER BY name`,
+    [branchId]
+  );
+  return result.rows;
+};
+
+/**
+ * Load the active zones of many branches at once
+ * @param {Array<string>} branchIds - Branch IDs
+ * @returns {Promise<Map>} Branch ID -> zones
+ */
+export const loadZones = async (branchIds) => {
+  const byBranch = new Map(branchIds.map((id) => [id, []]));
+  if (branchIds.length === 0) return byBranch;
+
+  const result = await query(
+    `SELECT * FROM delivery_zones WHERE branch_id = ANY($1::uuid[]) AND is_active = TRUE AND deleted_at IS NULL`,
+    [branchIds]
+  );
+  for (const zone of result.rows) byBranch.get(zone.branch_id).push(zone);
+  return byBranch;
+};
+
+/**
+ * Load one zone of a branch
+ * @param {string} branchId - Branch ID
+ * @param {string} zoneId - Zone ID
+ * @returns {Promise<Object>} Zone
+ */
+export const getZone = async (branchId, zoneId) => {
+  const result = await query(
+    'SELECT * FROM delivery_zones WHERE id = $1 AND branch_id = $2 AND deleted_at IS NULL',
+    [zoneId, branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Delivery zone');
+  return result.rows[0];
+};
+
+/**
+ * Create a zone for a branch
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - Branch row
+ * @param {Object} data - Validated zone fields
+ * @returns {Promise<Object>} The created zone
+ */
+export const createZone = async (client, branch, data) => {
+  const insert = buildInsert(
+    { ...data, ...boundingBoxOf(data.polygon), branch_id: branch.id },
+    ['branch_id', ...ZONE_COLUMNS, ...BOX_COLUMNS],
+    { jsonColumns: JSON_COLUMNS }
+  );
+  const result = await client.query(
+    `INSERT INTO delivery_zones (${insert.columns}) VALUES (${insert.placeholders}) RETURNING *`,
+    insert.values
+  );
+  return result.rows[0];
+};
+
+/**
+ * Change a zone's outline or terms
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} zone - Current zone row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated zone
+ */
+export const updateZone = async (client, zone, data) => {
+  const changes = data.polygon ? { ...data, ...boundingBoxOf(data.polygon) } : data;
+  const update = buildSetClause(changes, [...ZONE_COLUMNS, ...BOX_COLUMNS], { startIndex: 2, jsonColumns: JSON_COLUMNS });
+  const result = await client.query(`UPDATE delivery_zones SET ${update.clause} WHERE id = $1 RETURNING *`, [zone.id, ...update.values]);
+  return result.rows[0];
+};
+
+/**
+ * Soft delete a zone
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} zone - Zone row
+ * @returns {Promise<Object>} The deleted zone
+ */
+export const deleteZone = async (client, zone) => {
+  const result = await client.query('UPDATE delivery_zones SET deleted_at = NOW() WHERE id = $1 RETURNING *', [zone.id]);
+  return result.rows[0];
+};
+
+/**
+ * The zone that serves a point. Where zones overlap the customer gets the
+ * cheapest delivery, then the lowest minimum order, then the fastest.
+ * @param {Array} zones - Active zones of one branch
+ * @param {Object} point - { lat, lng }
+ * @returns {Object|null} Zone, or null when none covers the point
+ */
+export const zoneFor = (zones, point) => zones
+  .filter((zone) => pointInPolygon(point, zone.polygon))
+  .sort((a, b) => (
+    Number(a.delivery_fee) - Number(b.delivery_fee)
+    || Number(a.minimum_order_amount) - Number(b.minimum_order_amount)
+    || (a.estimated_delivery_minutes ?? Infinity) - (b.estimated_delivery_minutes ?? Infinity)
+  ))[0] ?? null;
+
+/**
+ * Whether a branch delivers to a point and on what terms. Branches with
+ * zones deliver inside them only; others within the vendor's delivery_radius
+ * (capped by the platform maximum) at the vendor's minimum order.
+ * @param {Object} branch - Branch row with latitude and longitude
+ * @param {Object} vendor - Vendor row with delivery_radius and minimum_order_amount
+ * @param {Array} zones - Active zones of the branch
+ * @param {Object} point - { lat, lng }
+ * @returns {Object} { deliverable, zone, delivery_fee, minimum_order_amount, estimated_delivery_minutes, distance_km }
+ */
+export const deliveryTerms = (branch, vendor, zones, point) => {
+  const located = branch.latitude !== null && branch.longitude !== null;
+  const distance = located
+    ? Math.round(distanceKm({ lat: Number(branch.latitude), lng: Number(branch.longitude) }, point) * 100) / 100
+    : null;
+  const undeliverable = {
+    deliverable: false, zone: null, delivery_fee: null, minimum_order_amount: null, estimated_delivery_minutes: null, distance_km: distance,
+  };
+
+  if (zones.length > 0) {
+    const zone = zoneFor(zones, point);
+    if (!zone) return undeliverable;
+    return {
+      deliverable: true,
+      zone: { id: zone.id, name: zone.name },
+      delivery_fee: zone.delivery_fee,
+      minimum_order_amount: zone.minimum_order_amount,
+      estimated_delivery_minutes: zone.estimated_delivery_minutes,
+      distance_km: distance,
+    };
+  }
+
+  const maxRadiusKm = config.business.maximumDeliveryRadius / 1000;
+  const radiusKm = Math.min(vendor.delivery_radius === null ? maxRadiusKm : Number(vendor.delivery_radius), maxRadiusKm);
+  if (!located || distance > radiusKm) return undeliverable;
+  return {
+    deliverable: true,
+    zone: null,
+    delivery_fee: null,
+    minimum_order_amount: vendor.minimum_order_amount,
+    estimated_delivery_minutes: null,
+    distance_km: distance,
+  };
+};
+
+/**
+ * Load a branch customers can order from and its vendor's delivery settings
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Object>} { branch, vendor } for deliveryTerms
+ */
+export const loadStorefrontBranch = async (branchId) => {
+  const result = await query(
+    `SELECT b.id, b.latitude, b.longitude, v.delivery_radius, v.minimum_order_amount
+     FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     WHERE b.id = $1 AND b.deleted_at IS NULL AND b.is_active = TRUE
+       AND v.deleted_at IS NULL AND v.is_active = TRUE AND v.registration_status = 'approved'`,
+    [branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Branch');
+  const { delivery_radius, minimum_order_amount, ...branch } = result.rows[0];
+  return { branch, vendor: { delivery_radius, minimum_order_amount } };
+};
+
+/**
+ * The delivery fee of an order from a branch, from its delivery terms for
+ * the drop-off point. Orders without one are picked up and pay no fee, and
+ * so do deliveries within the radius of a branch without zones.
+ * @param {string} branchId - Branch ID
+ * @param {Object} [point] - { lat, lng } to deliver to
+ * @returns {Promise<string|number>} The fee
+ */
+export const deliveryFeeFor = async (branchId, point) => {
+  if (!point) return 0;
+  const { branch, vendor } = await loadStorefrontBranch(branchId);
+  const terms = deliveryTerms(branch, vendor, await listZones(branch.id, { activeOnly: true }), point);
+  if (!terms.deliverable) throw validationError('delivery_location', 'This branch does not deliver to this location');
+  return terms.delivery_fee ?? 0;
+};
+
+export default {
+  HAS_ZONES,
+  zoneBoxHoldsSql,
+  listZones,
+  loadZones,
+  getZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  zoneFor,
+  deliveryTerms,
+  loadStorefrontBranch,
+  deliveryFeeFor
+};
@@ -0,0 +1,183 @@
+// =====================================================
+// STOREFRONT DISCOVERY FOR VENDORS MICROSERVICE
+// Public vendor and branch listings and detail pages,
+// limited to approved, active vendors
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { notFoundError } from '../../utils/errors.js';
+import { keyset, toPage } from '../../utils/pagination.js';
+import { attachMedia } from '../media/gallery.js';
+import { listLiveOffers } from '../offers/offers.js';
+import { RATING_COLUMNS, ratingJoin } from '../reviews/ratings.js';
+import { OPEN_NOW, attachOpeningStatus, getBranchHours } from './hours.js';
+
+export const STOREFRONT_VENDOR_COLUMNS = `v.id, v.name, v.business_description, v.cuisines, v.payment_methods,
+  v.delivery_radius, v.minimum_order_amount, v.created_at`;
+
+export const STOREFRONT_BRANCH_COLUMNS = `b.id, b.vendor_id, b.name, b.address, b.latitude, b.longitude, b.contact_phone,
+  b.timezone, b.is_main_branch`;
+
+export const VISIBLE_VENDOR = `v.deleted_at IS NULL AND v.is_active = TRUE AND v.registration_status = 'approved'`;
+
+export const STOREFRONT_VISIBLE = `b.deleted_at IS NULL AND b.is_active = TRUE AND ${VISIBLE_VENDOR}`;
+
+// Sort keys of each listing order for table alias v or b; unrated comes last
+const sortKeys = (alias, sort) => ({
+  rating: [
+    { sql: 'COALESCE(rating.average_rating, 0)', descending: true },
+    { sql: 'COALESCE(rating.review_count, 0)', descending: true },
+    { sql: `${alias}.id` },
+  ],
+  newest: [{ sql: `${alias}.created_at`, descending: true }, { sql: `${alias}.id`, descending: true }],
+  name: [{ sql: `${alias}.name` }, { sql: `${alias}.id` }],
+})[sort];
+
+/**
+ * A page of the vendors customers can order from
+ * @param {Object} filters - Validated { cuisine, sort, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination: { limit, next_cursor, has_more } } where each
+ *   vendor carries its rating, review count and media
+ */
+export const listVendors = async ({ cuisine, sort, limit, cursor }) => {
+  const params = [];
+  const conditions = [VISIBLE_VENDOR];
+  if (cuisine) {
+    params.push(cuisine);
+    conditions.push(`$${params.length} = ANY(v.cuisines)`);
+  }
+
+  const page = keyset(sortKeys('v', sort), cursor, params);
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT ${STOREFRONT_VENDOR_COLUMNS}, ${RATING_COLUMNS}, ${page.pageKey}
+     FROM vendors v
+     ${ratingJoin('vendor', 'v.id')}
+     WHERE ${conditions.join(' AND ')} AND ${page.after}
+     ORDER BY ${page.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  const { data, pagination } = toPage(result.rows, limit);
+  return { data: await attachMedia('vendor_id', data), pagination };
+};
+
+/**
+ * A vendor's storefront branches, main branch first
+ * @param {string} vendorId - Vendor ID
+ * @param {Object} filters - { openNow } to leave out closed branches
+ * @returns {Promise<Array>} Branches with media and opening status
+ */
+export const listVendorBranches = async (vendorId, { openNow } = {}) => {
+  const result = await query(
+    `SELECT ${STOREFRONT_BRANCH_COLUMNS}
+     FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     WHERE b.vendor_id = $1 AND ${STOREFRONT_VISIBLE} ${openNow ? `AND ${OPEN_NOW}` : ''}
+     ORDER BY b.is_main_branch DESC, b.name`,
+    [vendorId]
+  );
+  return attachOpeningStatus(await attachMedia('branch_id', result.rows));
+};
+
+/**
+ * A vendor's storefront with its rating, media and branches
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Object>} Vendor
+ */
+export const getStorefrontVendor = async (vendorId) => {
+  const result = await query(
+    `SELECT ${STOREFRONT_VENDOR_COLUMNS}, ${RATING_COLUMNS}
+     FROM vendors v
+     ${ratingJoin('vendor', 'v.id')}
+     WHERE v.id = $1 AND ${VISIBLE_VENDOR}`,
+    [vendorId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Vendor');
+
+  const [vendor] = await attachMedia('vendor_id', result.rows);
+  return { ...vendor, branches: await listVendorBranches(vendorId) };
+};
+
+/**
+ * A page of the branches customers can order from
+ * @param {Object} filters - Validated { vendorId, cuisine, openNow, sort, limit, cursor }
+ * @returns {Promise<Object>} { data, pagination: { limit, next_cursor, has_more } } where each
+ *   branch carries its rating, vendor summary, media and opening status
+ */
+export const listBranches = async ({ vendorId, cuisine, openNow, sort, limit, cursor }) => {
+  const params = [];
+  const conditions = [STOREFRONT_VISIBLE];
+  if (vendorId) {
+    params.push(vendorId);
+    conditions.push(`b.vendor_id = $${params.length}`);
+  }
+  if (cuisine) {
+    params.push(cuisine);
+    conditions.push(`$${params.length} = ANY(v.cuisines)`);
+  }
+  if (openNow) conditions.push(OPEN_NOW);
+
+  const page = keyset(sortKeys('b', sort), cursor, params);
+  params.push(limit + 1);
+  const result = await query(
+    `SELECT ${STOREFRONT_BRANCH_COLUMNS}, b.created_at, ${RATING_COLUMNS},
+            json_build_object('id', v.id, 'name', v.name, 'cuisines', v.cuisines) AS vendor,
+            ${page.pageKey}
+     FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     ${ratingJoin('branch', 'b.id')}
+     WHERE ${conditions.join(' AND ')} AND ${page.after}
+     ORDER BY ${page.orderBy}
+     LIMIT $${params.length}`,
+    params
+  );
+  const { data, pagination } = toPage(result.rows, limit);
+  return { data: await attachOpeningStatus(await attachMedia('branch_id', data)), pagination };
+};
+
+/**
+ * A branch's storefront: its rating, media, opening hours, live offers and
+ * a summary of its vendor
+ * @param {string} branchId - Branch ID
+ * @returns {Promise<Object>} Branch
+ */
+export const getStorefrontBranch = async (branchId) => {
+  const result = await query(
+    `SELECT ${STOREFRONT_BRANCH_COLUMNS}, ${RATING_COLUMNS}
+     FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     ${ratingJoin('branch', 'b.id')}
+     WHERE b.id = $1 AND ${STOREFRONT_VISIBLE}`,
+    [branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Branch');
+
+  const vendor = await query(
+    'SELECT id, name, business_description, delivery_radius, minimum_order_amount FROM vendors WHERE id = $1',
+    [result.rows[0].vendor_id]
+  );
+  const [branch] = await attachMedia('branch_id', result.rows);
+  const [summary] = await attachMedia('vendor_id', vendor.rows);
+  const { weekly, overrides, is_open_now, next_opening_at } = await getBranchHours(branch);
+  return {
+    ...branch,
+    is_open_now,
+    next_opening_at,
+    hours: { weekly, overrides },
+    offers: await listLiveOffers(branch.id),
+    vendor: summary,
+  };
+};
+
+export default {
+  STOREFRONT_VENDOR_COLUMNS,
+  STOREFRONT_BRANCH_COLUMNS,
+  VISIBLE_VENDOR,
+  STOREFRONT_VISIBLE,
+  listVendors,
+  listVendorBranches,
+  getStorefrontVendor,
+  listBranches,
+  getStorefrontBranch
+};
@@ -0,0 +1,169 @@
+// =====================================================
+// VENDOR DOCUMENTS FOR VENDORS MICROSERVICE
+// Commercial registration, license and other KYC files,
+// kept in private storage for the onboarding review
+// =====================================================
+
+import crypto from 'crypto';
+import config from '../../config/config.js';
+import { query } from '../database/connection.js';
+import { getDocumentStorage } from '../media/storage.js';
+import { conflictError, notFoundError, validationError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+
+// Documents a vendor must provide before submitting for review
+export const REQUIRED_DOCUMENTS = ['commercial_registration', 'business_license'];
+
+// Statuses in which the application, documents included, can still be changed
+const EDITABLE_STATUSES = ['pending', 'rejected'];
+
+// Columns returned to clients; the storage key stays internal
+const DOCUMENT_COLUMNS = 'id, vendor_id, document_type, file_name, mime_type, size_bytes, uploaded_by, created_at';
+
+// Leading bytes of each accepted file type, as the declared type is not trusted
+const SIGNATURES = [
+  { mimeType: 'application/pdf', extension: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'image/jpeg', extension: 'jpg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', extension: 'png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+];
+
+/**
+ * Reject document changes once the application is under review or decided
+ * @param {Object} vendor - vendors row
+ */
+export const assertDocumentsEditable = (vendor) => {
+  if (!EDITABLE_STATUSES.includes(vendor.registration_status)) {
+    throw conflictError(`Documents cannot be changed while the vendor is ${vendor.registration_status.replace('_', ' ')}`);
+  }
+};
+
+/**
+ * Required document types a vendor has not uploaded yet
+ * @param {Object} db - pg client or pool
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array<string>>} Missing types, empty when complete
+ */
+export const missingDocuments = async (db, vendorId) => {
+  const result = await db.query(
+    'SELECT DISTINCT document_type FROM vendor_documents WHERE vendor_id = $1 AND deleted_at IS NULL',
+    [vendorId]
+  );
+  const uploaded = new Set(result.rows.map((row) => row.document_type));
+  return REQUIRED_DOCUMENTS.filter((type) => !uploaded.has(type));
+};
+
+/**
+ * List a vendor's documents
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} Documents, oldest first
+ */
+export const listDocuments = async (vendorId) => {
+  const result = await query(
+    `SELECT ${DOCUMENT_COLUMNS} FROM vendor_documents WHERE vendor_id = $1 AND deleted_at IS NULL ORDER BY created_at, id`,
+    [vendorId]
+  );
+  return result.rows;
+};
+
+/**
+ * Load one document of a vendor, including where its file is stored
+ * @param {string} vendorId - Vendor ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} vendor_documents row
+ */
+export const getDocument = async (vendorId, documentId) => {
+  const result = await query(
+    'SELECT * FROM vendor_documents WHERE id = $1 AND vendor_id = $2 AND deleted_at IS NULL',
+    [documentId, vendorId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Document');
+  return result.rows[0];
+};
+
+/**
+ * Check an upload's content and write it to document storage under a
+ * random key, run `work` with it and remove the file again if `work` fails
+ * @param {Object} file - multer file held in memory
+ * @param {Function} work - async (stored) => result; stored is
+ *   { storage_key, file_name, mime_type, size_bytes }
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+export const withStoredDocument = async (file, work) => {
+  const type = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => file.buffer[index] === byte));
+  if (!type || !config.upload.documentTypes.includes(type.mimeType)) {
+    throw validationError('file', `Documents must be ${config.upload.documentTypes.join(', ')}`);
+  }
+
+  const storage = getDocumentStorage();
+  const stored = {
+    storage_key: `${crypto.randomUUID()}.${type.extension}`,
+    file_name: file.originalname ? file.originalname.slice(0, 255) : null,
+    mime_type: type.mimeType,
+    size_bytes: file.size,
+  };
+  await storage.put(stored.storage_key, file.buffer, type.mimeType);
+  try {
+    return await work(stored);
+  } catch (error) {
+    await storage.remove(stored.storage_key).catch((removeError) => {
+      logger.error('Failed to remove unused document', { key: stored.storage_key, error: removeError.message });
+    });
+    throw error;
+  }
+};
+
+/**
+ * Record a stored document against a vendor
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} vendor - vendors row
+ * @param {Object} stored - From withStoredDocument
+ * @param {string} documentType - One of DOCUMENT_TYPES
+ * @param {string} userId - Uploading user
+ * @returns {Promise<Object>} The created document
+ */
+export const createDocument = async (client, vendor, stored, documentType, userId) => {
+  const result = await client.query(
+    `INSERT INTO vendor_documents (vendor_id, document_type, storage_key, file_name, mime_type, size_bytes, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING ${DOCUMENT_COLUMNS}`,
+    [vendor.id, documentType, stored.storage_key, stored.file_name, stored.mime_type, stored.size_bytes, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Open a document's file for download
+ * @param {Object} document - vendor_documents row from getDocument
+ * @returns {Promise<Object>} { body, size, lastModified }
+ */
+export const openDocument = async (document) => {
+  const file = await getDocumentStorage().get(document.storage_key);
+  if (!file) throw notFoundError('Document file');
+  return file;
+};
+
+/**
+ * Soft delete a document. The file is kept, as reviewed applications must
+ * stay auditable.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} document - vendor_documents row
+ * @returns {Promise<Object>} The deleted document
+ */
+export const deleteDocument = async (client, document) => {
+  const result = await client.query(
+    `UPDATE vendor_documents SET deleted_at = NOW() WHERE id = $1 RETURNING ${DOCUMENT_COLUMNS}`,
+    [document.id]
+  );
+  return result.rows[0];
+};
+
+export default {
+  REQUIRED_DOCUMENTS,
+  assertDocumentsEditable,
+  missingDocuments,
+  listDocuments,
+  getDocument,
+  withStoredDocument,
+  createDocument,
+  openDocument,
+  deleteDocument
+};
@@ -0,0 +1,255 @@
+// =====================================================
+// BRANCH OPERATING HOURS FOR VENDORS MICROSERVICE
+// Weekly hours with breaks and overnight shifts, holiday and
+// closure overrides, and open-now / next-opening calculation
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { notFoundError, validationError } from '../../utils/errors.js';
+import {
+  MINUTES_PER_DAY,
+  toMinutes,
+  zonedParts,
+  addDays,
+  dayOfWeek,
+  zonedTimeToDate
+} from '../../utils/time.js';
+
+// How far ahead next_opening_at looks, so long closures still find a date
+const LOOKAHEAD_DAYS = 14;
+
+const HOURS_COLUMNS = `branch_id, day_of_week, to_char(override_date, 'YYYY-MM-DD') AS date, is_override, is_closed,
+  to_char(open_time, 'HH24:MI') AS open_time, to_char(close_time, 'HH24:MI') AS close_time,
+  to_char(break_start, 'HH24:MI') AS break_start, to_char(break_end, 'HH24:MI') AS break_end, note`;
+
+// Whether branch b is open right now in its timezone. Mirrors openingStatus:
+// each weekly or override row is checked for the local date it applies to and
+// for the day before, whose overnight shift may still be running.
+export const OPEN_NOW = `EXISTS (
+    SELECT 1
+    FROM (SELECT NOW() AT TIME ZONE b.timezone AS local_now) n
+    CROSS JOIN generate_series(0, 1) AS back(days)
+    JOIN vendor_operating_hours h ON h.branch_id = b.id AND NOT h.is_closed
+    CROSS JOIN LATERAL (
+      SELECT (n.local_now::date - back.days) AS day,
+             EXTRACT(EPOCH FROM h.open_time) / 60 AS open_m,
+             EXTRACT(EPOCH FROM h.close_time) / 60 + CASE WHEN h.close_time <= h.open_time THEN ${MINUTES_PER_DAY} ELSE 0 END AS close_m,
+             EXTRACT(EPOCH FROM h.break_start) / 60 + CASE WHEN h.break_start < h.open_time THEN ${MINUTES_PER_DAY} ELSE 0 END AS break_m,
+             MOD((EXTRACT(EPOCH FROM h.break_end - h.break_start) / 60 + ${MINUTES_PER_DAY})::numeric, ${MINUTES_PER_DAY}) AS break_length
+    ) m
+    CROSS JOIN LATERAL (SELECT EXTRACT(EPOCH FROM n.local_now - m.day::timestamp) / 60 AS now_m) t
+    WHERE (h.override_date = m.day OR (
+        NOT h.is_override AND h.day_of_week = EXTRACT(DOW FROM m.day)
+        AND NOT EXISTS (SELECT 1 FROM vendor_operating_hours x WHERE x.branch_id = b.id AND x.is_override AND x.override_date = m.day)
+      ))
+      AND t.now_m >= m.open_m AND t.now_m < m.close_m
+      AND NOT (h.break_start IS NOT NULL AND t.now_m >= m.break_m AND t.now_m < m.break_m + m.break_length)
+  )`;
+
+// Response shapes of weekly and override rows
+const weeklyRow = (row) => ({
+  day_of_week: row.day_of_week,
+  is_closed: row.is_closed,
+  open_time: row.open_time,
+  close_time: row.close_time,
+  break_start: row.break_start,
+  break_end: row.break_end,
+});
+const overrideRow = (row) => ({
+  date: row.date,
+  is_closed: row.is_closed,
+  open_time: row.open_time,
+  close_time: row.close_time,
+  break_start: row.break_start,
+  break_end: row.break_end,
+  note: row.note,
+});
+
+// Opening periods of one day's row as minutes from that local midnight, split around its break
+const periodsOf = (row) => {
+  if (row.is_closed) return [];
+  const open = toMinutes(row.open_time);
+  let close = toMinutes(row.close_time);
+  if (close <= open) close += MINUTES_PER_DAY;
+  if (!row.break_start) return [[open, close]];
+
+  let breakStart = toMinutes(row.break_start);
+  if (breakStart < open) breakStart += MINUTES_PER_DAY;
+  const breakEnd = breakStart + ((toMinutes(row.break_end) - toMinutes(row.break_start) + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+  return [[open, breakStart], [breakEnd, close]];
+};
+
+// A break has to fall strictly inside the hours it interrupts
+const checkBreak = (row, field) => {
+  if (row.is_closed || !row.break_start) return;
+  const [[open, breakStart], [breakEnd, close]] = periodsOf(row);
+  if (breakStart <= open || breakEnd >= close) {
+    throw validationError(field, 'The break must fall within the opening hours');
+  }
+};
+
+// The row that decides a local date's hours: its override, else the weekly row
+const rowFor = (hours, date) => hours.overrides.find((row) => row.date === date)
+  ?? hours.weekly.find((row) => row.day_of_week === dayOfWeek(date));
+
+/**
+ * Load weekly hours and current or future overrides of many branches at once
+ * @param {Array<string>} branchIds - Branch IDs
+ * @returns {Promise<Map>} Branch ID -> { weekly, overrides }
+ */
+export const loadHours = async (branchIds) => {
+  const byBranch = new Map(branchIds.map((id) => [id, { weekly: [], overrides: [] }]));
+  if (branchIds.length === 0) return byBranch;
+
+  // Two days back covers every timezone's "yesterday"
+  const result = await query(
+    `SELECT ${HOURS_COLUMNS} FROM vendor_operating_hours
+     WHERE branch_id = ANY($1::uuid[]) AND (NOT is_override OR override_date >= CURRENT_DATE - 2)
+     ORDER BY day_of_week, override_date`,
+    [branchIds]
+  );
+  for (const row of result.rows) {
+    const hours = byBranch.get(row.branch_id);
+    if (row.is_override) hours.overrides.push(overrideRow(row));
+    else hours.weekly.push(weeklyRow(row));
+  }
+  return byBranch;
+};
+
+/**
+ * Work out whether a branch is open at an instant and, if not, when it next opens
+ * @param {Object} hours - { weekly, overrides } from loadHours
+ * @param {string} timezone - Branch IANA timezone
+ * @param {Date} [now] - Instant to check, defaults to now
+ * @returns {Object} { is_open_now, next_opening_at } with next_opening_at null while open
+ *   or when nothing opens within the lookahead
+ */
+export const openingStatus = (hours, timezone, now = new Date()) => {
+  const today = zonedParts(now, timezone).date;
+  let nextOpening = null;
+
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today, offset);
+    const row = rowFor(hours, date);
+    if (!row) continue;
+
+    for (const [start, end] of periodsOf(row)) {
+      const opensAt = zonedTimeToDate(date, start, timezone);
+      const closesAt = zonedTimeToDate(date, end, timezone);
+      if (opensAt <= now && now < closesAt) return { is_open_now: true, next_opening_at: null };
+      if (opensAt > now && (!nextOpening || opensAt < nextOpening)) nextOpening = opensAt;
+    }
+  }
+  return { is_open_now: false, next_opening_at: nextOpening };
+};
+
+/**
+ * Add is_open_now and next_opening_at to each branch row
+ * @param {Array} branches - Branch rows with id and timezone
+ * @returns {Promise<Array>} The rows with their opening status
+ */
+export const attachOpeningStatus = async (branches) => {
+  const hours = await loadHours(branches.map((branch) => branch.id));
+  const now = new Date();
+  return branches.map((branch) => ({ ...branch, ...openingStatus(hours.get(branch.id), branch.timezone, now) }));
+};
+
+/**
+ * A branch's full week (closed days included), upcoming overrides and opening status
+ * @param {Object} branch - Branch row
+ * @returns {Promise<Object>} { timezone, weekly, overrides, is_open_now, next_opening_at }
+ */
+export const getBranchHours = async (branch) => {
+  const hours = (await loadHours([branch.id])).get(branch.id);
+  const today = zonedParts(new Date(), branch.timezone).date;
+  const weekly = [0, 1, 2, 3, 4, 5, 6].map((day) => hours.weekly.find((row) => row.day_of_week === day)
+    ?? weeklyRow({ day_of_week: day, is_closed: true, open_time: null, close_time: null, break_start: null, break_end: null }));
+
+  return {
+    timezone: branch.timezone,
+    weekly,
+    overrides: hours.overrides.filter((row) => row.date >= today),
+    ...openingStatus(hours, branch.timezone),
+  };
+};
+
+// Values of one hours row, closed rows carrying no times
+const timesOf = (row) => (row.is_closed
+  ? [null, null, null, null]
+  : [row.open_time, row.close_time, row.break_start ?? null, row.break_end ?? null]);
+
+/**
+ * Replace a branch's weekly hours
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - Branch row
+ * @param {Array} days - Validated [{ day_of_week, is_closed, open_time, close_time, break_start, break_end }]
+ * @returns {Promise<Array>} The stored weekly rows
+ */
+export const setWeeklyHours = async (client, branch, days) => {
+  days.forEach((day, index) => checkBreak(day, `days.${index}`));
+
+  await client.query('DELETE FROM vendor_operating_hours WHERE branch_id = $1 AND NOT is_override', [branch.id]);
+  const weekly = [];
+  for (const day of days) {
+    const result = await client.query(
+      `INSERT INTO vendor_operating_hours
+         (vendor_id, branch_id, day_of_week, is_closed, open_time, close_time, break_start, break_end)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${HOURS_COLUMNS}`,
+      [branch.vendor_id, branch.id, day.day_of_week, day.is_closed, ...timesOf(day)]
+    );
+    weekly.push(weeklyRow(result.rows[0]));
+  }
+  return weekly.sort((a, b) => a.day_of_week - b.day_of_week);
+};
+
+/**
+ * Close a branch on a date, or give it special hours that day
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - Branch row
+ * @param {Object} data - Validated { date, is_closed, open_time, close_time, break_start, break_end, note }
+ * @returns {Promise<Object>} The override
+ */
+export const setHoursOverride = async (client, branch, data) => {
+  checkBreak(data, 'break_start');
+
+  const result = await client.query(
+    `INSERT INTO vendor_operating_hours
+       (vendor_id, branch_id, is_override, override_date, is_closed, open_time, close_time, break_start, break_end, note)
+     VALUES ($1, $2, TRUE, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (branch_id, override_date) WHERE is_override DO UPDATE SET
+       is_closed = EXCLUDED.is_closed, open_time = EXCLUDED.open_time, close_time = EXCLUDED.close_time,
+       break_start = EXCLUDED.break_start, break_end = EXCLUDED.break_end, note = EXCLUDED.note
+     RETURNING ${HOURS_COLUMNS}`,
+    [branch.vendor_id, branch.id, data.date, data.is_closed, ...timesOf(data), data.note || null]
+  );
+  return overrideRow(result.rows[0]);
+};
+
+/**
+ * Remove a date's override so the weekly hours apply again
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - Branch row
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Promise<Object>} The removed override
+ */
+export const deleteHoursOverride = async (client, branch, date) => {
+  const result = await client.query(
+    `DELETE FROM vendor_operating_hours WHERE branch_id = $1 AND is_override AND override_date = $2
+     RETURNING ${HOURS_COLUMNS}`,
+    [branch.id, date]
+  );
+  if (result.rows.length === 0) throw notFoundError('Hours override');
+  return overrideRow(result.rows[0]);
+};
+
+export default {
+  OPEN_NOW,
+  loadHours,
+  openingStatus,
+  attachOpeningStatus,
+  getBranchHours,
+  setWeeklyHours,
+  setHoursOverride,
+  deleteHoursOverride
+};
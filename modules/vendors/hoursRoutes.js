@@ -0,0 +1,67 @@
+// =====================================================
+// OPERATING HOURS ROUTES FOR VENDORS MICROSERVICE
+// Weekly branch hours, holiday and closure overrides
+// =====================================================
+
+import { Router } from 'express';
+import { query, withTransaction } from '../database/connection.js';
+import { branchColumns } from '../database/columns.js';
+import { validateToken, optionalAuth, requireVendorAccess, requireBranchAccess } from '../../middleware/auth.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { notFoundError } from '../../utils/errors.js';
+import { getBranchHours, setWeeklyHours, setHoursOverride, deleteHoursOverride } from './hours.js';
+import { weeklyHoursSchema, hoursOverrideSchema, hoursOverrideParamsSchema } from './validation.js';
+
+const router = Router();
+
+const branchHours = '/vendors/:vendorId/branches/:branchId/hours';
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+
+// Vendor view branch hours, including days the branch is closed
+router.get(branchHours, ...vendorBranch, async (req, res) => {
+  res.json(await getBranchHours(req.branch));
+});
+
+// Vendor set the weekly hours; days left out are closed
+router.put(branchHours, ...vendorBranch, validate(weeklyHoursSchema), async (req, res) => {
+  await withTransaction(async (client) => {
+    const weekly = await setWeeklyHours(client, req.branch, req.body.days);
+    await notifyConsumers(client, { branch_id: req.branch.id, weekly }, 'branch_hours_updated', actorOf(req.user));
+  });
+  res.json(await getBranchHours(req.branch));
+});
+
+// Vendor close the branch on a date or set special hours for it
+router.post(`${branchHours}/overrides`, ...vendorBranch, validate(hoursOverrideSchema), async (req, res) => {
+  const override = await withTransaction(async (client) => {
+    const saved = await setHoursOverride(client, req.branch, req.body);
+    await notifyConsumers(client, { branch_id: req.branch.id, ...saved }, 'branch_hours_override_set', actorOf(req.user));
+    return saved;
+  });
+  res.status(201).json(override);
+});
+
+// Vendor remove a date's override so the weekly hours apply again
+router.delete(`${branchHours}/overrides/:date`, ...vendorBranch, validate(hoursOverrideParamsSchema, 'params'), async (req, res) => {
+  await withTransaction(async (client) => {
+    const override = await deleteHoursOverride(client, req.branch, req.params.date);
+    await notifyConsumers(client, { branch_id: req.branch.id, ...override }, 'branch_hours_override_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Hours override deleted' });
+});
+
+// Customer view branch hours and whether it is open now
+router.get('/branches/:branchId/hours', optionalAuth, validate(Joi.object({ branchId: Joi.string().guid().required() }), 'params'), async (req, res) => {
+  const result = await query(
+    `SELECT ${branchColumns('b')} FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     WHERE b.id = $1 AND b.deleted_at IS NULL AND b.is_active = TRUE
+       AND v.deleted_at IS NULL AND v.is_active = TRUE AND v.registration_status = 'approved'`,
+    [req.params.branchId]
+  );
+  if (result.rows.length === 0) throw notFoundError('Branch');
+  res.json(await getBranchHours(result.rows[0]));
+});
+
+export default router;
@@ -0,0 +1,127 @@
+// =====================================================
+// NEARBY BRANCH SEARCH FOR VENDORS MICROSERVICE
+// Great-circle distance in plain SQL, delivery zone or
+// radius coverage and storefront filters
+// =====================================================
+
+import config from '../../config/config.js';
+import { query } from '../database/connection.js';
+import { EARTH_RADIUS_KM } from '../../utils/geo.js';
+import { OPEN_NOW, attachOpeningStatus } from './hours.js';
+import { HAS_ZONES, zoneBoxHoldsSql, loadZones, deliveryTerms } from './deliveryZones.js';
+import { RATING_COLUMNS, ratingJoin } from '../reviews/ratings.js';
+
+const KM_PER_DEGREE_LATITUDE = 111.045;
+
+/**
+ * SQL for the haversine distance in kilometres from a point to branch b
+ * @param {string} lat - Placeholder holding the latitude, e.g. '$1'
+ * @param {string} lng - Placeholder holding the longitude
+ * @returns {string} SQL expression
+ */
+export const distanceKmSql = (lat, lng) => `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(b.latitude - ${lat}) / 2), 2)
+    + COS(RADIANS(${lat})) * COS(RADIANS(b.latitude)) * POWER(SIN(RADIANS(b.longitude - ${lng}) / 2), 2)
+  )))`;
+
+// Latitude/longitude box around a point that holds every point within km of
+// it, so the location index can discard far branches before any trigonometry
+const boundingBox = (lat, lng, km) => {
+  const latDelta = km / KM_PER_DEGREE_LATITUDE;
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const lngDelta = cosLat > 0.01 ? km / (KM_PER_DEGREE_LATITUDE * cosLat) : 360;
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    // Boxes wrapping the antimeridian or a pole fall back to every longitude
+    lng: lng - lngDelta < -180 || lng + lngDelta > 180 ? null : [lng - lngDelta, lng + lngDelta],
+  };
+};
+
+// Keep the branches that deliver to the point, with their delivery terms;
+// zone bounding boxes let through points that miss the exact polygons
+const withDeliveryTerms = async (branches, point) => {
+  const zones = await loadZones(branches.map((branch) => branch.id));
+  return branches.flatMap((branch) => {
+    const branchZones = zones.get(branch.id);
+    const terms = deliveryTerms(branch, branch.vendor, branchZones, point);
+    if (branchZones.length > 0 && !terms.deliverable) return [];
+    const { zone, delivery_fee, minimum_order_amount, estimated_delivery_minutes } = terms;
+    return [{ ...branch, delivery: { zone, delivery_fee, minimum_order_amount, estimated_delivery_minutes } }];
+  });
+};
+
+/**
+ * Approved, active branches that deliver to a point, nearest first. SQL
+ * narrows zoned branches down to zones whose bounding box holds the point and
+ * the exact polygon test drops the rest before paging, reading further
+ * candidates until the page is full, so offsets count delivering branches.
+ * @param {Object} filters - Validated { lat, lng, openNow, cuisine, minRating, limit, offset }
+ * @returns {Promise<Object>} { data, pagination: { limit, offset, has_more } } where each branch
+ *   carries distance_km, its delivery terms, vendor summary, rating and opening status
+ */
+export const findNearbyBranches = async ({ lat, lng, openNow, cuisine, minRating, limit, offset }) => {
+  // Vendors without a radius deliver as far as the platform allows
+  const maxRadiusKm = config.business.maximumDeliveryRadius / 1000;
+  const box = boundingBox(lat, lng, maxRadiusKm);
+
+  // Zoned branches deliver wherever their zones reach, however far the
+  // branch itself is, so only radius branches are held to the box
+  const params = [lat, lng, maxRadiusKm, box.minLat, box.maxLat];
+  const withinRadius = ['b.latitude BETWEEN $4 AND $5', 'd.distance_km <= LEAST(COALESCE(v.delivery_radius, $3), $3)'];
+  if (box.lng) {
+    params.push(...box.lng);
+    withinRadius.push(`b.longitude BETWEEN $${params.length - 1} AND $${params.length}`);
+  }
+  const conditions = [
+    'b.deleted_at IS NULL',
+    'b.is_active = TRUE',
+    'v.deleted_at IS NULL',
+    'v.is_active = TRUE',
+    "v.registration_status = 'approved'",
+    `CASE WHEN ${HAS_ZONES} THEN ${zoneBoxHoldsSql('$1', '$2')} ELSE ${withinRadius.join(' AND ')} END`,
+  ];
+  if (cuisine) {
+    params.push(cuisine);
+    conditions.push(`$${params.length} = ANY(v.cuisines)`);
+  }
+  if (minRating) {
+    params.push(minRating);
+    conditions.push(`rating.average_rating >= $${params.length}`);
+  }
+  if (openNow) conditions.push(OPEN_NOW);
+
+  const candidatesSql = `SELECT b.id, b.vendor_id, b.name, b.address, b.latitude, b.longitude, b.timezone, b.is_main_branch,
+            ROUND(d.distance_km::numeric, 2)::float AS distance_km,
+            ${RATING_COLUMNS},
+            json_build_object(
+              'id', v.id, 'name', v.name, 'cuisines', v.cuisines,
+              'delivery_radius', v.delivery_radius, 'minimum_order_amount', v.minimum_order_amount
+            ) AS vendor
+     FROM vendor_branches b
+     JOIN vendors v ON v.id = b.vendor_id
+     CROSS JOIN LATERAL (SELECT ${distanceKmSql('$1', '$2')} AS distance_km) d
+     ${ratingJoin('branch', 'b.id')}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY d.distance_km, b.id
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+
+  // One extra delivering branch tells whether another page follows
+  const wanted = offset + limit + 1;
+  const delivering = [];
+  for (let scanned = 0; delivering.length < wanted; scanned += wanted) {
+    const batch = await query(candidatesSql, [...params, wanted, scanned]);
+    delivering.push(...await withDeliveryTerms(batch.rows, { lat, lng }));
+    if (batch.rows.length < wanted) break;
+  }
+
+  return {
+    data: await attachOpeningStatus(delivering.slice(offset, offset + limit)),
+    pagination: { limit, offset, has_more: delivering.length > offset + limit },
+  };
+};
+
+export default {
+  distanceKmSql,
+  findNearbyBranches
+};
@@ -0,0 +1,144 @@
+// =====================================================
+// VENDOR ONBOARDING FOR VENDORS MICROSERVICE
+// Registration review state machine, status history and
+// the admin review queue
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { vendorColumns } from '../database/columns.js';
+import { conflictError, notFoundError, validationError } from '../../utils/errors.js';
+import { missingDocuments } from './documents.js';
+
+/**
+ * Onboarding actions, the statuses each may be taken from, the status it
+ * leads to and the webhook event it raises:
+ *   pending or rejected --submit--> under_review --approve--> approved
+ *   under_review --reject--> rejected
+ *   approved --suspend--> suspended --reinstate--> approved
+ */
+export const TRANSITIONS = {
+  submit: { from: ['pending', 'rejected'], to: 'under_review', event: 'vendor_submitted_for_review' },
+  approve: { from: ['under_review'], to: 'approved', event: 'vendor_approved' },
+  reject: { from: ['under_review'], to: 'rejected', event: 'vendor_rejected' },
+  suspend: { from: ['approved'], to: 'suspended', event: 'vendor_suspended' },
+  reinstate: { from: ['suspended'], to: 'approved', event: 'vendor_reinstated' },
+};
+
+/**
+ * The admin action that moves a vendor to a decided status; approving a
+ * suspended vendor reinstates it
+ * @param {Object} vendor - vendors row
+ * @param {string} status - 'approved', 'rejected' or 'suspended'
+ * @returns {string} Key of TRANSITIONS
+ */
+export const actionFor = (vendor, status) => {
+  if (status === 'approved') return vendor.registration_status === 'suspended' ? 'reinstate' : 'approve';
+  return status === 'rejected' ? 'reject' : 'suspend';
+};
+
+/**
+ * Take an onboarding action on a vendor and record it in the status
+ * history. The vendor row is locked so concurrent reviews cannot both act
+ * on the same status. Submitting needs the required documents uploaded.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} vendorId - Vendor ID
+ * @param {string} action - Key of TRANSITIONS
+ * @param {Object} details - { reason, userId }
+ * @returns {Promise<Object>} { vendor, transition } with the updated vendor and history row
+ */
+export const transitionVendor = async (client, vendorId, action, { reason = null, userId }) => {
+  const current = await client.query(`SELECT ${vendorColumns()} FROM vendors WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [vendorId]);
+  if (current.rows.length === 0) throw notFoundError('Vendor');
+  const vendor = current.rows[0];
+
+  const { from, to } = TRANSITIONS[action];
+  if (!from.includes(vendor.registration_status)) {
+    throw conflictError(`Cannot ${action} a vendor that is ${vendor.registration_status.replace('_', ' ')}`);
+  }
+  if (action === 'submit') {
+    const missing = await missingDocuments(client, vendor.id);
+    if (missing.length > 0) {
+      throw validationError('documents', `Upload the ${missing.join(' and ')} documents before submitting for review`);
+    }
+  }
+
+  // Approval is stamped on every approval, reinstatements included; a
+  // rejection reason lasts until the vendor resubmits
+  const updated = await client.query(
+    `UPDATE vendors SET
+       registration_status = $2::text,
+       approval_date = CASE WHEN $2::text = 'approved' THEN NOW() ELSE approval_date END,
+       approved_by = CASE WHEN $2::text = 'approved' THEN $3::uuid ELSE approved_by END,
+       rejection_reason = CASE WHEN $2::text = 'rejected' THEN $4 WHEN $2::text = 'under_review' THEN NULL ELSE rejection_reason END
+     WHERE id = $1 RETURNING ${vendorColumns()}`,
+    [vendor.id, to, userId, reason]
+  );
+  const history = await client.query(
+    `INSERT INTO vendor_status_history (vendor_id, action, from_status, to_status, reason, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [vendor.id, action, vendor.registration_status, to, reason, userId]
+  );
+  return { vendor: updated.rows[0], transition: history.rows[0] };
+};
+
+/**
+ * A vendor's onboarding transitions
+ * @param {string} vendorId - Vendor ID
+ * @returns {Promise<Array>} History rows, oldest first
+ */
+export const listStatusHistory = async (vendorId) => {
+  const result = await query(
+    'SELECT * FROM vendor_status_history WHERE vendor_id = $1 ORDER BY created_at, id',
+    [vendorId]
+  );
+  return result.rows;
+};
+
+/**
+ * Vendors in one onboarding status, longest waiting first, with a summary
+ * of their documents
+ * @param {Object} filters - Validated { status, limit, offset }
+ * @returns {Promise<Object>} { data, pagination: { limit, offset, total, has_more } } where each
+ *   vendor carries status_since, document_types and document_count
+ */
+export const reviewQueue = async ({ status, limit, offset }) => {
+  const result = await query(
+    `SELECT v.id, v.user_id, v.name, v.commercial_registration, v.business_email, v.business_phone, v.cuisines,
+            v.registration_status, v.rejection_reason, v.created_at,
+            COALESCE(since.created_at, v.created_at) AS status_since,
+            COALESCE(docs.types, '{}') AS document_types, docs.count AS document_count
+     FROM vendors v
+     LEFT JOIN LATERAL (
+       SELECT h.created_at FROM vendor_status_history h
+       WHERE h.vendor_id = v.id AND h.to_status = v.registration_status
+       ORDER BY h.created_at DESC LIMIT 1
+     ) since ON TRUE
+     CROSS JOIN LATERAL (
+       SELECT ARRAY_AGG(DISTINCT d.document_type) AS types, COUNT(*)::int AS count
+       FROM vendor_documents d WHERE d.vendor_id = v.id AND d.deleted_at IS NULL
+     ) docs
+     WHERE v.deleted_at IS NULL AND v.registration_status = $1
+     ORDER BY status_since, v.id
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+
+  const count = await query(
+    'SELECT COUNT(*)::int AS total FROM vendors WHERE deleted_at IS NULL AND registration_status = $1',
+    [status]
+  );
+  const { total } = count.rows[0];
+
+  return {
+    data: result.rows,
+    pagination: { limit, offset, total, has_more: offset + result.rows.length < total },
+  };
+};
+
+export default {
+  TRANSITIONS,
+  actionFor,
+  transitionVendor,
+  listStatusHistory,
+  reviewQueue
+};
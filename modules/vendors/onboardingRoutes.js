@@ -0,0 +1,103 @@
+// =====================================================
+// ONBOARDING ROUTES FOR VENDORS MICROSERVICE
+// KYC documents, submission for review, admin decisions
+// and the review queue
+// =====================================================
+
+import { Router } from 'express';
+import { pipeline } from 'stream/promises';
+import { withTransaction } from '../database/connection.js';
+import { validateToken, requireRole, vendorAccess } from '../../middleware/auth.js';
+import { uploadDocument } from '../../middleware/upload.js';
+import { validate } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { validationError } from '../../utils/errors.js';
+import {
+  assertDocumentsEditable,
+  listDocuments,
+  getDocument,
+  withStoredDocument,
+  createDocument,
+  openDocument,
+  deleteDocument
+} from './documents.js';
+import { TRANSITIONS, actionFor, transitionVendor, listStatusHistory, reviewQueue } from './onboarding.js';
+import { uploadDocumentSchema, documentParamsSchema, vendorStatusSchema, reviewQueueQuerySchema } from './validation.js';
+
+const router = Router();
+
+const vendorDocuments = '/vendors/:vendorId/documents';
+// Vendors work on their application before they are approved
+const applicant = [validateToken, vendorAccess({ requireApproved: false })];
+const documentParams = validate(documentParamsSchema, 'params');
+
+// Take an onboarding action and raise its event in the same transaction
+const applyTransition = (req, vendorId, action, reason) => withTransaction(async (client) => {
+  const { vendor, transition } = await transitionVendor(client, vendorId, action, { reason, userId: req.user.uid });
+  await notifyConsumers(client, { ...vendor, transition }, TRANSITIONS[action].event, actorOf(req.user));
+  return vendor;
+});
+
+// Admin list vendors waiting in an onboarding status, longest waiting first
+router.get('/vendors/review-queue', validateToken, requireRole('admin'), validate(reviewQueueQuerySchema, 'query'), async (req, res) => {
+  res.json(await reviewQueue(req.query));
+});
+
+// Vendor list uploaded KYC documents
+router.get(vendorDocuments, ...applicant, async (req, res) => {
+  res.json(await listDocuments(req.vendor.id));
+});
+
+// Vendor upload a commercial registration, license or other document
+router.post(vendorDocuments, ...applicant, uploadDocument.single('file'), validate(uploadDocumentSchema), async (req, res) => {
+  if (!req.file) throw validationError('file', 'Attach the document as the file field');
+  assertDocumentsEditable(req.vendor);
+  const document = await withStoredDocument(req.file, (stored) => withTransaction(async (client) => {
+    const created = await createDocument(client, req.vendor, stored, req.body.document_type, req.user.uid);
+    await notifyConsumers(client, created, 'vendor_document_uploaded', actorOf(req.user));
+    return created;
+  }));
+  res.status(201).json(document);
+});
+
+// Vendor or admin download a document
+router.get(`${vendorDocuments}/:documentId/file`, ...applicant, documentParams, async (req, res) => {
+  const document = await getDocument(req.vendor.id, req.params.documentId);
+  const file = await openDocument(document);
+  res.set({
+    'Content-Type': document.mime_type,
+    'Content-Disposition': `attachment; filename="${(document.file_name || document.storage_key).replace(/[^\w.-]/g, '_')}"`,
+    'Cache-Control': 'private, no-store',
+    ...(file.size && { 'Content-Length': file.size }),
+  });
+  await pipeline(file.body, res);
+});
+
+// Vendor remove a document from an application not yet under review
+router.delete(`${vendorDocuments}/:documentId`, ...applicant, documentParams, async (req, res) => {
+  assertDocumentsEditable(req.vendor);
+  const current = await getDocument(req.vendor.id, req.params.documentId);
+  await withTransaction(async (client) => {
+    const document = await deleteDocument(client, current);
+    await notifyConsumers(client, document, 'vendor_document_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Document deleted' });
+});
+
+// Vendor submit the application, or resubmit it after a rejection
+router.post('/vendors/:vendorId/submit', ...applicant, async (req, res) => {
+  res.json(await applyTransition(req, req.vendor.id, 'submit'));
+});
+
+// Vendor or admin view the onboarding history
+router.get('/vendors/:vendorId/status-history', ...applicant, async (req, res) => {
+  res.json(await listStatusHistory(req.vendor.id));
+});
+
+// Admin approve, reject, suspend or reinstate a vendor
+router.put('/vendors/:vendorId/approve', validateToken, requireRole('admin'), vendorAccess({ requireApproved: false }), validate(vendorStatusSchema), async (req, res) => {
+  const { status, reason = null } = req.body;
+  res.json(await applyTransition(req, req.vendor.id, actionFor(req.vendor, status), reason));
+});
+
+export default router;
@@ -0,0 +1,154 @@
+// =====================================================
+// VENDOR PROFILES FOR VENDORS MICROSERVICE
+// Registration and profile changes of vendors and their
+// branches
+// =====================================================
+
+import { buildInsert, buildSetClause } from '../../utils/sql.js';
+import { conflictError } from '../../utils/errors.js';
+import { setMainBranch } from '../menu/menuSync.js';
+import { branchColumns, vendorColumns } from '../database/columns.js';
+
+const VENDOR_COLUMNS = [
+  'name',
+  'cuisines',
+  'business_phone',
+  'business_email',
+  'business_address',
+  'business_description',
+  'payment_methods',
+  'delivery_radius',
+  'minimum_order_amount',
+];
+
+const BRANCH_COLUMNS = [
+  'name',
+  'address',
+  'latitude',
+  'longitude',
+  'timezone',
+  'contact_phone',
+  'contact_email',
+  'is_active',
+];
+
+const JSON_COLUMNS = ['payment_methods'];
+
+/**
+ * Register a vendor for a user, pending onboarding. A user has one live
+ * vendor and a commercial registration belongs to one live vendor.
+ * @param {Object} client - pg client from withTransaction
+ * @param {string} userId - Registering user
+ * @param {Object} data - Validated registration fields
+ * @returns {Promise<Object>} The created vendor
+ */
+export const registerVendor = async (client, userId, data) => {
+  const insert = buildInsert(
+    { ...data, user_id: userId, registration_status: 'pending' },
+    ['user_id', 'commercial_registration', 'registration_status', ...VENDOR_COLUMNS],
+    { jsonColumns: JSON_COLUMNS }
+  );
+  const result = await client.query(
+    `INSERT INTO vendors (${insert.columns}) VALUES (${insert.placeholders})
+     ON CONFLICT DO NOTHING RETURNING ${vendorColumns()}`,
+    insert.values
+  );
+  if (result.rows.length > 0) return result.rows[0];
+
+  const existing = await client.query(
+    'SELECT user_id FROM vendors WHERE deleted_at IS NULL AND (user_id = $1 OR commercial_registration = $2)',
+    [userId, data.commercial_registration]
+  );
+  if (existing.rows.some((vendor) => vendor.user_id === userId)) {
+    throw conflictError('This account has already registered a vendor');
+  }
+  throw conflictError('This commercial registration belongs to another vendor');
+};
+
+/**
+ * Change a vendor's profile
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} vendor - Current vendors row
+ * @param {Object} data - Validated fields to change
+ * @returns {Promise<Object>} The updated vendor
+ */
+export const updateVendor = async (client, vendor, data) => {
+  const update = buildSetClause(data, VENDOR_COLUMNS, { startIndex: 2, jsonColumns: JSON_COLUMNS });
+  const result = await client.query(`UPDATE vendors SET ${update.clause} WHERE id = $1 RETURNING ${vendorColumns()}`, [vendor.id, ...update.values]);
+  return result.rows[0];
+};
+
+/**
+ * Soft delete a vendor together with its branches
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} vendor - vendors row
+ * @returns {Promise<Object>} The deleted vendor
+ */
+export const deleteVendor = async (client, vendor) => {
+  await client.query('UPDATE vendor_branches SET deleted_at = NOW() WHERE vendor_id = $1 AND deleted_at IS NULL', [vendor.id]);
+  const result = await client.query(`UPDATE vendors SET deleted_at = NOW() WHERE id = $1 RETURNING ${vendorColumns()}`, [vendor.id]);
+  return result.rows[0];
+};
+
+/**
+ * Add a branch to a vendor, as its main branch if asked
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} vendor - vendors row
+ * @param {Object} data - Validated branch fields
+ * @param {Object} actor - Webhook actor ({ id, role })
+ * @returns {Promise<Object>} The created branch
+ */
+export const createBranch = async (client, vendor, data, actor) => {
+  const insert = buildInsert({ ...data, vendor_id: vendor.id }, ['vendor_id', ...BRANCH_COLUMNS]);
+  const result = await client.query(
+    `INSERT INTO vendor_branches (${insert.columns}) VALUES (${insert.placeholders}) RETURNING ${branchColumns()}`,
+    insert.values
+  );
+  return data.is_main_branch ? setMainBranch(client, result.rows[0], actor) : result.rows[0];
+};
+
+/**
+ * Change a branch's details; setting is_main_branch makes it the main branch
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - Current vendor_branches row
+ * @param {Object} data - Validated fields to change
+ * @param {Object} actor - Webhook actor ({ id, role })
+ * @returns {Promise<Object>} The updated branch
+ */
+export const updateBranch = async (client, branch, data, actor) => {
+  let updated = branch;
+  const update = buildSetClause(data, BRANCH_COLUMNS, { startIndex: 2 });
+  if (update.clause) {
+    const result = await client.query(`UPDATE vendor_branches SET ${update.clause} WHERE id = $1 RETURNING ${branchColumns()}`, [branch.id, ...update.values]);
+    updated = result.rows[0];
+  }
+  return data.is_main_branch && !branch.is_main_branch ? setMainBranch(client, updated, actor) : updated;
+};
+
+/**
+ * Soft delete a branch. The main branch goes last, as the other branches'
+ * menus may follow it.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} branch - vendor_branches row
+ * @returns {Promise<Object>} The deleted branch
+ */
+export const deleteBranch = async (client, branch) => {
+  if (branch.is_main_branch) {
+    const others = await client.query(
+      'SELECT 1 FROM vendor_branches WHERE vendor_id = $1 AND id <> $2 AND deleted_at IS NULL LIMIT 1',
+      [branch.vendor_id, branch.id]
+    );
+    if (others.rows.length > 0) throw conflictError('Make another branch the main branch before deleting this one');
+  }
+  const result = await client.query(`UPDATE vendor_branches SET deleted_at = NOW() WHERE id = $1 RETURNING ${branchColumns()}`, [branch.id]);
+  return result.rows[0];
+};
+
+export default {
+  registerVendor,
+  updateVendor,
+  deleteVendor,
+  createBranch,
+  updateBranch,
+  deleteBranch
+};
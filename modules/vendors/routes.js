@@ -0,0 +1,158 @@
+// =====================================================
+// VENDOR ROUTES FOR VENDORS MICROSERVICE
+// Registration, vendor and branch profiles, storefront pages
+// and vendor and branch discovery
+// =====================================================
+
+import { Router } from 'express';
+import config from '../../config/config.js';
+import { query, withTransaction } from '../database/connection.js';
+import { vendorColumns } from '../database/columns.js';
+import {
+  validateToken,
+  optionalAuth,
+  requireRole,
+  vendorAccess,
+  requireVendorAccess,
+  requireBranchAccess
+} from '../../middleware/auth.js';
+import { validate, Joi } from '../../middleware/validate.js';
+import { notifyConsumers, actorOf } from '../webhooks/outbox.js';
+import { setMainBranch } from '../menu/menuSync.js';
+import { findNearbyBranches } from './nearby.js';
+import { listVendors, listVendorBranches, getStorefrontVendor, listBranches, getStorefrontBranch } from './discovery.js';
+import { registerVendor, updateVendor, deleteVendor, createBranch, updateBranch, deleteBranch } from './profiles.js';
+import {
+  registerVendorSchema,
+  updateVendorSchema,
+  createBranchSchema,
+  updateBranchSchema,
+  nearbyBranchesQuerySchema,
+  branchListQuerySchema,
+  vendorDirectoryQuerySchema,
+  branchDirectoryQuerySchema
+} from './validation.js';
+
+const router = Router();
+
+const branchProfile = '/vendors/:vendorId/branches/:branchId';
+// Profiles can be filled in while the vendor is still being onboarded
+const vendorProfile = [validateToken, vendorAccess({ requireApproved: false })];
+const vendorParams = validate(Joi.object({ vendorId: Joi.string().guid().required() }), 'params');
+const vendorBranch = [validateToken, requireVendorAccess, requireBranchAccess];
+
+// Register vendor
+router.post('/vendors/register', validateToken, requireRole('vendor'), validate(registerVendorSchema), async (req, res) => {
+  const vendor = await withTransaction(async (client) => {
+    const created = await registerVendor(client, req.user.uid, req.body);
+    await notifyConsumers(client, created, 'vendor_registered', actorOf(req.user));
+    return created;
+  });
+  res.json(vendor);
+});
+
+// Customer browse vendors by rating, newest or name
+router.get('/vendors', optionalAuth, validate(vendorDirectoryQuerySchema, 'query'), async (req, res) => {
+  res.json(await listVendors(req.query));
+});
+
+// Customer view a vendor storefront; its owner and admins get the full
+// profile instead, whatever its onboarding status
+router.get('/vendors/:vendorId', optionalAuth, vendorParams, async (req, res) => {
+  if (req.user) {
+    const result = await query(`SELECT ${vendorColumns()} FROM vendors WHERE id = $1 AND deleted_at IS NULL`, [req.params.vendorId]);
+    const vendor = result.rows[0];
+    if (vendor && (req.user.role === 'admin' || vendor.user_id === req.user.uid)) return res.json(vendor);
+  }
+  res.json(await getStorefrontVendor(req.params.vendorId));
+});
+
+// Vendor update business details
+router.patch('/vendors/:vendorId', ...vendorProfile, validate(updateVendorSchema), async (req, res) => {
+  const vendor = await withTransaction(async (client) => {
+    const updated = await updateVendor(client, req.vendor, req.body);
+    await notifyConsumers(client, updated, 'vendor_updated', actorOf(req.user));
+    return updated;
+  });
+  res.json(vendor);
+});
+
+// Vendor or admin soft delete the vendor and its branches
+router.delete('/vendors/:vendorId', ...vendorProfile, async (req, res) => {
+  await withTransaction(async (client) => {
+    const vendor = await deleteVendor(client, req.vendor);
+    await notifyConsumers(client, vendor, 'vendor_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Vendor deleted' });
+});
+
+// Create branch
+router.post('/vendors/:vendorId/branches', validateToken, requireVendorAccess, validate(createBranchSchema), async (req, res) => {
+  const { timezone = config.business.defaultTimezone } = req.body;
+  const branch = await withTransaction(async (client) => {
+    const created = await createBranch(client, req.vendor, { ...req.body, timezone }, actorOf(req.user));
+    await notifyConsumers(client, created, 'branch_added', actorOf(req.user));
+    return created;
+  });
+  res.json(branch);
+});
+
+// Vendor view a branch, inactive ones included
+router.get(branchProfile, ...vendorBranch, async (req, res) => {
+  res.json(req.branch);
+});
+
+// Vendor update branch details, location, contacts or main branch
+router.patch(branchProfile, ...vendorBranch, validate(updateBranchSchema), async (req, res) => {
+  const branch = await withTransaction(async (client) => {
+    const updated = await updateBranch(client, req.branch, req.body, actorOf(req.user));
+    await notifyConsumers(client, updated, 'branch_updated', actorOf(req.user));
+    if (updated.is_main_branch && !req.branch.is_main_branch) {
+      await notifyConsumers(client, updated, 'main_branch_changed', actorOf(req.user));
+    }
+    return updated;
+  });
+  res.json(branch);
+});
+
+// Vendor soft delete a branch
+router.delete(branchProfile, ...vendorBranch, async (req, res) => {
+  await withTransaction(async (client) => {
+    const branch = await deleteBranch(client, req.branch);
+    await notifyConsumers(client, branch, 'branch_deleted', actorOf(req.user));
+  });
+  res.json({ message: 'Branch deleted' });
+});
+
+// Vendor make branch the main branch, whose menu linked branches follow
+router.put(`${branchProfile}/main`, ...vendorBranch, async (req, res) => {
+  const branch = await withTransaction(async (client) => {
+    const main = await setMainBranch(client, req.branch, actorOf(req.user));
+    await notifyConsumers(client, main, 'main_branch_changed', actorOf(req.user));
+    return main;
+  });
+  res.json(branch);
+});
+
+// Customer list a vendor's branches with whether each is open now
+router.get('/vendors/:vendorId/branches', optionalAuth, vendorParams, validate(branchListQuerySchema, 'query'), async (req, res) => {
+  res.json(await listVendorBranches(req.params.vendorId, req.query));
+});
+
+// Customer browse branches by rating, newest or name
+router.get('/branches', optionalAuth, validate(branchDirectoryQuerySchema, 'query'), async (req, res) => {
+  res.json(await listBranches(req.query));
+});
+
+// Customer find branches that deliver to a point, nearest first
+router.get('/branches/nearby', optionalAuth, validate(nearbyBranchesQuerySchema, 'query'), async (req, res) => {
+  res.json(await findNearbyBranches(req.query));
+});
+
+// Customer view branch storefront with its rating, hours, live offers, vendor
+// logo, cover photos and gallery
+router.get('/branches/:branchId', optionalAuth, validate(Joi.object({ branchId: Joi.string().guid().required() }), 'params'), async (req, res) => {
+  res.json(await getStorefrontBranch(req.params.branchId));
+});
+
+export default router;
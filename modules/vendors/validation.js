@@ -0,0 +1,266 @@
+// =====================================================
+// VENDOR VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the vendor and branch CHECK constraints in schema.sql
+// =====================================================
+
+import config from '../../config/config.js';
+import { Joi } from '../../middleware/validate.js';
+import { isValidTimezone } from '../../utils/time.js';
+
+const latitude = Joi.number().min(-90).max(90);
+const longitude = Joi.number().min(-180).max(180);
+
+// Same patterns as the valid_*_phone and valid_*_email CHECK constraints
+const phone = Joi.string().trim().pattern(/^\+?[1-9]\d{1,14}$/).messages({
+  'string.pattern.base': '{#label} must be an international phone number such as +201001234567',
+});
+const email = Joi.string().trim().max(255).pattern(/^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/).messages({
+  'string.pattern.base': '{#label} must be an email address',
+});
+
+const timezone = Joi.string().trim().custom((value, helpers) => (
+  isValidTimezone(value) ? value : helpers.error('any.invalid')
+)).messages({
+  'any.invalid': '{#label} must be an IANA zone name such as Africa/Cairo',
+});
+
+const vendorProfileFields = {
+  name: Joi.string().trim().min(1).max(100),
+  cuisines: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10).unique(),
+  business_phone: phone.allow(null),
+  business_email: email.allow(null),
+  business_address: Joi.string().trim().min(1).max(500).allow(null),
+  business_description: Joi.string().trim().max(2000).allow('', null),
+  payment_methods: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10).unique().allow(null),
+  delivery_radius: Joi.number().greater(0).precision(2).max(999999.99).allow(null),
+  minimum_order_amount: Joi.number().min(0).precision(2).max(99999999.99),
+};
+
+export const registerVendorSchema = Joi.object({
+  ...vendorProfileFields,
+  name: vendorProfileFields.name.required(),
+  commercial_registration: Joi.string().trim().min(1).max(255).required(),
+});
+
+// The commercial registration is checked during onboarding and stays fixed
+export const updateVendorSchema = Joi.object({
+  ...vendorProfileFields,
+  commercial_registration: Joi.forbidden().messages({
+    'any.unknown': 'commercial_registration cannot be changed after registration',
+  }),
+}).min(1);
+
+const branchFields = {
+  name: Joi.string().trim().min(1).max(100),
+  address: Joi.string().trim().min(1),
+  latitude,
+  longitude,
+  timezone,
+  contact_phone: phone.allow(null),
+  contact_email: email.allow(null),
+  is_main_branch: Joi.boolean(),
+};
+
+// A branch is placed on the map with both coordinates or neither
+const coordinatePair = { 'object.and': 'latitude and longitude must be given together' };
+
+export const createBranchSchema = Joi.object({
+  ...branchFields,
+  name: branchFields.name.required(),
+  address: branchFields.address.required(),
+}).and('latitude', 'longitude').messages(coordinatePair);
+
+// A vendor always has a main branch once it has picked one, so the flag
+// moves by making another branch the main branch
+export const updateBranchSchema = Joi.object({
+  ...branchFields,
+  latitude: latitude.allow(null),
+  longitude: longitude.allow(null),
+  is_main_branch: Joi.boolean().valid(true).messages({
+    'any.only': 'Make another branch the main branch instead',
+  }),
+  is_active: Joi.boolean(),
+}).and('latitude', 'longitude').min(1).messages(coordinatePair);
+
+export const nearbyBranchesQuerySchema = Joi.object({
+  lat: latitude.required(),
+  lng: longitude.required(),
+  openNow: Joi.boolean(),
+  cuisine: Joi.string().trim().lowercase().max(50),
+  minRating: Joi.number().min(1).max(5),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+// GeoJSON positions are [longitude, latitude], optionally with an altitude
+const position = Joi.array().ordered(longitude.required(), latitude.required(), Joi.number());
+
+const linearRing = Joi.array().items(position).min(4).max(1000).custom((ring, helpers) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? ring : helpers.error('any.invalid');
+}).messages({
+  'any.invalid': '{#label} must be closed: its last position must repeat its first',
+});
+
+// Outline first, then any holes
+const polygonRings = Joi.array().items(linearRing).min(1).max(20);
+
+const zonePolygon = Joi.object({
+  type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+  coordinates: Joi.when('type', {
+    is: 'Polygon',
+    then: polygonRings.required(),
+    otherwise: Joi.array().items(polygonRings).min(1).max(20).required(),
+  }),
+});
+
+const zoneFields = {
+  name: Joi.string().trim().min(1).max(100),
+  polygon: zonePolygon,
+  delivery_fee: Joi.number().min(0).precision(2).max(99999999.99),
+  minimum_order_amount: Joi.number().min(0).precision(2).max(99999999.99),
+  estimated_delivery_minutes: Joi.number().integer().min(1).max(1440).allow(null),
+  is_active: Joi.boolean(),
+};
+
+export const createDeliveryZoneSchema = Joi.object({
+  ...zoneFields,
+  name: zoneFields.name.required(),
+  polygon: zoneFields.polygon.required(),
+});
+
+export const updateDeliveryZoneSchema = Joi.object(zoneFields).min(1);
+
+export const deliveryZoneParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  branchId: Joi.string(),
+  zoneId: Joi.string().guid().required(),
+});
+
+export const deliveryLookupQuerySchema = Joi.object({
+  lat: latitude.required(),
+  lng: longitude.required(),
+});
+
+const clockTime = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{#label} must be a 24-hour HH:MM time',
+});
+
+const calendarDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).custom((value, helpers) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? helpers.error('any.invalid') : value;
+}).messages({
+  'string.pattern.base': '{#label} must be a YYYY-MM-DD date',
+  'any.invalid': '{#label} must be a real calendar date',
+});
+
+const breakPair = { 'object.and': 'break_start and break_end must be given together' };
+
+// Closed days carry no times; open days need both ends
+const openingTime = clockTime.when('is_closed', { is: true, then: Joi.valid(null), otherwise: Joi.required() });
+const breakTime = clockTime.allow(null).when('is_closed', { is: true, then: Joi.valid(null) });
+
+const openingFields = {
+  open_time: openingTime,
+  close_time: openingTime,
+  break_start: breakTime,
+  break_end: breakTime,
+};
+
+// Days left out are closed
+export const weeklyHoursSchema = Joi.object({
+  days: Joi.array().items(Joi.object({
+    day_of_week: Joi.number().integer().min(0).max(6).required(),
+    is_closed: Joi.boolean().default(false),
+    ...openingFields,
+  }).and('break_start', 'break_end').messages(breakPair)).max(7).unique('day_of_week').required(),
+});
+
+// A closure by default; give times for special hours on that date instead
+export const hoursOverrideSchema = Joi.object({
+  date: calendarDate.required(),
+  is_closed: Joi.boolean().default(true),
+  ...openingFields,
+  note: Joi.string().trim().max(255).allow('', null),
+}).and('break_start', 'break_end').messages(breakPair);
+
+export const hoursOverrideParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  branchId: Joi.string(),
+  date: calendarDate.required(),
+});
+
+export const branchListQuerySchema = Joi.object({
+  openNow: Joi.boolean(),
+});
+
+export const DIRECTORY_SORTS = ['rating', 'newest', 'name'];
+
+const directoryFields = {
+  cuisine: Joi.string().trim().lowercase().max(50),
+  sort: Joi.string().valid(...DIRECTORY_SORTS).default('rating'),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  cursor: Joi.string().max(500),
+};
+
+export const vendorDirectoryQuerySchema = Joi.object(directoryFields);
+
+export const branchDirectoryQuerySchema = Joi.object({
+  ...directoryFields,
+  vendorId: Joi.string().guid(),
+  openNow: Joi.boolean(),
+});
+
+export const REGISTRATION_STATUSES = ['pending', 'under_review', 'approved', 'rejected', 'suspended'];
+
+export const DOCUMENT_TYPES = ['commercial_registration', 'business_license', 'tax_registration', 'other'];
+
+export const uploadDocumentSchema = Joi.object({
+  document_type: Joi.string().valid(...DOCUMENT_TYPES).required(),
+});
+
+export const documentParamsSchema = Joi.object({
+  vendorId: Joi.string(),
+  documentId: Joi.string().guid().required(),
+});
+
+// Rejections and suspensions must tell the vendor why
+export const vendorStatusSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected', 'suspended').required(),
+  reason: Joi.string().trim().max(1000).when('status', {
+    is: Joi.valid('rejected', 'suspended'),
+    then: Joi.required(),
+    otherwise: Joi.allow('', null),
+  }),
+});
+
+export const reviewQueueQuerySchema = Joi.object({
+  status: Joi.string().valid(...REGISTRATION_STATUSES).default('under_review'),
+  limit: Joi.number().integer().min(1).max(config.business.maxPaginationLimit).default(config.business.defaultPaginationLimit),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+export default {
+  registerVendorSchema,
+  updateVendorSchema,
+  createBranchSchema,
+  updateBranchSchema,
+  nearbyBranchesQuerySchema,
+  createDeliveryZoneSchema,
+  updateDeliveryZoneSchema,
+  deliveryZoneParamsSchema,
+  deliveryLookupQuerySchema,
+  weeklyHoursSchema,
+  hoursOverrideSchema,
+  hoursOverrideParamsSchema,
+  branchListQuerySchema,
+  DIRECTORY_SORTS,
+  vendorDirectoryQuerySchema,
+  branchDirectoryQuerySchema,
+  REGISTRATION_STATUSES,
+  DOCUMENT_TYPES,
+  uploadDocumentSchema,
+  documentParamsSchema,
+  vendorStatusSchema,
+  reviewQueueQuerySchema
+};
@@ -0,0 +1,184 @@
+// =====================================================
+// WEBHOOK DISPATCHER FOR VENDORS MICROSERVICE
+// Delivers queued outbox events with exponential backoff
+// =====================================================
+
+import axios from 'axios';
+import config from '../../config/config.js';
+import logger from '../../utils/logger.js';
+import { query } from '../database/connection.js';
+import { buildEnvelope } from './outbox.js';
+import {
+  signPayload,
+  SIGNATURE_HEADER,
+  EVENT_ID_HEADER,
+  EVENT_TYPE_HEADER
+} from './signature.js';
+
+let timer = null;
+let inFlight = null;
+let stopped = true;
+
+/**
+ * Delay before the next attempt, doubling after every failed attempt
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) => {
+  return config.webhooks.retryDelay * 2 ** (attempts - 1);
+};
+
+// Claim due deliveries, including ones abandoned by a crashed dispatcher
+const claimDueDeliveries = async () => {
+  const result = await query(
+    `UPDATE webhook_deliveries d
+     SET status = 'in_progress', locked_at = NOW(), attempts = d.attempts + 1
+     FROM webhook_events e, webhook_subscriptions s
+     WHERE d.id IN (
+       SELECT due.id FROM webhook_deliveries due
+       JOIN webhook_subscriptions active ON active.id = due.subscription_id AND active.is_active = TRUE
+       WHERE (due.status = 'pending' AND due.next_attempt_at <= NOW())
+          OR (due.status = 'in_progress' AND due.locked_at < NOW() - $2 * INTERVAL '1 millisecond')
+       ORDER BY due.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF due SKIP LOCKED
+     )
+     AND e.id = d.event_id
+     AND s.id = d.subscription_id
+     RETURNING d.id, d.attempts, d.subscription_id, s.url, s.secret,
+       e.id AS event_id, e.event_type, e.schema_version, e.actor, e.payload, e.created_at`,
+    [config.webhooks.batchSize, config.webhooks.lockTimeout]
+  );
+  return result.rows;
+};
+
+const markDelivered = (delivery, statusCode) => query(
+  `UPDATE webhook_deliveries
+   SET status = 'delivered', delivered_at = NOW(), locked_at = NULL, last_status_code = $2, last_error = NULL
+   WHERE id = $1`,
+  [delivery.id, statusCode]
+);
+
+const markFailed = async (delivery, error) => {
+  const statusCode = error.response?.status || null;
+
+  // maxRetries counts retries, so the first attempt doesn't use one up
+  if (delivery.attempts > config.webhooks.maxRetries) {
+    await query(
+      `UPDATE webhook_deliveries
+       SET status = 'dead_letter', locked_at = NULL, last_status_code = $2, last_error = $3
+       WHERE id = $1`,
+      [delivery.id, statusCode, error.message]
+    );
+    logger.error('Webhook delivery moved to dead letter', {
+      deliveryId: delivery.id,
+      eventId: delivery.event_id,
+      subscriptionId: delivery.subscription_id,
+      attempts: delivery.attempts,
+      error: error.message,
+    });
+    return;
+  }
+
+  const delay = getRetryDelay(delivery.attempts);
+  await query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', locked_at = NULL, last_status_code = $2, last_error = $3,
+         next_attempt_at = NOW() + $4 * INTERVAL '1 millisecond'
+     WHERE id = $1`,
+    [delivery.id, statusCode, error.message, delay]
+  );
+  logger.warn('Webhook delivery failed, retry scheduled', {
+    deliveryId: delivery.id,
+    eventId: delivery.event_id,
+    url: delivery.url,
+    attempts: delivery.attempts,
+    retryIn: `${delay}ms`,
+    error: error.message,
+  });
+};
+
+const deliver = async (delivery) => {
+  // Sign the exact bytes sent; each attempt gets a fresh signature timestamp
+  const body = JSON.stringify(buildEnvelope({ ...delivery, id: delivery.event_id }));
+  try {
+    const response = await axios.post(delivery.url, body, {
+      timeout: config.webhooks.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'badr-vendors-microservice/1.0',
+        [SIGNATURE_HEADER]: signPayload(body, delivery.secret),
+        [EVENT_ID_HEADER]: delivery.event_id,
+        [EVENT_TYPE_HEADER]: delivery.event_type
+      }
+    });
+    await markDelivered(delivery, response.status);
+    logger.info('Webhook delivered', {
+      deliveryId: delivery.id,
+      eventId: delivery.event_id,
+      url: delivery.url,
+      attempts: delivery.attempts,
+    });
+  } catch (error) {
+    await markFailed(delivery, error);
+  }
+};
+
+/**
+ * Deliver one batch of due webhook deliveries
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export const dispatchPending = async () => {
+  const deliveries = await claimDueDeliveries();
+  await Promise.allSettled(deliveries.map(deliver));
+  return deliveries.length;
+};
+
+const tick = async () => {
+  try {
+    // Keep draining without waiting while full batches are coming back
+    let attempted;
+    do {
+      attempted = await dispatchPending();
+    } while (!stopped && attempted === config.webhooks.batchSize);
+  } catch (error) {
+    logger.error('Webhook dispatch failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+  if (!stopped) {
+    timer = setTimeout(() => { inFlight = tick(); }, config.webhooks.pollInterval);
+  }
+};
+
+/**
+ * Start polling the outbox in the background
+ */
+export const startDispatcher = () => {
+  if (!stopped) return;
+  stopped = false;
+  logger.info('Webhook dispatcher started', {
+    pollInterval: config.webhooks.pollInterval,
+    batchSize: config.webhooks.batchSize,
+  });
+  inFlight = tick();
+};
+
+/**
+ * Stop polling and wait for the current batch to finish
+ */
+export const stopDispatcher = async () => {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+  await inFlight;
+  logger.info('Webhook dispatcher stopped');
+};
+
+export default {
+  startDispatcher,
+  stopDispatcher,
+  dispatchPending,
+  getRetryDelay
+};
@@ -0,0 +1,66 @@
+// =====================================================
+// WEBHOOK OUTBOX FOR VENDORS MICROSERVICE
+// Records domain events inside the caller's transaction
+// =====================================================
+
+import logger from '../../utils/logger.js';
+
+// Bump when the envelope shape changes in a way consumers must handle
+export const WEBHOOK_SCHEMA_VERSION = '1.0';
+
+/**
+ * Queue a webhook event for every active subscription interested in it.
+ * Must be called with the client of the transaction that makes the change,
+ * so the event is only committed if the change itself is committed.
+ * @param {Object} client - pg client from withTransaction
+ * @param {Object} data - Event payload
+ * @param {string} type - Event type, e.g. 'menu_item_added'
+ * @param {Object|null} actor - User who triggered the event: { id, role }
+ * @returns {Promise<Object>} The stored event row
+ */
+export const notifyConsumers = async (client, data, type, actor = null) => {
+  const eventResult = await client.query(
+    'INSERT INTO webhook_events (event_type, schema_version, actor, payload) VALUES ($1, $2, $3, $4) RETURNING *',
+    [type, WEBHOOK_SCHEMA_VERSION, actor ? JSON.stringify(actor) : null, JSON.stringify(data)]
+  );
+  const event = eventResult.rows[0];
+
+  // Fan out to subscribers now so later subscriptions don't receive old events
+  const deliveryResult = await client.query(
+    `INSERT INTO webhook_deliveries (event_id, subscription_id)
+     SELECT $1, id FROM webhook_subscriptions
+     WHERE is_active = TRUE AND (event_types IS NULL OR event_types ? $2)`,
+    [event.id, type]
+  );
+
+  logger.debug('Webhook event queued', {
+    eventId: event.id,
+    type,
+    deliveries: deliveryResult.rowCount,
+  });
+
+  return event;
+};
+
+/**
+ * Acting user recorded on an event, from the authenticated request user
+ * @param {Object} user - req.user set by validateToken
+ * @returns {Object|null} { id, role }
+ */
+export const actorOf = (user) => (user ? { id: user.uid, role: user.role } : null);
+
+/**
+ * Build the envelope consumers receive for a stored event
+ * @param {Object} event - webhook_events row
+ * @returns {Object} { id, type, version, created_at, actor, data }
+ */
+export const buildEnvelope = (event) => ({
+  id: event.id,
+  type: event.event_type,
+  version: event.schema_version,
+  created_at: new Date(event.created_at).toISOString(),
+  actor: event.actor,
+  data: event.payload,
+});
+
+export default { notifyConsumers, actorOf, buildEnvelope, WEBHOOK_SCHEMA_VERSION };
@@ -0,0 +1,51 @@
+// =====================================================
+// WEBHOOK ADMIN ROUTES FOR VENDORS MICROSERVICE
+// Subscription registration, listing, disabling and replay
+// =====================================================
+
+import { Router } from 'express';
+import { validateToken, requireRole } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validate.js';
+import { notFoundError } from '../../utils/errors.js';
+import {
+  createSubscription,
+  listSubscriptions,
+  disableSubscription,
+  replaySubscription
+} from './subscriptions.js';
+import { subscriptionSchema, replaySchema, subscriptionParamsSchema } from './validation.js';
+
+const router = Router();
+
+const subscriptionParams = validate(subscriptionParamsSchema, 'params');
+
+router.use('/webhooks', validateToken, requireRole('admin'));
+
+// Admin register webhook subscription
+router.post('/webhooks/subscriptions', validate(subscriptionSchema), async (req, res) => {
+  const subscription = await createSubscription(req.body, req.user.uid);
+  res.status(201).json(subscription);
+});
+
+// Admin list webhook subscriptions
+router.get('/webhooks/subscriptions', async (req, res) => {
+  res.json(await listSubscriptions());
+});
+
+// Admin disable webhook subscription
+router.put('/webhooks/subscriptions/:subscriptionId/disable', subscriptionParams, async (req, res) => {
+  const { subscriptionId } = req.params;
+  const subscription = await disableSubscription(subscriptionId);
+  if (!subscription) throw notFoundError('Subscription');
+  res.json(subscription);
+});
+
+// Admin replay dead-lettered (or all events since a timestamp) to a subscription
+router.post('/webhooks/subscriptions/:subscriptionId/replay', subscriptionParams, validate(replaySchema), async (req, res) => {
+  const { subscriptionId } = req.params;
+  const queued = await replaySubscription(subscriptionId, req.body);
+  if (queued === null) throw notFoundError('Subscription');
+  res.json({ queued });
+});
+
+export default router;
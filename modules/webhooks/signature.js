@@ -0,0 +1,160 @@
+// =====================================================
+// WEBHOOK SIGNATURES FOR VENDORS MICROSERVICE
+// HMAC signing of outgoing events and verification helpers
+// for consumers (import from 'badr-vendors/webhooks')
+// =====================================================
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-badr-signature';
+export const EVENT_ID_HEADER = 'x-badr-event-id';
+export const EVENT_TYPE_HEADER = 'x-badr-event-type';
+
+// Signatures older than this are rejected as possible replays
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Error thrown when an incoming webhook fails verification
+ */
+export class WebhookVerificationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Generate a new per-subscription signing secret
+ * @returns {string} Secret shared with the consumer
+ */
+export const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+const computeSignature = (payload, secret, timestamp) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+/**
+ * Build the signature header value for a payload
+ * @param {string} payload - Raw request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds, covered by the signature
+ * @returns {string} Header value in the form `t=<timestamp>,v1=<hex hmac>`
+ */
+export const signPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(payload, secret, timestamp)}`;
+};
+
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') parsed.timestamp = Number(value);
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  }
+  return parsed;
+};
+
+/**
+ * Check a signature header against the raw body.
+ * Throws WebhookVerificationError when the signature is missing, wrong or too old.
+ * @param {string|Buffer} payload - Raw request body exactly as received
+ * @param {string} header - Value of the X-Badr-Signature header
+ * @param {string} secret - Subscription secret
+ * @param {Object} options - { tolerance } in seconds, { now } unix seconds
+ * @returns {true}
+ */
+export const verifySignature = (payload, header, secret, options = {}) => {
+  const { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = options;
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    throw new WebhookVerificationError('Malformed or missing signature header', 'invalid_header');
+  }
+
+  if (tolerance > 0 && Math.abs(now - timestamp) > tolerance) {
+    throw new WebhookVerificationError('Signature timestamp is outside the tolerance window', 'timestamp_out_of_tolerance');
+  }
+
+  const expected = Buffer.from(computeSignature(payload.toString(), secret, timestamp), 'hex');
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!matches) {
+    throw new WebhookVerificationError('Signature does not match payload', 'signature_mismatch');
+  }
+
+  return true;
+};
+
+/**
+ * In-memory store of recently seen event IDs for replay protection.
+ * Entries only need to outlive the signature tolerance window.
+ * @param {Object} options - { ttlSeconds }
+ * @returns {{ has: Function, add: Function }}
+ */
+export const createReplayCache = ({ ttlSeconds = DEFAULT_TOLERANCE_SECONDS * 2 } = {}) => {
+  const seen = new Map();
+
+  const prune = (now) => {
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt > now) break;
+      seen.delete(id);
+    }
+  };
+
+  return {
+    has: (id) => {
+      prune(Date.now());
+      return seen.has(id);
+    },
+    add: (id) => {
+      seen.set(id, Date.now() + ttlSeconds * 1000);
+    },
+  };
+};
+
+/**
+ * Verify an incoming webhook and return its parsed envelope.
+ * Pass a `replayCache` (from createReplayCache, or anything with async or sync
+ * has/add) to reject events that were already processed.
+ * @param {string|Buffer} payload - Raw request body exactly as received
+ * @param {string} header - Value of the X-Badr-Signature header
+ * @param {string} secret - Subscription secret
+ * @param {Object} options - { tolerance, now, replayCache }
+ * @returns {Promise<Object>} Envelope: { id, type, version, created_at, actor, data }
+ */
+export const constructEvent = async (payload, header, secret, options = {}) => {
+  verifySignature(payload, header, secret, options);
+
+  let event;
+  try {
+    event = JSON.parse(payload.toString());
+  } catch (error) {
+    throw new WebhookVerificationError('Payload is not valid JSON', 'invalid_payload');
+  }
+
+  const { replayCache } = options;
+  if (replayCache) {
+    if (await replayCache.has(event.id)) {
+      throw new WebhookVerificationError(`Event ${event.id} was already received`, 'replayed_event');
+    }
+    await replayCache.add(event.id);
+  }
+
+  return event;
+};
+
+export default {
+  SIGNATURE_HEADER,
+  EVENT_ID_HEADER,
+  EVENT_TYPE_HEADER,
+  WebhookVerificationError,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  createReplayCache,
+  constructEvent
+};
@@ -0,0 +1,96 @@
+// =====================================================
+// WEBHOOK SUBSCRIPTIONS FOR VENDORS MICROSERVICE
+// Registration, listing, disabling and replay of consumers
+// =====================================================
+
+import { query } from '../database/connection.js';
+import { generateSecret } from './signature.js';
+
+// Every column except the signing secret, which is only shown once on creation
+const PUBLIC_COLUMNS = 's.id, s.name, s.url, s.event_types, s.is_active, s.created_by, s.disabled_at, s.created_at, s.updated_at';
+
+/**
+ * Register a new webhook consumer
+ * @param {Object} subscription - { name, url, event_types } (event_types null for all events)
+ * @param {string} createdBy - ID of the admin registering the consumer
+ * @returns {Promise<Object>} The created subscription, including its signing secret
+ */
+export const createSubscription = async ({ name, url, event_types = null }, createdBy) => {
+  const result = await query(
+    'INSERT INTO webhook_subscriptions (name, url, event_types, secret, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [name, url, event_types ? JSON.stringify(event_types) : null, generateSecret(), createdBy]
+  );
+  return result.rows[0];
+};
+
+/**
+ * List subscriptions with their delivery counts per status
+ * @returns {Promise<Array>} Subscriptions, newest first
+ */
+export const listSubscriptions = async () => {
+  const result = await query(
+    `SELECT ${PUBLIC_COLUMNS},
+       COUNT(d.id) FILTER (WHERE d.status IN ('pending', 'in_progress'))::int AS pending_deliveries,
+       COUNT(d.id) FILTER (WHERE d.status = 'delivered')::int AS delivered_deliveries,
+       COUNT(d.id) FILTER (WHERE d.status = 'dead_letter')::int AS dead_letter_deliveries
+     FROM webhook_subscriptions s
+     LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+     GROUP BY s.id
+     ORDER BY s.created_at DESC`
+  );
+  return result.rows;
+};
+
+/**
+ * Stop delivering events to a subscription. Queued deliveries are kept for replay.
+ * @param {string} id - Subscription ID
+ * @returns {Promise<Object|null>} The disabled subscription, or null if not found
+ */
+export const disableSubscription = async (id) => {
+  const result = await query(
+    `UPDATE webhook_subscriptions s SET is_active = FALSE, disabled_at = NOW() WHERE id = $1 RETURNING ${PUBLIC_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Queue events for redelivery to a subscription.
+ * Without `since`, dead-lettered deliveries are retried; with `since`, every
+ * matching event created from that time on is delivered again.
+ * @param {string} id - Subscription ID
+ * @param {Object} options - { since } Date to replay events from
+ * @returns {Promise<number|null>} Number of deliveries queued, or null if not found
+ */
+export const replaySubscription = async (id, { since } = {}) => {
+  const subscription = await query('SELECT id FROM webhook_subscriptions WHERE id = $1', [id]);
+  if (subscription.rows.length === 0) return null;
+
+  if (!since) {
+    const result = await query(
+      `UPDATE webhook_deliveries
+       SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL
+       WHERE subscription_id = $1 AND status = 'dead_letter'`,
+      [id]
+    );
+    return result.rowCount;
+  }
+
+  const result = await query(
+    `INSERT INTO webhook_deliveries (event_id, subscription_id)
+     SELECT e.id, s.id FROM webhook_events e, webhook_subscriptions s
+     WHERE s.id = $1 AND e.created_at >= $2
+       AND (s.event_types IS NULL OR s.event_types ? e.event_type)
+     ON CONFLICT (event_id, subscription_id) DO UPDATE
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL`,
+    [id, since]
+  );
+  return result.rowCount;
+};
+
+export default {
+  createSubscription,
+  listSubscriptions,
+  disableSubscription,
+  replaySubscription
+};
@@ -0,0 +1,26 @@
+// =====================================================
+// WEBHOOK VALIDATION SCHEMAS FOR VENDORS MICROSERVICE
+// Mirrors the webhook_subscriptions columns in schema.sql
+// =====================================================
+
+import { Joi } from '../../middleware/validate.js';
+
+export const subscriptionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+  event_types: Joi.array().items(Joi.string().max(100)).unique().allow(null),
+});
+
+export const replaySchema = Joi.object({
+  since: Joi.date().iso(),
+});
+
+export const subscriptionParamsSchema = Joi.object({
+  subscriptionId: Joi.string().guid().required(),
+});
+
+export default {
+  subscriptionSchema,
+  replaySchema,
+  subscriptionParamsSchema
+};
@@ -6,6 +6,19 @@
 -- Enable UUID extension for better security
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Trigram matching for typo tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Full-text configuration for mixed Arabic and English text: ASCII words get
+-- English stemming and stop words, words in other scripts Arabic ones
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'arabic_english') THEN
+        CREATE TEXT SEARCH CONFIGURATION arabic_english (COPY = english);
+        ALTER TEXT SEARCH CONFIGURATION arabic_english ALTER MAPPING FOR word, hword, hword_part WITH arabic_stem;
+    END IF;
+END $$;
+
 -- =====================================================
 -- CORE USER MANAGEMENT TABLES
 -- =====================================================
@@ -60,20 +73,25 @@ CREATE TABLE IF NOT EXISTS vendors (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL,
-    commercial_registration VARCHAR(255) UNIQUE NOT NULL,
+    commercial_registration VARCHAR(255) NOT NULL,
     business_phone VARCHAR(20),
     business_email VARCHAR(255),
     business_address TEXT,
     business_description TEXT,
+    cuisines TEXT[] NOT NULL DEFAULT '{}', -- Lower case, e.g. {'egyptian','grill'}
     business_hours JSONB, -- Store hours as JSON for flexibility
     payment_methods JSONB, -- Store accepted payment methods
     delivery_radius DECIMAL(8,2), -- Delivery radius in kilometers
     minimum_order_amount DECIMAL(10,2) DEFAULT 0,
-    registration_status VARCHAR(50) DEFAULT 'pending' CHECK (registration_status IN ('pending', 'approved', 'rejected', 'suspended')),
+    registration_status VARCHAR(50) DEFAULT 'pending' CHECK (registration_status IN ('pending', 'under_review', 'approved', 'rejected', 'suspended')),
     approval_date TIMESTAMP,
     approved_by UUID REFERENCES users(id),
     rejection_reason TEXT,
     is_active BOOLEAN DEFAULT TRUE,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('arabic_english', name), 'A')
+        || setweight(to_tsvector('arabic_english', COALESCE(business_description, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP,
@@ -96,8 +114,14 @@ CREATE TABLE IF NOT EXISTS vendor_branches (
     contact_phone VARCHAR(20),
     contact_email VARCHAR(255),
     business_hours JSONB, -- Store hours as JSON
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA zone schedules are evaluated in, e.g. Africa/Cairo
     is_active BOOLEAN DEFAULT TRUE,
     is_main_branch BOOLEAN DEFAULT FALSE,
+    follows_main_menu BOOLEAN DEFAULT FALSE, -- Menu is kept in sync with the main branch
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('arabic_english', name), 'A')
+        || setweight(to_tsvector('arabic_english', address), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP,
@@ -106,7 +130,37 @@ CREATE TABLE IF NOT EXISTS vendor_branches (
     CONSTRAINT valid_latitude CHECK (latitude >= -90 AND latitude <= 90),
     CONSTRAINT valid_longitude CHECK (longitude >= -180 AND longitude <= 180),
     CONSTRAINT valid_contact_phone CHECK (contact_phone ~* '^\+?[1-9]\d{1,14}$'),
-    CONSTRAINT valid_contact_email CHECK (contact_email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$')
+    CONSTRAINT valid_contact_email CHECK (contact_email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$'),
+    CONSTRAINT main_branch_not_follower CHECK (NOT (is_main_branch AND follows_main_menu))
+);
+
+-- KYC documents vendors upload for review; files live in private storage
+CREATE TABLE IF NOT EXISTS vendor_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    document_type VARCHAR(50) NOT NULL CHECK (document_type IN ('commercial_registration', 'business_license', 'tax_registration', 'other')),
+    storage_key VARCHAR(255) NOT NULL,
+    file_name VARCHAR(255), -- Name the file was uploaded with
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_document_size CHECK (size_bytes > 0)
+);
+
+-- Every onboarding transition of a vendor, with who made it and why
+CREATE TABLE IF NOT EXISTS vendor_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('submit', 'approve', 'reject', 'suspend', 'reinstate')),
+    from_status VARCHAR(50) NOT NULL,
+    to_status VARCHAR(50) NOT NULL,
+    reason TEXT,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- =====================================================
@@ -114,15 +168,24 @@ CREATE TABLE IF NOT EXISTS vendor_branches (
 -- =====================================================
 
 -- Menu categories for better organization
+-- Rows without vendor_id are global defaults; vendor rows apply to all of the
+-- vendor's branches, or to a single branch when branch_id is set
 CREATE TABLE IF NOT EXISTS menu_categories (
     id SERIAL PRIMARY KEY,
+    vendor_id UUID REFERENCES vendors(id) ON DELETE CASCADE,
+    branch_id UUID REFERENCES vendor_branches(id) ON DELETE CASCADE,
     name VARCHAR(100) NOT NULL,
     description TEXT,
     icon VARCHAR(100), -- Icon identifier for UI
     sort_order INT DEFAULT 0,
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_category_name CHECK (LENGTH(TRIM(name)) >= 1),
+    CONSTRAINT branch_category_has_vendor CHECK (branch_id IS NULL OR vendor_id IS NOT NULL)
 );
 
 -- Menu items with enhanced details
@@ -134,17 +197,25 @@ CREATE TABLE IF NOT EXISTS menu_items (
     description TEXT,
     price DECIMAL(10,2) NOT NULL,
     original_price DECIMAL(10,2), -- For discounted items
-    image_path VARCHAR(255),
+    image_path VARCHAR(255), -- Medium variant, kept for clients that show one image
+    image_variants JSONB, -- Paths of the thumbnail, medium and large WebP variants
     is_vegetarian BOOLEAN DEFAULT FALSE,
     is_vegan BOOLEAN DEFAULT FALSE,
     is_gluten_free BOOLEAN DEFAULT FALSE,
     is_halal BOOLEAN DEFAULT FALSE,
-    allergens JSONB, -- Store allergen information
+    allergens JSONB, -- EU allergen keys, e.g. ["milk", "eggs"]; [] declares none, NULL undeclared
     nutritional_info JSONB, -- Store nutritional data
     preparation_time INT, -- Preparation time in minutes
     is_available BOOLEAN DEFAULT TRUE,
     is_featured BOOLEAN DEFAULT FALSE,
     sort_order INT DEFAULT 0,
+    source_item_id UUID REFERENCES menu_items(id) ON DELETE SET NULL, -- Item this copy was cloned from
+    price_overridden BOOLEAN DEFAULT FALSE, -- Keep this branch's price when syncing
+    availability_overridden BOOLEAN DEFAULT FALSE, -- Keep this branch's availability when syncing
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('arabic_english', name), 'A')
+        || setweight(to_tsvector('arabic_english', COALESCE(description, '')), 'B')
+    ) STORED,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP,
@@ -152,7 +223,96 @@ CREATE TABLE IF NOT EXISTS menu_items (
     -- Constraints
     CONSTRAINT valid_price CHECK (price > 0),
     CONSTRAINT valid_original_price CHECK (original_price IS NULL OR original_price > 0),
-    CONSTRAINT valid_preparation_time CHECK (preparation_time IS NULL OR preparation_time > 0)
+    CONSTRAINT valid_preparation_time CHECK (preparation_time IS NULL OR preparation_time > 0),
+    CONSTRAINT valid_allergens CHECK (allergens IS NULL OR (jsonb_typeof(allergens) = 'array' AND allergens <@ '[
+        "celery", "gluten", "crustaceans", "eggs", "fish", "lupin", "milk",
+        "molluscs", "mustard", "tree_nuts", "peanuts", "sesame", "soya", "sulphites"
+    ]'::jsonb))
+);
+
+-- Option groups on menu items (sizes, add-ons, required choices)
+CREATE TABLE IF NOT EXISTS menu_item_option_groups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_required BOOLEAN DEFAULT FALSE,
+    min_selections INT DEFAULT 0,
+    max_selections INT, -- NULL for no upper limit
+    sort_order INT DEFAULT 0,
+    source_group_id UUID REFERENCES menu_item_option_groups(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_min_selections CHECK (min_selections >= 0),
+    CONSTRAINT valid_max_selections CHECK (max_selections IS NULL OR (max_selections >= 1 AND max_selections >= min_selections)),
+    CONSTRAINT required_group_min_selections CHECK (NOT is_required OR min_selections >= 1)
+);
+
+-- Options within a group, each adjusting the item price
+CREATE TABLE IF NOT EXISTS menu_item_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    group_id UUID REFERENCES menu_item_option_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) DEFAULT 0, -- Added to the item price, may be negative
+    is_available BOOLEAN DEFAULT TRUE,
+    is_default BOOLEAN DEFAULT FALSE,
+    sort_order INT DEFAULT 0,
+    source_option_id UUID REFERENCES menu_item_options(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP
+);
+
+-- Images of vendors, branches and menu items (logos, cover photos, galleries)
+CREATE TABLE IF NOT EXISTS media (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    vendor_id UUID REFERENCES vendors(id) ON DELETE CASCADE,
+    branch_id UUID REFERENCES vendor_branches(id) ON DELETE CASCADE,
+    menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+    media_type VARCHAR(20) NOT NULL DEFAULT 'photo' CHECK (media_type IN ('logo', 'cover', 'photo')),
+    image_path VARCHAR(255) NOT NULL, -- Medium variant
+    image_variants JSONB NOT NULL, -- Paths of the thumbnail, medium and large WebP variants
+    alt_text VARCHAR(255),
+    is_primary BOOLEAN DEFAULT FALSE, -- The one shown first for its owner and media_type
+    sort_order INT DEFAULT 0,
+    source_media_id UUID REFERENCES media(id) ON DELETE SET NULL, -- Media this copy was cloned from
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT single_media_owner CHECK (num_nonnulls(vendor_id, branch_id, menu_item_id) = 1),
+    CONSTRAINT menu_item_media_photos CHECK (menu_item_id IS NULL OR media_type = 'photo')
+);
+
+-- Areas a branch delivers to, each with its own terms. Branches without
+-- zones fall back to the vendor's delivery_radius.
+CREATE TABLE IF NOT EXISTS delivery_zones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    branch_id UUID NOT NULL REFERENCES vendor_branches(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    polygon JSONB NOT NULL, -- GeoJSON Polygon or MultiPolygon geometry, [lng, lat] positions
+    min_lat DECIMAL(10,8) NOT NULL, -- Bounding box of polygon, for prefiltering
+    max_lat DECIMAL(10,8) NOT NULL,
+    min_lng DECIMAL(11,8) NOT NULL,
+    max_lng DECIMAL(11,8) NOT NULL,
+    delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    minimum_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    estimated_delivery_minutes INT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_zone_polygon CHECK (polygon->>'type' IN ('Polygon', 'MultiPolygon')),
+    CONSTRAINT valid_zone_box CHECK (min_lat <= max_lat AND min_lng <= max_lng),
+    CONSTRAINT valid_zone_fee CHECK (delivery_fee >= 0),
+    CONSTRAINT valid_zone_minimum_order CHECK (minimum_order_amount >= 0),
+    CONSTRAINT valid_zone_delivery_time CHECK (estimated_delivery_minutes IS NULL OR estimated_delivery_minutes > 0)
 );
 
 -- Offers and promotions
@@ -161,8 +321,8 @@ CREATE TABLE IF NOT EXISTS offers (
     branch_id UUID REFERENCES vendor_branches(id) ON DELETE CASCADE,
     title VARCHAR(100) NOT NULL,
     description TEXT,
-    discount_type VARCHAR(20) CHECK (discount_type IN ('percentage', 'fixed_amount', 'buy_one_get_one', 'free_delivery')),
-    discount_value DECIMAL(10,2), -- Percentage or fixed amount
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed_amount', 'buy_one_get_one', 'free_delivery')),
+    discount_value DECIMAL(10,2), -- Percentage or fixed amount; unused by buy_one_get_one and free_delivery
     minimum_order_amount DECIMAL(10,2) DEFAULT 0,
     maximum_discount DECIMAL(10,2), -- Maximum discount cap
     start_date TIMESTAMP NOT NULL,
@@ -170,6 +330,9 @@ CREATE TABLE IF NOT EXISTS offers (
     is_active BOOLEAN DEFAULT TRUE,
     usage_limit INT, -- Maximum number of uses
     current_usage INT DEFAULT 0,
+    terminated_at TIMESTAMP, -- Ended early by the vendor
+    requires_code BOOLEAN DEFAULT FALSE, -- Only applies when one of its promo codes is entered
+    source_offer_id UUID REFERENCES offers(id) ON DELETE SET NULL, -- Offer this copy was cloned from
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP,
@@ -177,11 +340,79 @@ CREATE TABLE IF NOT EXISTS offers (
     -- Constraints
     CONSTRAINT valid_dates CHECK (start_date < end_date),
     CONSTRAINT valid_discount_value CHECK (discount_value > 0),
+    CONSTRAINT discount_value_required CHECK (discount_type NOT IN ('percentage', 'fixed_amount') OR discount_value IS NOT NULL),
+    CONSTRAINT valid_percentage CHECK (discount_type <> 'percentage' OR discount_value <= 100),
     CONSTRAINT valid_minimum_order CHECK (minimum_order_amount >= 0),
+    CONSTRAINT valid_maximum_discount CHECK (maximum_discount IS NULL OR maximum_discount > 0),
     CONSTRAINT valid_usage_limit CHECK (usage_limit IS NULL OR usage_limit > 0),
     CONSTRAINT valid_current_usage CHECK (current_usage >= 0 AND (usage_limit IS NULL OR current_usage <= usage_limit))
 );
 
+-- Menu items and categories an offer is limited to; offers without targets apply to the whole order
+CREATE TABLE IF NOT EXISTS offer_targets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+    menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+    category_id INT REFERENCES menu_categories(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT single_offer_target CHECK (num_nonnulls(menu_item_id, category_id) = 1)
+);
+
+-- Recurring windows an offer is limited to (e.g. weekdays 15:00-18:00), in the
+-- branch timezone; a window ending before its start runs past midnight
+CREATE TABLE IF NOT EXISTS offer_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+    days_of_week INT[] NOT NULL, -- 0 = Sunday ... 6 = Saturday, the days windows start on
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_schedule_days CHECK (cardinality(days_of_week) > 0 AND days_of_week <@ ARRAY[0, 1, 2, 3, 4, 5, 6]),
+    CONSTRAINT valid_schedule_window CHECK (start_time <> end_time)
+);
+
+-- Coupon codes customers enter to unlock an offer
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+    code VARCHAR(32) NOT NULL, -- Stored upper case
+    batch_id UUID, -- Shared by codes generated together
+    usage_limit INT, -- Uses across all customers
+    per_customer_limit INT, -- Uses per customer
+    current_usage INT DEFAULT 0,
+    expires_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_promo_code CHECK (code ~ '^[A-Z0-9-]{4,32}$'),
+    CONSTRAINT valid_code_usage_limit CHECK (usage_limit IS NULL OR usage_limit > 0),
+    CONSTRAINT valid_per_customer_limit CHECK (per_customer_limit IS NULL OR per_customer_limit > 0),
+    CONSTRAINT valid_code_usage CHECK (current_usage >= 0 AND (usage_limit IS NULL OR current_usage <= usage_limit))
+);
+
+-- Each use of an offer, counted into offers.current_usage
+CREATE TABLE IF NOT EXISTS offer_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    offer_id UUID NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+    promo_code_id UUID REFERENCES promo_codes(id) ON DELETE SET NULL, -- Code entered, if any
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    order_id VARCHAR(100), -- Order in the orders service
+    subtotal DECIMAL(10,2) NOT NULL,
+    discount_amount DECIMAL(10,2) NOT NULL,
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_redemption_amounts CHECK (subtotal >= 0 AND discount_amount >= 0),
+    CONSTRAINT unique_offer_order UNIQUE (offer_id, order_id)
+);
+
 -- =====================================================
 -- CUSTOMER INTERACTION TABLES
 -- =====================================================
@@ -214,7 +445,7 @@ CREATE TABLE IF NOT EXISTS reviews (
     branch_id UUID REFERENCES vendor_branches(id) ON DELETE CASCADE,
     menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
     offer_id UUID REFERENCES offers(id) ON DELETE CASCADE,
-    order_id UUID, -- Reference to order (when order system is implemented)
+    order_id UUID, -- Order in the order service the review cites; verified by that service
     rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
     comment TEXT,
     type VARCHAR(50) NOT NULL CHECK (type IN ('branch', 'menu_item', 'offer', 'overall')),
@@ -233,6 +464,19 @@ CREATE TABLE IF NOT EXISTS reviews (
     )
 );
 
+-- Earlier versions of edited reviews
+CREATE TABLE IF NOT EXISTS review_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    revision INT NOT NULL, -- 1 is the review as first posted
+    rating INT NOT NULL CHECK (rating >= 1 AND rating <= 5),
+    comment TEXT,
+    written_at TIMESTAMP NOT NULL, -- When this version was posted
+    revised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- When the next version replaced it
+
+    UNIQUE (review_id, revision)
+);
+
 -- Review replies for vendor/customer responses
 CREATE TABLE IF NOT EXISTS review_replies (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -257,6 +501,32 @@ CREATE TABLE IF NOT EXISTS review_likes (
     UNIQUE (review_id, user_id)
 );
 
+-- Running rating totals per reviewed vendor, branch, menu item or offer, kept
+-- in step with reviews by the review routes
+CREATE TABLE IF NOT EXISTS rating_summaries (
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('vendor', 'branch', 'menu_item', 'offer')),
+    target_id UUID NOT NULL,
+    review_count INT NOT NULL DEFAULT 0,
+    rating_total INT NOT NULL DEFAULT 0,
+    stars_1 INT NOT NULL DEFAULT 0,
+    stars_2 INT NOT NULL DEFAULT 0,
+    stars_3 INT NOT NULL DEFAULT 0,
+    stars_4 INT NOT NULL DEFAULT 0,
+    stars_5 INT NOT NULL DEFAULT 0,
+    average_rating DECIMAL(3,2) GENERATED ALWAYS AS (
+        CASE WHEN review_count > 0 THEN ROUND(rating_total::numeric / review_count, 2) END
+    ) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (target_type, target_id),
+    CONSTRAINT valid_rating_counts CHECK (
+        review_count >= 0 AND stars_1 >= 0 AND stars_2 >= 0 AND stars_3 >= 0 AND stars_4 >= 0 AND stars_5 >= 0 AND
+        review_count = stars_1 + stars_2 + stars_3 + stars_4 + stars_5 AND
+        rating_total = stars_1 + 2 * stars_2 + 3 * stars_3 + 4 * stars_4 + 5 * stars_5
+    )
+);
+
 -- =====================================================
 -- OPERATIONAL TABLES
 -- =====================================================
@@ -273,7 +543,10 @@ CREATE TABLE IF NOT EXISTS business_hours_template (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Vendor operating hours
+-- Vendor operating hours: one weekly row per day a branch opens, plus
+-- override rows replacing a single date's hours (holidays, closures).
+-- Times are branch-local; a close_time at or before open_time runs past
+-- midnight, and open_time = close_time means open around the clock.
 CREATE TABLE IF NOT EXISTS vendor_operating_hours (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     vendor_id UUID REFERENCES vendors(id) ON DELETE CASCADE,
@@ -281,12 +554,74 @@ CREATE TABLE IF NOT EXISTS vendor_operating_hours (
     day_of_week INT CHECK (day_of_week >= 0 AND day_of_week <= 6),
     open_time TIME,
     close_time TIME,
-    is_closed BOOLEAN DEFAULT FALSE,
+    is_closed BOOLEAN NOT NULL DEFAULT FALSE,
     break_start TIME,
     break_end TIME,
-    is_override BOOLEAN DEFAULT FALSE, -- Override default template
+    is_override BOOLEAN NOT NULL DEFAULT FALSE, -- Replaces the weekly hours on override_date
+    override_date DATE, -- Branch-local date an override applies to
+    note VARCHAR(255), -- Why an override exists, e.g. 'Eid holiday'
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_hours_day CHECK (
+        (is_override AND override_date IS NOT NULL AND day_of_week IS NULL)
+        OR (NOT is_override AND override_date IS NULL AND day_of_week IS NOT NULL)
+    ),
+    CONSTRAINT valid_opening_times CHECK (is_closed OR (open_time IS NOT NULL AND close_time IS NOT NULL)),
+    CONSTRAINT valid_break CHECK ((break_start IS NULL) = (break_end IS NULL) AND (break_start IS NULL OR break_start <> break_end))
+);
+
+-- =====================================================
+-- WEBHOOK DELIVERY TABLES
+-- =====================================================
+
+-- Consumers registered to receive webhook events
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    url VARCHAR(2048) NOT NULL,
+    event_types JSONB, -- Array of subscribed event types, NULL for all events
+    secret VARCHAR(128) NOT NULL, -- HMAC signing secret shared with the consumer
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id),
+    disabled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_webhook_url CHECK (url ~* '^https?://'),
+    CONSTRAINT valid_event_types CHECK (event_types IS NULL OR jsonb_typeof(event_types) = 'array')
+);
+
+-- Transactional outbox, written in the same transaction as the change it describes
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(100) NOT NULL,
+    schema_version VARCHAR(10) NOT NULL, -- Envelope version the event was written with
+    actor JSONB, -- User who triggered the event: { id, role }
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Delivery state of each event for each subscription
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID REFERENCES webhook_events(id) ON DELETE CASCADE,
+    subscription_id UUID REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'in_progress', 'delivered', 'dead_letter')),
+    attempts INT DEFAULT 0,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP, -- Set while a dispatcher is delivering the event
+    last_status_code INT,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    -- Constraints
+    CONSTRAINT valid_attempts CHECK (attempts >= 0),
+    CONSTRAINT unique_event_subscription UNIQUE (event_id, subscription_id)
 );
 
 -- =====================================================
@@ -300,39 +635,90 @@ CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active) WHERE is_active
 CREATE INDEX IF NOT EXISTS idx_users_verified ON users(is_verified) WHERE is_verified = TRUE;
 
 -- Vendor management indexes
-CREATE INDEX IF NOT EXISTS idx_vendors_user_id ON vendors(user_id);
+-- One live vendor per account; a deleted vendor frees its account and registration
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendors_one_per_user ON vendors(user_id) WHERE deleted_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_vendors_status ON vendors(registration_status);
 CREATE INDEX IF NOT EXISTS idx_vendors_active ON vendors(is_active) WHERE is_active = TRUE;
-CREATE INDEX IF NOT EXISTS idx_vendors_commercial_reg ON vendors(commercial_registration);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendors_commercial_reg ON vendors(commercial_registration) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_vendors_cuisines ON vendors USING GIN (cuisines);
+CREATE INDEX IF NOT EXISTS idx_vendors_search ON vendors USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_vendors_name_trgm ON vendors USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_vendor_documents_vendor ON vendor_documents(vendor_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_vendor_status_history_vendor ON vendor_status_history(vendor_id, created_at);
 
 -- Branch management indexes
 CREATE INDEX IF NOT EXISTS idx_branches_vendor_id ON vendor_branches(vendor_id);
 CREATE INDEX IF NOT EXISTS idx_branches_location ON vendor_branches(latitude, longitude);
 CREATE INDEX IF NOT EXISTS idx_branches_active ON vendor_branches(is_active) WHERE is_active = TRUE;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_branches_one_main ON vendor_branches(vendor_id) WHERE is_main_branch = TRUE AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_branches_search ON vendor_branches USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_branches_name_trgm ON vendor_branches USING GIN (name gin_trgm_ops);
 
 -- Menu management indexes
 CREATE INDEX IF NOT EXISTS idx_menu_items_branch_id ON menu_items(branch_id);
 CREATE INDEX IF NOT EXISTS idx_menu_items_category ON menu_items(category_id);
 CREATE INDEX IF NOT EXISTS idx_menu_items_price ON menu_items(price);
 CREATE INDEX IF NOT EXISTS idx_menu_items_available ON menu_items(is_available) WHERE is_available = TRUE;
-CREATE INDEX IF NOT EXISTS idx_menu_items_search ON menu_items(branch_id, name, description);
+CREATE INDEX IF NOT EXISTS idx_menu_items_search ON menu_items USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_menu_items_name_trgm ON menu_items USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_menu_items_source ON menu_items(source_item_id) WHERE source_item_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_menu_items_one_copy ON menu_items(branch_id, source_item_id) WHERE source_item_id IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_option_groups_menu_item ON menu_item_option_groups(menu_item_id) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_option_groups_one_copy ON menu_item_option_groups(menu_item_id, source_group_id) WHERE source_group_id IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_options_group ON menu_item_options(group_id) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_options_one_copy ON menu_item_options(group_id, source_option_id) WHERE source_option_id IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_media_owner ON media(vendor_id, branch_id, menu_item_id) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_one_primary ON media(COALESCE(vendor_id, branch_id, menu_item_id), media_type) WHERE is_primary = TRUE AND deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_one_copy ON media(menu_item_id, source_media_id) WHERE source_media_id IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_menu_categories_owner ON menu_categories(vendor_id, branch_id) WHERE deleted_at IS NULL;
+
+-- Delivery zone indexes
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_branch ON delivery_zones(branch_id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_box ON delivery_zones(min_lat, max_lat, min_lng, max_lng) WHERE deleted_at IS NULL AND is_active = TRUE;
 
 -- Offer management indexes
 CREATE INDEX IF NOT EXISTS idx_offers_branch_id ON offers(branch_id);
 CREATE INDEX IF NOT EXISTS idx_offers_dates ON offers(start_date, end_date);
 CREATE INDEX IF NOT EXISTS idx_offers_active ON offers(is_active) WHERE is_active = TRUE;
 CREATE INDEX IF NOT EXISTS idx_offers_discount ON offers(discount_type, discount_value);
+CREATE INDEX IF NOT EXISTS idx_offers_source ON offers(source_offer_id) WHERE source_offer_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offer_targets_item ON offer_targets(offer_id, menu_item_id) WHERE menu_item_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offer_targets_category ON offer_targets(offer_id, category_id) WHERE category_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_offer_schedules_offer ON offer_schedules(offer_id);
+CREATE INDEX IF NOT EXISTS idx_offer_redemptions_offer ON offer_redemptions(offer_id, redeemed_at);
+CREATE INDEX IF NOT EXISTS idx_offer_redemptions_user ON offer_redemptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_offer_redemptions_code ON offer_redemptions(promo_code_id, user_id) WHERE promo_code_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promo_codes_code ON promo_codes(code) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_promo_codes_offer ON promo_codes(offer_id) WHERE deleted_at IS NULL;
+
+-- Operating hours indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_operating_hours_weekly ON vendor_operating_hours(branch_id, day_of_week) WHERE NOT is_override;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_operating_hours_override ON vendor_operating_hours(branch_id, override_date) WHERE is_override;
 
 -- Review and rating indexes
 CREATE INDEX IF NOT EXISTS idx_reviews_user_id ON reviews(user_id);
 CREATE INDEX IF NOT EXISTS idx_reviews_branch_id ON reviews(branch_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_menu_item_id ON reviews(menu_item_id) WHERE menu_item_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_reviews_rating ON reviews(rating);
 CREATE INDEX IF NOT EXISTS idx_reviews_type ON reviews(type);
 CREATE INDEX IF NOT EXISTS idx_reviews_created ON reviews(created_at);
+CREATE INDEX IF NOT EXISTS idx_reviews_order_id ON reviews(order_id) WHERE order_id IS NOT NULL;
+-- One live review per customer and reviewed branch, menu item or offer
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reviews_one_per_target ON reviews(user_id, COALESCE(branch_id, menu_item_id, offer_id)) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_reviews_helpful ON reviews(helpful_votes DESC, created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_review_replies_review_id ON review_replies(review_id, created_at) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_rating_summaries_rank ON rating_summaries(target_type, average_rating DESC, review_count DESC);
 
 -- Favorites indexes
 CREATE INDEX IF NOT EXISTS idx_favorites_user_id ON favorites(user_id);
 CREATE INDEX IF NOT EXISTS idx_favorites_type ON favorites(type);
+CREATE INDEX IF NOT EXISTS idx_favorites_menu_item ON favorites(menu_item_id) WHERE menu_item_id IS NOT NULL;
+
+-- Webhook indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_active ON webhook_subscriptions(is_active) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_created ON webhook_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'in_progress');
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, status);
 
 -- =====================================================
 -- INITIAL DATA
@@ -343,7 +729,8 @@ INSERT INTO roles (name, description, permissions) VALUES
 ('admin', 'System administrator with full access', '{"all": true}'),
 ('vendor', 'Vendor with business management access', '{"vendor_management": true, "menu_management": true, "order_management": true}'),
 ('customer', 'Customer with ordering and review access', '{"order_placement": true, "reviews": true, "favorites": true}'),
-('delivery_partner', 'Delivery partner with order delivery access', '{"order_delivery": true, "route_management": true}')
+('delivery_partner', 'Delivery partner with order delivery access', '{"order_delivery": true, "route_management": true}'),
+('service', 'Internal platform service, such as the order service, calling service endpoints', '{"internal": true}')
 ON CONFLICT (name) DO NOTHING;
 
 -- Insert default menu categories
@@ -355,6 +742,26 @@ INSERT INTO menu_categories (name, description, icon, sort_order) VALUES
 ('Sides', 'Side dishes and accompaniments', '🥗', 5)
 ON CONFLICT DO NOTHING;
 
+-- Rating summaries of reviews written before summaries were kept
+INSERT INTO rating_summaries (target_type, target_id, review_count, rating_total, stars_1, stars_2, stars_3, stars_4, stars_5)
+SELECT t.target_type, t.target_id, COUNT(*), SUM(r.rating),
+       COUNT(*) FILTER (WHERE r.rating = 1), COUNT(*) FILTER (WHERE r.rating = 2), COUNT(*) FILTER (WHERE r.rating = 3),
+       COUNT(*) FILTER (WHERE r.rating = 4), COUNT(*) FILTER (WHERE r.rating = 5)
+FROM reviews r
+LEFT JOIN vendor_branches b ON b.id = r.branch_id
+CROSS JOIN LATERAL (VALUES
+    (CASE WHEN r.type IN ('branch', 'overall') THEN 'branch' ELSE r.type END, COALESCE(r.branch_id, r.menu_item_id, r.offer_id)),
+    ('vendor', CASE WHEN r.type IN ('branch', 'overall') THEN b.vendor_id END)
+) AS t(target_type, target_id)
+WHERE r.deleted_at IS NULL AND t.target_id IS NOT NULL
+GROUP BY t.target_type, t.target_id
+ON CONFLICT (target_type, target_id) DO NOTHING;
+
+-- Helpful votes are the likes a review has
+UPDATE reviews r SET helpful_votes = likes.count
+FROM (SELECT review_id, COUNT(*) FILTER (WHERE is_like)::int AS count FROM review_likes GROUP BY review_id) likes
+WHERE likes.review_id = r.id AND r.helpful_votes IS DISTINCT FROM likes.count;
+
 -- =====================================================
 -- TRIGGERS FOR AUTOMATIC UPDATES
 -- =====================================================
@@ -372,11 +779,20 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_vendors_updated_at BEFORE UPDATE ON vendors FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_vendor_branches_updated_at BEFORE UPDATE ON vendor_branches FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_menu_categories_updated_at BEFORE UPDATE ON menu_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_menu_items_updated_at BEFORE UPDATE ON menu_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_menu_item_option_groups_updated_at BEFORE UPDATE ON menu_item_option_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_menu_item_options_updated_at BEFORE UPDATE ON menu_item_options FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_media_updated_at BEFORE UPDATE ON media FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_delivery_zones_updated_at BEFORE UPDATE ON delivery_zones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_offers_updated_at BEFORE UPDATE ON offers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_promo_codes_updated_at BEFORE UPDATE ON promo_codes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_review_replies_updated_at BEFORE UPDATE ON review_replies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_rating_summaries_updated_at BEFORE UPDATE ON rating_summaries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_vendor_operating_hours_updated_at BEFORE UPDATE ON vendor_operating_hours FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- =====================================================
 -- SCHEMA VERSION TRACKING
@@ -408,10 +824,26 @@ COMMENT ON SCHEMA public IS 'Badr Delivery Platform - Vendors Microservice Datab
 COMMENT ON TABLE users IS 'User accounts with enhanced security and profile management';
 COMMENT ON TABLE vendors IS 'Vendor business information and registration management';
 COMMENT ON TABLE vendor_branches IS 'Vendor branch locations with operational details';
+COMMENT ON TABLE vendor_documents IS 'Commercial registration, license and other KYC documents of vendors';
+COMMENT ON TABLE vendor_status_history IS 'Onboarding state transitions of vendors with their reasons';
 COMMENT ON TABLE menu_items IS 'Menu items with comprehensive food information and categorization';
+COMMENT ON TABLE menu_item_option_groups IS 'Modifier groups on menu items with selection rules';
+COMMENT ON TABLE menu_item_options IS 'Selectable menu item modifiers with price adjustments';
+COMMENT ON TABLE media IS 'Logos, cover photos and image galleries of vendors, branches and menu items';
+COMMENT ON TABLE delivery_zones IS 'GeoJSON polygon delivery areas of branches with their fee, minimum order and delivery time';
 COMMENT ON TABLE offers IS 'Promotional offers and discounts with flexible discount types';
+COMMENT ON TABLE offer_targets IS 'Menu items and categories an offer is restricted to';
+COMMENT ON TABLE offer_schedules IS 'Recurring weekly windows during which an offer is live';
+COMMENT ON TABLE promo_codes IS 'Coupon codes that unlock offers, with global and per-customer caps';
+COMMENT ON TABLE offer_redemptions IS 'Offer uses counted against their usage limits';
 COMMENT ON TABLE reviews IS 'Customer reviews and ratings for vendors, branches, and menu items';
+COMMENT ON TABLE review_revisions IS 'Earlier ratings and comments of edited reviews';
+COMMENT ON TABLE rating_summaries IS 'Review count, rating total and star histogram of each reviewed vendor, branch, menu item and offer';
 COMMENT ON TABLE favorites IS 'Customer favorites with flexible entity support';
+COMMENT ON TABLE vendor_operating_hours IS 'Weekly branch opening hours with breaks, plus per-date holiday and closure overrides';
+COMMENT ON TABLE webhook_subscriptions IS 'Webhook consumers registered by administrators';
+COMMENT ON TABLE webhook_events IS 'Transactional outbox of domain events awaiting delivery';
+COMMENT ON TABLE webhook_deliveries IS 'Per-subscription webhook delivery attempts, retries and dead letters';
 
 -- Schema creation completed successfully
 SELECT 'Badr Delivery Platform - Vendors Microservice Schema v2.0 created successfully!' as status;
\ No newline at end of file
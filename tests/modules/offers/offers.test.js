@@ -0,0 +1,135 @@
+import { calculateOfferDiscount, quoteCart } from '../../../modules/offers/offers.js';
+
+const line = (menuItemId, unitPrice, quantity, categoryId = null) => ({
+  menu_item_id: menuItemId,
+  category_id: categoryId,
+  unit_price: unitPrice.toFixed(2),
+  quantity,
+  total_price: (unitPrice * quantity).toFixed(2),
+});
+
+const cartOf = (...lines) => ({
+  lines,
+  subtotal: lines.reduce((sum, { total_price: total }) => sum + Number(total), 0).toFixed(2),
+});
+
+const offer = (fields) => ({
+  id: 'offer',
+  title: 'Offer',
+  discount_value: null,
+  minimum_order_amount: '0.00',
+  maximum_discount: null,
+  menu_item_ids: [],
+  category_ids: [],
+  ...fields,
+});
+
+describe('calculateOfferDiscount', () => {
+  test('takes a percentage off the whole cart', () => {
+    const result = calculateOfferDiscount(offer({ discount_type: 'percentage', discount_value: '10' }), cartOf(line('a', 12.5, 2)));
+    expect(result).toMatchObject({ eligible: true, reason: null, discount: '2.50', free_delivery: false });
+  });
+
+  test('caps the discount at maximum_discount', () => {
+    const result = calculateOfferDiscount(
+      offer({ discount_type: 'percentage', discount_value: '50', maximum_discount: '20.00' }),
+      cartOf(line('a', 100, 1))
+    );
+    expect(result.discount).toBe('20.00');
+  });
+
+  test('never takes more than the qualifying items cost off a fixed amount', () => {
+    const result = calculateOfferDiscount(
+      offer({ discount_type: 'fixed_amount', discount_value: '30.00', menu_item_ids: ['a'] }),
+      cartOf(line('a', 8, 2), line('b', 50, 1))
+    );
+    expect(result.discount).toBe('16.00');
+  });
+
+  test('applies targeted offers to the targeted items and categories only', () => {
+    const result = calculateOfferDiscount(
+      offer({ discount_type: 'percentage', discount_value: '10', menu_item_ids: ['a'], category_ids: [7] }),
+      cartOf(line('a', 10, 1), line('b', 20, 1, 7), line('c', 40, 1, 8))
+    );
+    expect(result.discount).toBe('3.00');
+  });
+
+  test('is not eligible without qualifying items', () => {
+    const result = calculateOfferDiscount(
+      offer({ discount_type: 'percentage', discount_value: '10', category_ids: [7] }),
+      cartOf(line('a', 10, 1))
+    );
+    expect(result).toMatchObject({ eligible: false, reason: 'No qualifying items in the cart', discount: '0.00' });
+  });
+
+  test('is not eligible below the minimum order', () => {
+    const result = calculateOfferDiscount(
+      offer({ discount_type: 'percentage', discount_value: '10', minimum_order_amount: '50.00' }),
+      cartOf(line('a', 10, 2))
+    );
+    expect(result).toMatchObject({ eligible: false, reason: 'Requires a minimum order of 50.00', discount: '0.00' });
+  });
+
+  describe('buy one get one', () => {
+    const bogo = offer({ discount_type: 'buy_one_get_one' });
+
+    test('pairs the priciest units so the cheaper of each pair is free', () => {
+      const result = calculateOfferDiscount(bogo, cartOf(line('a', 10, 2), line('b', 6, 1), line('c', 4, 1)));
+      expect(result.discount).toBe('14.00');
+    });
+
+    test('leaves an odd unit out', () => {
+      const result = calculateOfferDiscount(bogo, cartOf(line('a', 9, 1), line('b', 5, 1), line('c', 3, 1)));
+      expect(result.discount).toBe('5.00');
+    });
+
+    test('asks for another item when only one qualifies', () => {
+      const result = calculateOfferDiscount(bogo, cartOf(line('a', 9, 1)));
+      expect(result).toMatchObject({ eligible: false, reason: 'Add another qualifying item to get one free', discount: '0.00' });
+    });
+
+    test('caps the free units at maximum_discount', () => {
+      const result = calculateOfferDiscount({ ...bogo, maximum_discount: '7.50' }, cartOf(line('a', 10, 4)));
+      expect(result.discount).toBe('7.50');
+    });
+  });
+
+  test('takes the delivery fee off free delivery offers', () => {
+    const result = calculateOfferDiscount(offer({ discount_type: 'free_delivery' }), cartOf(line('a', 10, 1)), 15);
+    expect(result).toMatchObject({ eligible: true, discount: '15.00', free_delivery: true });
+  });
+});
+
+describe('quoteCart', () => {
+  const cart = cartOf(line('a', 20, 2), line('b', 10, 1));
+
+  test('applies the largest eligible discount only', () => {
+    const quote = quoteCart([
+      offer({ id: 'percent', discount_type: 'percentage', discount_value: '10' }),
+      offer({ id: 'fixed', discount_type: 'fixed_amount', discount_value: '8.00' }),
+      offer({ id: 'minimum', discount_type: 'fixed_amount', discount_value: '40.00', minimum_order_amount: '100.00' }),
+    ], cart, 5);
+
+    expect(quote).toMatchObject({
+      subtotal: '50.00',
+      delivery_fee: '5.00',
+      applied_offer_id: 'fixed',
+      discount: '8.00',
+      total: '47.00',
+    });
+    expect(quote.offers.map((result) => result.eligible)).toEqual([true, true, false]);
+  });
+
+  test('charges the full total without an eligible offer', () => {
+    const quote = quoteCart([offer({ discount_type: 'buy_one_get_one', menu_item_ids: ['b'] })], cart, 5);
+    expect(quote).toMatchObject({ applied_offer_id: null, discount: '0.00', total: '55.00' });
+  });
+
+  test('picks free delivery when it saves the most', () => {
+    const quote = quoteCart([
+      offer({ id: 'percent', discount_type: 'percentage', discount_value: '5' }),
+      offer({ id: 'delivery', discount_type: 'free_delivery' }),
+    ], cart, 12);
+    expect(quote).toMatchObject({ applied_offer_id: 'delivery', discount: '12.00', total: '50.00' });
+  });
+});
@@ -0,0 +1,108 @@
+import { openingStatus } from '../../../modules/vendors/hours.js';
+
+const SUNDAY = 0;
+const FRIDAY = 5;
+const SATURDAY = 6;
+
+const day = (dayOfWeek, openTime, closeTime, breakTimes = {}) => ({
+  day_of_week: dayOfWeek,
+  is_closed: false,
+  open_time: openTime,
+  close_time: closeTime,
+  break_start: breakTimes.start ?? null,
+  break_end: breakTimes.end ?? null,
+});
+
+const statusAt = (hours, timezone, instant) => openingStatus({ weekly: [], overrides: [], ...hours }, timezone, new Date(instant));
+
+describe('openingStatus', () => {
+  // Cairo is UTC+2 in March 2026
+  const cairo = (instant, hours) => statusAt(hours, 'Africa/Cairo', instant);
+
+  test('is open within the day\'s hours', () => {
+    expect(cairo('2026-03-27T10:00:00Z', { weekly: [day(FRIDAY, '09:00:00', '17:00:00')] }))
+      .toEqual({ is_open_now: true, next_opening_at: null });
+  });
+
+  test('gives the next opening when closed', () => {
+    expect(cairo('2026-03-27T05:00:00Z', { weekly: [day(FRIDAY, '09:00:00', '17:00:00')] }))
+      .toEqual({ is_open_now: false, next_opening_at: new Date('2026-03-27T07:00:00Z') });
+  });
+
+  test('looks ahead to the next day with hours', () => {
+    expect(cairo('2026-03-27T16:00:00Z', { weekly: [day(FRIDAY, '09:00:00', '17:00:00')] }))
+      .toEqual({ is_open_now: false, next_opening_at: new Date('2026-04-03T07:00:00Z') });
+  });
+
+  test('has no next opening without any hours', () => {
+    expect(cairo('2026-03-27T10:00:00Z', {})).toEqual({ is_open_now: false, next_opening_at: null });
+  });
+
+  describe('overnight hours', () => {
+    const hours = { weekly: [day(FRIDAY, '20:00:00', '02:00:00')] };
+
+    test('stay open past midnight into the next day', () => {
+      expect(cairo('2026-03-27T23:30:00Z', hours).is_open_now).toBe(true);
+    });
+
+    test('close at the closing time of the next day', () => {
+      expect(cairo('2026-03-28T00:30:00Z', hours).is_open_now).toBe(false);
+    });
+  });
+
+  describe('breaks', () => {
+    const hours = { weekly: [day(FRIDAY, '09:00:00', '17:00:00', { start: '13:00:00', end: '14:00:00' })] };
+
+    test('close the branch during the break', () => {
+      expect(cairo('2026-03-27T11:30:00Z', hours))
+        .toEqual({ is_open_now: false, next_opening_at: new Date('2026-03-27T12:00:00Z') });
+    });
+
+    test('reopen at the end of the break', () => {
+      expect(cairo('2026-03-27T12:00:00Z', hours).is_open_now).toBe(true);
+    });
+
+    test('can fall after midnight in overnight hours', () => {
+      const overnight = { weekly: [day(FRIDAY, '20:00:00', '04:00:00', { start: '01:00:00', end: '02:00:00' })] };
+      expect(cairo('2026-03-27T23:30:00Z', overnight).is_open_now).toBe(false);
+      expect(cairo('2026-03-28T00:30:00Z', overnight).is_open_now).toBe(true);
+    });
+  });
+
+  describe('overrides', () => {
+    test('close a day that usually opens', () => {
+      const hours = {
+        weekly: [day(FRIDAY, '09:00:00', '17:00:00')],
+        overrides: [{ date: '2026-03-27', is_closed: true }],
+      };
+      expect(cairo('2026-03-27T10:00:00Z', hours))
+        .toEqual({ is_open_now: false, next_opening_at: new Date('2026-04-03T07:00:00Z') });
+    });
+
+    test('replace a day\'s hours', () => {
+      const hours = {
+        weekly: [day(FRIDAY, '09:00:00', '17:00:00')],
+        overrides: [{ ...day(null, '12:00:00', '14:00:00'), date: '2026-03-27' }],
+      };
+      expect(cairo('2026-03-27T08:00:00Z', hours))
+        .toEqual({ is_open_now: false, next_opening_at: new Date('2026-03-27T10:00:00Z') });
+    });
+  });
+
+  // London moves from GMT to BST at 01:00 UTC on 29 March 2026
+  describe('daylight saving time', () => {
+    const london = (instant, hours) => statusAt(hours, 'Europe/London', instant);
+
+    test('opens at local time on either side of the change', () => {
+      const hours = { weekly: [day(SATURDAY, '09:00:00', '17:00:00'), day(SUNDAY, '09:00:00', '17:00:00')] };
+      expect(london('2026-03-28T08:30:00Z', hours).next_opening_at).toEqual(new Date('2026-03-28T09:00:00Z'));
+      expect(london('2026-03-28T18:00:00Z', hours).next_opening_at).toEqual(new Date('2026-03-29T08:00:00Z'));
+    });
+
+    test('closes overnight hours at local time after the change', () => {
+      const hours = { weekly: [day(SATURDAY, '22:00:00', '03:00:00')] };
+      expect(london('2026-03-29T01:30:00Z', hours).is_open_now).toBe(true);
+      expect(london('2026-03-29T02:15:00Z', hours).is_open_now).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  WebhookVerificationError,
+  signPayload,
+  verifySignature
+} from '../../../modules/webhooks/signature.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'event', type: 'menu_item_added' });
+const NOW = 1767225600;
+
+const verificationCode = (verify) => {
+  try {
+    verify();
+  } catch (error) {
+    expect(error).toBeInstanceOf(WebhookVerificationError);
+    return error.code;
+  }
+  throw new Error('Expected verification to fail');
+};
+
+describe('verifySignature', () => {
+  test('accepts a payload signed with the secret', () => {
+    expect(verifySignature(PAYLOAD, signPayload(PAYLOAD, SECRET, NOW), SECRET, { now: NOW })).toBe(true);
+  });
+
+  test('accepts the raw body as a Buffer', () => {
+    expect(verifySignature(Buffer.from(PAYLOAD), signPayload(PAYLOAD, SECRET, NOW), SECRET, { now: NOW })).toBe(true);
+  });
+
+  test('accepts any matching v1 signature, as during secret rotation', () => {
+    const header = `${signPayload(PAYLOAD, 'whsec_old', NOW)},v1=${signPayload(PAYLOAD, SECRET, NOW).split('v1=')[1]}`;
+    expect(verifySignature(PAYLOAD, header, SECRET, { now: NOW })).toBe(true);
+  });
+
+  test('rejects a changed payload', () => {
+    const header = signPayload(PAYLOAD, SECRET, NOW);
+    expect(verificationCode(() => verifySignature(`${PAYLOAD} `, header, SECRET, { now: NOW }))).toBe('signature_mismatch');
+  });
+
+  test('rejects another secret', () => {
+    const header = signPayload(PAYLOAD, 'whsec_other', NOW);
+    expect(verificationCode(() => verifySignature(PAYLOAD, header, SECRET, { now: NOW }))).toBe('signature_mismatch');
+  });
+
+  test('rejects a signature whose timestamp was changed', () => {
+    const header = signPayload(PAYLOAD, SECRET, NOW).replace(`t=${NOW}`, `t=${NOW + 1}`);
+    expect(verificationCode(() => verifySignature(PAYLOAD, header, SECRET, { now: NOW }))).toBe('signature_mismatch');
+  });
+
+  test.each([undefined, '', 'v1=abc', `t=${NOW}`, 'garbage'])('rejects the malformed header %p', (header) => {
+    expect(verificationCode(() => verifySignature(PAYLOAD, header, SECRET, { now: NOW }))).toBe('invalid_header');
+  });
+
+  test('rejects signatures outside the tolerance window either way', () => {
+    const old = signPayload(PAYLOAD, SECRET, NOW - 301);
+    const future = signPayload(PAYLOAD, SECRET, NOW + 301);
+    expect(verificationCode(() => verifySignature(PAYLOAD, old, SECRET, { now: NOW }))).toBe('timestamp_out_of_tolerance');
+    expect(verificationCode(() => verifySignature(PAYLOAD, future, SECRET, { now: NOW }))).toBe('timestamp_out_of_tolerance');
+  });
+
+  test('takes a custom tolerance, and none at 0', () => {
+    const header = signPayload(PAYLOAD, SECRET, NOW - 600);
+    expect(verifySignature(PAYLOAD, header, SECRET, { now: NOW, tolerance: 900 })).toBe(true);
+    expect(verifySignature(PAYLOAD, header, SECRET, { now: NOW, tolerance: 0 })).toBe(true);
+    expect(verificationCode(() => verifySignature(PAYLOAD, header, SECRET, { now: NOW, tolerance: 60 }))).toBe('timestamp_out_of_tolerance');
+  });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+
+// State changes are logged; keep them out of the test output
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { error: jest.fn(), warn: jest.fn(), info: jest.fn() },
+}));
+
+const { CIRCUIT_STATES, CircuitBreaker, CircuitOpenError } = await import('../../utils/circuitBreaker.js');
+
+const failing = () => Promise.reject(new Error('down'));
+
+// A call that stays in flight until settled from the test
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((onResolve, onReject) => {
+    resolve = onResolve;
+    reject = onReject;
+  });
+  return { promise, resolve, reject, call: () => promise };
+};
+
+const openBreaker = async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeout: 1000 });
+  await expect(breaker.exec(failing)).rejects.toThrow('down');
+  await expect(breaker.exec(failing)).rejects.toThrow('down');
+  return breaker;
+};
+
+describe('CircuitBreaker', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('opens after the failure threshold and fails fast', async () => {
+    const breaker = await openBreaker();
+    const fn = jest.fn();
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    await expect(breaker.exec(fn)).rejects.toThrow(CircuitOpenError);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test('ignores errors that do not count as failures', async () => {
+    const breaker = new CircuitBreaker('test', { failureThreshold: 1, isFailure: () => false });
+    await expect(breaker.exec(failing)).rejects.toThrow('down');
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  describe('half open', () => {
+    test('lets one probe through and fails fast for the rest until it settles', async () => {
+      const breaker = await openBreaker();
+      now = 1000;
+      const probe = deferred();
+      const pending = breaker.exec(probe.call);
+      const other = jest.fn();
+
+      expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(breaker.isAvailable()).toBe(false);
+      await expect(breaker.exec(other)).rejects.toThrow(CircuitOpenError);
+      expect(other).not.toHaveBeenCalled();
+
+      probe.resolve('ok');
+      await expect(pending).resolves.toBe('ok');
+      expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+      await expect(breaker.exec(() => Promise.resolve('next'))).resolves.toBe('next');
+    });
+
+    test('reopens when the probe fails', async () => {
+      const breaker = await openBreaker();
+      now = 1000;
+      await expect(breaker.exec(failing)).rejects.toThrow('down');
+      expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+      now = 1500;
+      await expect(breaker.exec(jest.fn())).rejects.toThrow(CircuitOpenError);
+    });
+
+    test('is settled by the probe only, not by calls started before it', async () => {
+      const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeout: 1000 });
+      const late = deferred();
+      const latePending = breaker.exec(late.call);
+      await expect(breaker.exec(failing)).rejects.toThrow('down');
+
+      now = 1000;
+      const probe = deferred();
+      const probePending = breaker.exec(probe.call);
+      late.resolve('late');
+      await expect(latePending).resolves.toBe('late');
+      expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+      probe.reject(new Error('down'));
+      await expect(probePending).rejects.toThrow('down');
+      expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { parseCsv, toCsv } from '../../utils/csv.js';
+
+describe('parseCsv', () => {
+  test('keys each row by the header', () => {
+    expect(parseCsv('name,price\nKofta,50\nTea,10\n')).toEqual([
+      { name: 'Kofta', price: '50' },
+      { name: 'Tea', price: '10' },
+    ]);
+  });
+
+  test('reads quoted fields with commas, escaped quotes and newlines', () => {
+    expect(parseCsv('name,description\n"Kofta, large","The ""best""\nin town"\n')).toEqual([
+      { name: 'Kofta, large', description: 'The "best"\nin town' },
+    ]);
+  });
+
+  test('handles CRLF line endings, a BOM and no final newline', () => {
+    expect(parseCsv('\uFEFFname,price\r\nKofta,50\r\nTea,10')).toEqual([
+      { name: 'Kofta', price: '50' },
+      { name: 'Tea', price: '10' },
+    ]);
+  });
+
+  test('skips blank lines and fills missing trailing fields', () => {
+    expect(parseCsv('name,price,category\n\nKofta,50\n\n')).toEqual([{ name: 'Kofta', price: '50', category: '' }]);
+  });
+
+  test('trims header names', () => {
+    expect(parseCsv(' name , price \nKofta,50')).toEqual([{ name: 'Kofta', price: '50' }]);
+  });
+
+  test('returns nothing for an empty document or a header alone', () => {
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv('name,price\n')).toEqual([]);
+  });
+
+  test('takes off the quote toCsv puts before formula-like cells', () => {
+    expect(parseCsv("name,price\n'=SUM(A1:A3),'-5\n''@x,it's\n")).toEqual([
+      { name: '=SUM(A1:A3)', price: '-5' },
+      { name: "'@x", price: "it's" },
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes fields only when needed and ends lines with CRLF', () => {
+    expect(toCsv(['name', 'description'], [{ name: 'Kofta', description: 'Big, "spicy"' }, { name: 'Tea', description: null }]))
+      .toBe('name,description\r\nKofta,"Big, ""spicy"""\r\nTea,\r\n');
+  });
+
+  test('neutralises cells a spreadsheet would run as formulas', () => {
+    expect(toCsv(['a', 'b', 'c', 'd'], [{ a: '=1+1', b: '+1', c: -5, d: '@SUM(A1)' }]))
+      .toBe("a,b,c,d\r\n'=1+1,'+1,'-5,'@SUM(A1)\r\n");
+  });
+
+  test('round-trips through parseCsv', () => {
+    const records = [
+      { name: '=cmd', note: 'line\nbreak, "quoted"' },
+      { name: "'=already quoted", note: '' },
+      { name: 'plain', note: "it's" },
+    ];
+    expect(parseCsv(toCsv(['name', 'note'], records))).toEqual(records);
+  });
+});
@@ -0,0 +1,65 @@
+import { pointInPolygon } from '../../utils/geo.js';
+
+// Rings are [lng, lat] positions, closed by repeating the first one
+const square = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat],
+];
+
+describe('pointInPolygon', () => {
+  const polygon = { type: 'Polygon', coordinates: [square(31, 30, 32, 31)] };
+
+  test('finds points inside the outline', () => {
+    expect(pointInPolygon({ lat: 30.5, lng: 31.5 }, polygon)).toBe(true);
+  });
+
+  test('leaves out points outside the outline', () => {
+    expect(pointInPolygon({ lat: 30.5, lng: 32.5 }, polygon)).toBe(false);
+    expect(pointInPolygon({ lat: 31.5, lng: 31.5 }, polygon)).toBe(false);
+  });
+
+  test('follows concave outlines', () => {
+    const lShape = {
+      type: 'Polygon',
+      coordinates: [[[0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2], [0, 0]]],
+    };
+    expect(pointInPolygon({ lat: 0.5, lng: 1.5 }, lShape)).toBe(true);
+    expect(pointInPolygon({ lat: 1.5, lng: 1.5 }, lShape)).toBe(false);
+  });
+
+  describe('holes', () => {
+    const withHole = { type: 'Polygon', coordinates: [square(0, 0, 4, 4), square(1, 1, 3, 3)] };
+
+    test('leave out points inside a hole', () => {
+      expect(pointInPolygon({ lat: 2, lng: 2 }, withHole)).toBe(false);
+    });
+
+    test('keep points between the outline and a hole', () => {
+      expect(pointInPolygon({ lat: 0.5, lng: 2 }, withHole)).toBe(true);
+      expect(pointInPolygon({ lat: 2, lng: 3.5 }, withHole)).toBe(true);
+    });
+
+    test('each leave their own area out', () => {
+      const twoHoles = { type: 'Polygon', coordinates: [square(0, 0, 6, 2), square(1, 0.5, 2, 1.5), square(4, 0.5, 5, 1.5)] };
+      expect(pointInPolygon({ lat: 1, lng: 1.5 }, twoHoles)).toBe(false);
+      expect(pointInPolygon({ lat: 1, lng: 4.5 }, twoHoles)).toBe(false);
+      expect(pointInPolygon({ lat: 1, lng: 3 }, twoHoles)).toBe(true);
+    });
+  });
+
+  describe('multipolygons', () => {
+    const islands = {
+      type: 'MultiPolygon',
+      coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6), square(5.25, 5.25, 5.75, 5.75)]],
+    };
+
+    test('hold points inside any of their polygons', () => {
+      expect(pointInPolygon({ lat: 0.5, lng: 0.5 }, islands)).toBe(true);
+      expect(pointInPolygon({ lat: 5.1, lng: 5.1 }, islands)).toBe(true);
+    });
+
+    test('leave out points between polygons and in a polygon\'s hole', () => {
+      expect(pointInPolygon({ lat: 3, lng: 3 }, islands)).toBe(false);
+      expect(pointInPolygon({ lat: 5.5, lng: 5.5 }, islands)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { keyset, toPage } from '../../utils/pagination.js';
+import { HttpError } from '../../utils/errors.js';
+
+const BY_NAME = [{ sql: 'm.name' }, { sql: 'm.id' }];
+const BY_PRICE_DESC = [{ sql: 'm.price', descending: true }, { sql: 'm.id' }];
+
+// Rows as selected with keyset's pageKey: the keys as text, then the fingerprint
+const rowsWithKeys = (count, fingerprint) => Array.from({ length: count }, (_, index) => ({
+  id: `id-${index}`,
+  page_key: [`name-${index}`, `id-${index}`, fingerprint],
+}));
+
+const fingerprintOf = (keys) => keyset(keys, undefined, []).pageKey.match(/'([^']+)'\] AS page_key$/)[1];
+
+describe('keyset', () => {
+  test('orders by the keys and starts from the first row without a cursor', () => {
+    const params = ['branch'];
+    const page = keyset(BY_PRICE_DESC, undefined, params);
+    expect(page.orderBy).toBe('m.price DESC, m.id');
+    expect(page.after).toBe('TRUE');
+    expect(page.pageKey).toMatch(/^ARRAY\[\(m\.price\)::text, \(m\.id\)::text, '[\w-]{8}'\] AS page_key$/);
+    expect(params).toEqual(['branch']);
+  });
+
+  test('compares one-direction orderings as a row', () => {
+    const { pagination } = toPage(rowsWithKeys(3, fingerprintOf(BY_NAME)), 2);
+    const params = ['branch'];
+    const page = keyset(BY_NAME, pagination.next_cursor, params);
+    expect(page.after).toBe('(m.name, m.id) > ($2, $3)');
+    expect(params).toEqual(['branch', 'name-1', 'id-1']);
+  });
+
+  test('compares descending orderings as a row the other way', () => {
+    const keys = [{ sql: 'm.price', descending: true }, { sql: 'm.id', descending: true }];
+    const { pagination } = toPage(rowsWithKeys(2, fingerprintOf(keys)), 1);
+    expect(keyset(keys, pagination.next_cursor, []).after).toBe('(m.price, m.id) < ($1, $2)');
+  });
+
+  test('spells out mixed directions key by key', () => {
+    const { pagination } = toPage(rowsWithKeys(2, fingerprintOf(BY_PRICE_DESC)), 1);
+    const params = [];
+    expect(keyset(BY_PRICE_DESC, pagination.next_cursor, params).after)
+      .toBe('((m.price < $1) OR (m.price = $1 AND m.id > $2))');
+    expect(params).toEqual(['name-0', 'id-0']);
+  });
+
+  test('rejects a cursor of another ordering', () => {
+    const { pagination } = toPage(rowsWithKeys(2, fingerprintOf(BY_NAME)), 1);
+    expect(() => keyset(BY_PRICE_DESC, pagination.next_cursor, [])).toThrow(HttpError);
+  });
+
+  test.each(['not-a-cursor', Buffer.from('{"a":1}').toString('base64url'), Buffer.from('[1,2,3]').toString('base64url')])(
+    'rejects the malformed cursor %s',
+    (cursor) => {
+      expect(() => keyset(BY_NAME, cursor, [])).toThrow(expect.objectContaining({
+        status: 400,
+        details: [{ field: 'cursor', message: 'cursor does not belong to this list and sort order' }],
+      }));
+    }
+  );
+});
+
+describe('toPage', () => {
+  test('returns the rows without their page keys and no cursor on the last page', () => {
+    expect(toPage(rowsWithKeys(2, 'x'), 2)).toEqual({
+      data: [{ id: 'id-0' }, { id: 'id-1' }],
+      pagination: { limit: 2, next_cursor: null, has_more: false },
+    });
+  });
+
+  test('drops the extra row and points the cursor at the last row returned', () => {
+    const page = toPage(rowsWithKeys(3, 'x'), 2);
+    expect(page.data).toEqual([{ id: 'id-0' }, { id: 'id-1' }]);
+    expect(page.pagination.has_more).toBe(true);
+    expect(JSON.parse(Buffer.from(page.pagination.next_cursor, 'base64url').toString('utf8'))).toEqual(['name-1', 'id-1', 'x']);
+  });
+
+  test('handles an empty list', () => {
+    expect(toPage([], 10)).toEqual({ data: [], pagination: { limit: 10, next_cursor: null, has_more: false } });
+  });
+});
@@ -0,0 +1,150 @@
+// =====================================================
+// CACHE UTILITY FOR VENDORS MICROSERVICE
+// Redis-backed key/value cache with an in-memory fallback
+// =====================================================
+
+import { createClient } from 'redis';
+import config from '../config/config.js';
+import logger from './logger.js';
+
+const MAX_MEMORY_ENTRIES = 10000;
+
+const memory = new Map();
+let client = null;
+let redisDown = false;
+
+// Connect lazily so importing the cache doesn't open sockets
+const getRedis = () => {
+  if (!config.redis.enabled) return null;
+
+  if (!client) {
+    client = createClient({
+      socket: {
+        host: config.redis.host,
+        port: config.redis.port,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 30000),
+      },
+      password: config.redis.password || undefined,
+      database: config.redis.db,
+    });
+
+    client.on('ready', () => {
+      redisDown = false;
+      logger.info('Redis cache connected', { host: config.redis.host, port: config.redis.port });
+    });
+
+    client.on('error', (error) => {
+      // Only log the transition, reconnect attempts would flood the log
+      if (!redisDown) {
+        logger.warn('Redis cache unavailable, using in-memory cache', { error: error.message });
+      }
+      redisDown = true;
+    });
+
+    client.connect().catch((error) => {
+      logger.warn('Redis cache connection failed', { error: error.message });
+    });
+  }
+
+  return client.isReady ? client : null;
+};
+
+const memoryGet = (key) => {
+  const entry = memory.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    memory.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const memorySet = (key, value, ttlSeconds) => {
+  if (memory.size >= MAX_MEMORY_ENTRIES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    memory.delete(memory.keys().next().value);
+  }
+  memory.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+/**
+ * Read a cached value
+ * @param {string} key - Cache key (prefixed automatically)
+ * @returns {Promise<*>} The cached value, or null on a miss
+ */
+export const getCached = async (key) => {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const value = await redis.get(`${config.redis.keyPrefix}${key}`);
+      return value === null ? null : JSON.parse(value);
+    } catch (error) {
+      logger.warn('Redis cache read failed', { key, error: error.message });
+    }
+  }
+  return memoryGet(key);
+};
+
+/**
+ * Store a value for a limited time
+ * @param {string} key - Cache key (prefixed automatically)
+ * @param {*} value - JSON-serializable value
+ * @param {number} ttlSeconds - Time to live in seconds
+ */
+export const setCached = async (key, value, ttlSeconds) => {
+  const ttl = Math.floor(ttlSeconds);
+  if (ttl <= 0) return;
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.set(`${config.redis.keyPrefix}${key}`, JSON.stringify(value), { EX: ttl });
+      return;
+    } catch (error) {
+      logger.warn('Redis cache write failed', { key, error: error.message });
+    }
+  }
+  memorySet(key, value, ttl);
+};
+
+/**
+ * Remove a cached value
+ * @param {string} key - Cache key (prefixed automatically)
+ */
+export const deleteCached = async (key) => {
+  memory.delete(key);
+  const redis = getRedis();
+  if (redis) {
+    try {
+      await redis.del(`${config.redis.keyPrefix}${key}`);
+    } catch (error) {
+      logger.warn('Redis cache delete failed', { key, error: error.message });
+    }
+  }
+};
+
+/**
+ * Close the Redis connection (graceful shutdown)
+ */
+export const closeCache = async () => {
+  memory.clear();
+  if (!client) return;
+  try {
+    if (client.isReady) {
+      await client.quit();
+    } else if (client.isOpen) {
+      await client.disconnect();
+    }
+  } catch (error) {
+    logger.error('Error closing Redis cache', { error: error.message });
+  }
+  client = null;
+  redisDown = false;
+};
+
+export default {
+  getCached,
+  setCached,
+  deleteCached,
+  closeCache
+};
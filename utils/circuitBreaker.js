@@ -0,0 +1,107 @@
+// =====================================================
+// CIRCUIT BREAKER UTILITY FOR VENDORS MICROSERVICE
+// Stops calling a failing dependency until it recovers
+// =====================================================
+
+import logger from './logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+/**
+ * Error thrown instead of calling the dependency while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name) {
+    super(`Circuit for ${name} is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Circuit breaker around an unreliable dependency. After `failureThreshold`
+ * consecutive failures the circuit opens and calls fail fast; after
+ * `resetTimeout` one trial call is let through (half open) while the others
+ * keep failing fast, and its outcome alone closes or reopens the circuit.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Dependency name used in logs
+   * @param {Object} options - { failureThreshold, resetTimeout, isFailure }
+   *   isFailure(error) decides which errors count against the dependency
+   */
+  constructor(name, { failureThreshold = 5, resetTimeout = 30000, isFailure = () => true } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Whether a call would currently be attempted
+   * @returns {boolean}
+   */
+  isAvailable() {
+    if (this.state === CIRCUIT_STATES.CLOSED) return true;
+    return this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function calling the dependency
+   * @returns {Promise<*>} Result of fn
+   */
+  async exec(fn) {
+    if (!this.isAvailable()) throw new CircuitOpenError(this.name);
+    const probe = this.state === CIRCUIT_STATES.OPEN;
+    if (probe) this.transition(CIRCUIT_STATES.HALF_OPEN);
+
+    try {
+      const result = await fn();
+      this.onSuccess(probe);
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error, probe);
+      } else {
+        this.onSuccess(probe);
+      }
+      throw error;
+    }
+  }
+
+  // While half open only the trial call settles the circuit; calls started
+  // before it opened may still finish and are ignored
+  onSuccess(probe) {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !probe) return;
+    this.failures = 0;
+    if (this.state !== CIRCUIT_STATES.CLOSED) this.transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  onFailure(error, probe) {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !probe) return;
+    this.failures += 1;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== CIRCUIT_STATES.OPEN) this.transition(CIRCUIT_STATES.OPEN, error);
+    }
+  }
+
+  transition(state, error) {
+    const log = state === CIRCUIT_STATES.OPEN ? logger.error : logger.info;
+    log.call(logger, `Circuit for ${this.name} is now ${state}`, {
+      previousState: this.state,
+      failures: this.failures,
+      error: error?.message,
+    });
+    this.state = state;
+  }
+}
+
+export default CircuitBreaker;
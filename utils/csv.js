@@ -0,0 +1,90 @@
+// =====================================================
+// CSV HELPERS FOR VENDORS MICROSERVICE
+// RFC 4180 parsing and formatting for spreadsheet round-trips
+// =====================================================
+
+// Spreadsheets run cells starting with these as formulas, so exported cells
+// get a leading ' that is taken off again on import. Cells already starting
+// with ' and then one of these get another, so they round-trip unchanged.
+const FORMULA_CELL = /^'*[=+\-@]/;
+
+/**
+ * Parse CSV text into records keyed by the header row.
+ * Handles quoted fields, escaped quotes, embedded newlines, CRLF and a BOM.
+ * Blank lines are skipped, and the ' that toCsv puts before formula-like
+ * cells is removed.
+ * @param {string} text - CSV document
+ * @returns {Array<Object>} One object per data row
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  const [header = [], ...records] = rows;
+  const columns = header.map((column) => column.trim());
+  const unescape = (value) => (value.startsWith("'") && FORMULA_CELL.test(value) ? value.slice(1) : value);
+  return records.map((record) => Object.fromEntries(columns.map((column, index) => [column, unescape(record[index] ?? '')])));
+};
+
+const formatField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = FORMULA_CELL.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format records as CSV with a header row. Cells a spreadsheet would run as
+ * a formula are prefixed with '.
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} records - Rows keyed by column name
+ * @returns {string} CSV document with CRLF line endings
+ */
+export const toCsv = (columns, records) => {
+  const lines = [columns.map(formatField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => formatField(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+export default {
+  parseCsv,
+  toCsv
+};
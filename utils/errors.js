@@ -0,0 +1,53 @@
+// =====================================================
+// HTTP ERRORS FOR VENDORS MICROSERVICE
+// Errors that carry their response status, for errorHandler
+// =====================================================
+
+/**
+ * Error with an HTTP status and response body fields.
+ * Throw it from routes or services; errorHandler turns it into JSON.
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} error - Short error title
+   * @param {string} message - Human-readable explanation
+   * @param {Array} details - Optional [{ field, message }]
+   */
+  constructor(status, error, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+    this.details = details;
+  }
+}
+
+/**
+ * 400 for a single invalid field
+ * @param {string} field - Request field name
+ * @param {string} message - What is wrong with it
+ * @returns {HttpError}
+ */
+export const validationError = (field, message) => new HttpError(400, 'Validation failed', message, [{ field, message }]);
+
+/**
+ * 404 for a missing resource
+ * @param {string} resource - Resource name, e.g. 'Menu item'
+ * @returns {HttpError}
+ */
+export const notFoundError = (resource) => new HttpError(404, `${resource} not found`, `The requested ${resource.toLowerCase()} does not exist`);
+
+/**
+ * 409 for a request that conflicts with the resource's current state
+ * @param {string} message - Explanation of the conflict
+ * @returns {HttpError}
+ */
+export const conflictError = (message) => new HttpError(409, 'Conflict', message);
+
+export default {
+  HttpError,
+  validationError,
+  notFoundError,
+  conflictError
+};
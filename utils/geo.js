@@ -0,0 +1,80 @@
+// =====================================================
+// GEOMETRY HELPERS FOR VENDORS MICROSERVICE
+// Distances and GeoJSON point-in-polygon tests on plain
+// latitude/longitude, without PostGIS
+// =====================================================
+
+export const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng }
+ * @param {Object} to - { lat, lng }
+ * @returns {number} Kilometres
+ */
+export const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return EARTH_RADIUS_KM * 2 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * The polygons of a GeoJSON Polygon or MultiPolygon geometry
+ * @param {Object} geometry - { type, coordinates }
+ * @returns {Array} Polygons, each an array of rings of [lng, lat] positions
+ */
+export const polygonsOf = (geometry) => (geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]);
+
+// Even-odd ray cast: count ring edges crossed by a ray heading east from the point
+const inRing = (lng, lat, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon. The first
+ * ring of each polygon is its outline and any further rings are holes.
+ * Coordinates are treated as planar, which is accurate at city scale.
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True when inside
+ */
+export const pointInPolygon = ({ lat, lng }, geometry) => polygonsOf(geometry).some(
+  ([outline, ...holes]) => inRing(lng, lat, outline) && !holes.some((hole) => inRing(lng, lat, hole))
+);
+
+/**
+ * Smallest latitude/longitude box around a geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} { min_lat, max_lat, min_lng, max_lng }
+ */
+export const boundingBoxOf = (geometry) => {
+  const positions = polygonsOf(geometry).flatMap(([outline]) => outline);
+  const lngs = positions.map(([lng]) => lng);
+  const lats = positions.map(([, lat]) => lat);
+  return {
+    min_lat: Math.min(...lats),
+    max_lat: Math.max(...lats),
+    min_lng: Math.min(...lngs),
+    max_lng: Math.max(...lngs),
+  };
+};
+
+export default {
+  EARTH_RADIUS_KM,
+  distanceKm,
+  polygonsOf,
+  pointInPolygon,
+  boundingBoxOf
+};
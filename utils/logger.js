@@ -137,10 +137,15 @@ export const errorLogger = (err, req, res, next) => {
     logData.userRole = req.user.role;
   }
   
-  logger.error('Unhandled Error', logData);
+  // Client errors (validation, not found) are expected; keep them out of error.log
+  const status = err.status || err.statusCode;
+  if (status && status < 500) {
+    logger.warn('Request Error', { ...logData, status, stack: undefined });
+  } else {
+    logger.error('Unhandled Error', logData);
+  }
   next(err);
 };
 
-// Export the logger and middleware
+// Export the logger; middleware is exported inline above
 export default logger;
-export { requestLogger, errorLogger };
@@ -0,0 +1,24 @@
+// =====================================================
+// MONEY HELPERS FOR VENDORS MICROSERVICE
+// Prices are DECIMAL(10,2) and come back from pg as strings,
+// so arithmetic is done in integer cents
+// =====================================================
+
+/**
+ * Convert an amount to whole cents
+ * @param {string|number} amount - e.g. '12.50'
+ * @returns {number} e.g. 1250
+ */
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Convert cents back to a DECIMAL(10,2) string
+ * @param {number} cents - e.g. 1250
+ * @returns {string} e.g. '12.50'
+ */
+export const fromCents = (cents) => (cents / 100).toFixed(2);
+
+export default {
+  toCents,
+  fromCents
+};
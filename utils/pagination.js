@@ -0,0 +1,80 @@
+// =====================================================
+// CURSOR PAGINATION FOR VENDORS MICROSERVICE
+// Keyset pages over any ORDER BY, with opaque cursors
+// =====================================================
+
+import crypto from 'crypto';
+import { validationError } from './errors.js';
+
+// Decode a cursor made for the ordering with this fingerprint
+const decodeCursor = (cursor, fingerprint, length) => {
+  let values = null;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    // Reported below like any other foreign cursor
+  }
+  if (!Array.isArray(values) || values.length !== length + 1 || values[length] !== fingerprint
+    || !values.every((value) => typeof value === 'string')) {
+    throw validationError('cursor', 'cursor does not belong to this list and sort order');
+  }
+  return values.slice(0, length);
+};
+
+/**
+ * Keyset pagination SQL for an ordering. Keys are SQL expressions that must
+ * never be NULL, the last one unique (usually the id). Cursors hold the last
+ * row's keys as text, which PostgreSQL reads back as each key's own type, and
+ * a fingerprint of the ordering so a cursor only works with the sort it came from.
+ * @param {Array<Object>} keys - [{ sql, descending }] in ORDER BY order
+ * @param {string} [cursor] - next_cursor of the previous page
+ * @param {Array} params - Query parameters so far; the cursor's values are appended
+ * @returns {{ orderBy: string, after: string, pageKey: string }} ORDER BY list, WHERE condition
+ *   for rows after the cursor and a select-list column for toPage
+ */
+export const keyset = (keys, cursor, params) => {
+  const orderBy = keys.map(({ sql, descending }) => `${sql}${descending ? ' DESC' : ''}`).join(', ');
+  const fingerprint = crypto.createHash('sha1').update(orderBy).digest('base64url').slice(0, 8);
+  const pageKey = `ARRAY[${keys.map(({ sql }) => `(${sql})::text`).join(', ')}, '${fingerprint}'] AS page_key`;
+  if (!cursor) return { orderBy, after: 'TRUE', pageKey };
+
+  const placeholders = decodeCursor(cursor, fingerprint, keys.length).map((value) => {
+    params.push(value);
+    return `$${params.length}`;
+  });
+
+  // One direction compares as a row, which indexes can serve; mixed ones
+  // spell out (a, b) after (x, y) as a > x OR (a = x AND b > y)
+  if (keys.every(({ descending }) => descending === keys[0].descending)) {
+    const columns = keys.map(({ sql }) => sql).join(', ');
+    return { orderBy, after: `(${columns}) ${keys[0].descending ? '<' : '>'} (${placeholders.join(', ')})`, pageKey };
+  }
+  const after = keys.map(({ sql, descending }, index) => [
+    ...keys.slice(0, index).map((key, before) => `${key.sql} = ${placeholders[before]}`),
+    `${sql} ${descending ? '<' : '>'} ${placeholders[index]}`,
+  ].join(' AND '));
+  return { orderBy, after: `((${after.join(') OR (')}))`, pageKey };
+};
+
+/**
+ * Turn up to limit + 1 rows selected with keyset's pageKey into a page
+ * @param {Array} rows - Rows in order, one more than limit if another page follows
+ * @param {number} limit - Page size
+ * @returns {Object} { data, pagination: { limit, next_cursor, has_more } }
+ */
+export const toPage = (rows, limit) => {
+  const hasMore = rows.length > limit;
+  return {
+    data: rows.slice(0, limit).map(({ page_key: pageKey, ...row }) => row),
+    pagination: {
+      limit,
+      next_cursor: hasMore ? Buffer.from(JSON.stringify(rows[limit - 1].page_key)).toString('base64url') : null,
+      has_more: hasMore,
+    },
+  };
+};
+
+export default {
+  keyset,
+  toPage
+};
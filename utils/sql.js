@@ -0,0 +1,51 @@
+// =====================================================
+// SQL HELPERS FOR VENDORS MICROSERVICE
+// Small builders for parameterized queries
+// =====================================================
+
+/**
+ * Build the SET clause of a partial UPDATE from the allowed columns present in `data`
+ * @param {Object} data - Column/value pairs, undefined values are skipped
+ * @param {Array<string>} columns - Columns that may be updated
+ * @param {Object} options - { startIndex } first placeholder number,
+ *   { jsonColumns } columns whose values are JSON-encoded (JSONB)
+ * @returns {{ clause: string, values: Array }} e.g. { clause: 'name = $2, price = $3', values: [...] }
+ */
+export const buildSetClause = (data, columns, { startIndex = 1, jsonColumns = [] } = {}) => {
+  const assignments = [];
+  const values = [];
+
+  for (const column of columns) {
+    if (data[column] === undefined) continue;
+    const value = data[column];
+    values.push(jsonColumns.includes(column) && value !== null ? JSON.stringify(value) : value);
+    assignments.push(`${column} = $${startIndex + values.length - 1}`);
+  }
+
+  return { clause: assignments.join(', '), values };
+};
+
+/**
+ * Build an INSERT column list and placeholders from the allowed columns present in `data`
+ * @param {Object} data - Column/value pairs, undefined values are skipped
+ * @param {Array<string>} columns - Columns that may be inserted
+ * @param {Object} options - { jsonColumns } columns whose values are JSON-encoded (JSONB)
+ * @returns {{ columns: string, placeholders: string, values: Array }}
+ */
+export const buildInsert = (data, columns, { jsonColumns = [] } = {}) => {
+  const used = columns.filter((column) => data[column] !== undefined);
+  const values = used.map((column) => (
+    jsonColumns.includes(column) && data[column] !== null ? JSON.stringify(data[column]) : data[column]
+  ));
+
+  return {
+    columns: used.join(', '),
+    placeholders: used.map((column, index) => `$${index + 1}`).join(', '),
+    values,
+  };
+};
+
+export default {
+  buildSetClause,
+  buildInsert
+};
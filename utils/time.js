@@ -0,0 +1,107 @@
+// =====================================================
+// TIME HELPERS FOR VENDORS MICROSERVICE
+// IANA timezone handling for branch-local schedules
+// =====================================================
+
+/**
+ * Check that a timezone name is a known IANA zone, e.g. 'Africa/Cairo'
+ * @param {string} timezone - Zone name
+ * @returns {boolean} True when Intl (and so PostgreSQL) understands it
+ */
+export const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Minutes since midnight of a clock time
+ * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+ * @returns {number} Minutes, 0-1439
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timezone - IANA zone name
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes, seconds } with minutes since local midnight
+ */
+export const zonedParts = (instant, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(instant).map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    seconds: Number(parts.second),
+  };
+};
+
+/**
+ * Shift a calendar date by whole days
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+/**
+ * Day of the week of a calendar date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// How far a timezone's wall clock is ahead of UTC at an instant, in milliseconds
+const zoneOffset = (instant, timezone) => {
+  const { date, minutes, seconds } = zonedParts(instant, timezone);
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, 0, minutes, seconds) - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant a wall-clock time occurs in a timezone
+ * @param {string} date - Local calendar date, 'YYYY-MM-DD'
+ * @param {number} minutes - Minutes since that local midnight; may run past 1440 into the next day
+ * @param {string} timezone - IANA zone name
+ * @returns {Date} The instant
+ */
+export const zonedTimeToDate = (date, minutes, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  // Second pass settles times near a DST change, where the offset differs
+  const guess = wallClock - zoneOffset(new Date(wallClock), timezone);
+  return new Date(wallClock - zoneOffset(new Date(guess), timezone));
+};
+
+export default {
+  isValidTimezone,
+  MINUTES_PER_DAY,
+  toMinutes,
+  zonedParts,
+  addDays,
+  dayOfWeek,
+  zonedTimeToDate
+};